@@ -13,7 +13,97 @@
  * npm install mime-types
  */
 
+import {
+  createRetryPolicy,
+  IDEMPOTENT_METHODS,
+  resolveRetryPolicy,
+  shouldRetry,
+  computeRetryDelay,
+  parseRetryAfter,
+  sleep,
+} from './lib/retry.js';
+import { createRequestSignal, raceSignal } from './lib/signal.js';
+import { createInterceptors } from './lib/interceptors.js';
+import { TokenManager } from './lib/tokenManager.js';
+import { RateLimiter } from './lib/rateLimiter.js';
+import { ResponseCache } from './lib/cache.js';
+import { InflightRequests } from './lib/dedupe.js';
+import {
+  hasIdempotencyKey,
+  IDEMPOTENCY_HEADER,
+  resolveIdempotencyKey,
+} from './lib/idempotency.js';
+import { Telemetry } from './lib/telemetry.js';
+import { Logger } from './lib/logger.js';
+import { getContext, mergeContext } from './lib/context.js';
+import { Emitter } from './lib/emitter.js';
+import {
+  createCircuitBreakerOptions,
+  TransportHealth,
+} from './lib/circuitBreaker.js';
+import { validateSchema, summarizeErrors } from './lib/validation.js';
+import {
+  AbortError,
+  AuthenticationError,
+  createApiError,
+  TransportError,
+  UnboundError,
+  ValidationError,
+} from './lib/errors.js';
+
+/**
+ * @typedef {Object} BaseSDKOptions
+ * @property {string} [namespace]
+ * @property {string} [callId]
+ * @property {string} [token]
+ * @property {string} [fwRequestId]
+ * @property {string} [baseURL]
+ * @property {import('./lib/retry.js').RetryOption} [retry]
+ * @property {number} [timeout] - Per-attempt timeout in ms (0 disables it)
+ * @property {import('./lib/tokenManager.js').TokenProvider} [tokenProvider]
+ * @property {number} [tokenRefreshMargin]
+ * @property {import('./lib/rateLimiter.js').RateLimitOptions} [rateLimit]
+ * @property {boolean|import('./lib/cache.js').CacheOptions} [cache]
+ * @property {boolean} [dedupe] - Coalesce identical in-flight GETs (default true)
+ * @property {import('./lib/telemetry.js').TelemetryOptions} [telemetry]
+ * @property {import('./lib/logger.js').LoggerLike} [logger]
+ * @property {boolean|import('./lib/circuitBreaker.js').CircuitBreakerOptions} [circuitBreaker]
+ */
+
+/**
+ * Credentials for a client returned by forNamespace(). Nothing is inherited
+ * from the parent: omitted fields stay unset on the scoped client.
+ *
+ * @typedef {Object} ScopeOptions
+ * @property {string} [token]
+ * @property {import('./lib/tokenManager.js').TokenProvider} [tokenProvider]
+ * @property {number} [tokenRefreshMargin]
+ * @property {string} [callId]
+ * @property {string} [fwRequestId]
+ * @property {string} [baseURL]
+ */
+
+/**
+ * Per-call options accepted by _fetch
+ *
+ * @typedef {Object} FetchParams
+ * @property {Object} [body]
+ * @property {Object} [query]
+ * @property {Record<string, string>} [headers]
+ * @property {boolean} [returnRawResponse]
+ * @property {number} [timeout]
+ * @property {AbortSignal} [signal]
+ * @property {import('./lib/retry.js').RetryOption} [retry]
+ * @property {boolean|{ ttl?: number }} [cache]
+ * @property {boolean} [dedupe] - false to never share this GET with identical in-flight ones
+ * @property {string|boolean} [idempotencyKey] - Idempotency-Key for POST/PUT; see lib/idempotency.js
+ */
+
 export class BaseSDK {
+  /**
+   * @param {BaseSDKOptions|string} [options] - Options object, or the
+   *   namespace followed by legacy positional (callId, token, fwRequestId)
+   */
   constructor(options = {}) {
     // Support both object and legacy positional parameters for backwards compatibility
     if (typeof options === 'string') {
@@ -22,17 +112,62 @@ export class BaseSDK {
       this.callId = arguments[1];
       this.token = arguments[2];
       this.fwRequestId = arguments[3];
+      this.retryPolicy = createRetryPolicy();
+      this.timeout = 0;
+      this.rateLimiter = new RateLimiter();
+      this.cache = new ResponseCache();
+      this.inflight = new InflightRequests();
+      this.telemetry = new Telemetry();
+      this.logger = new Logger();
+      this.circuitBreaker = createCircuitBreakerOptions();
     } else {
       // New object-based parameters
-      const { namespace, callId, token, fwRequestId, baseURL } = options;
+      const {
+        namespace,
+        callId,
+        token,
+        fwRequestId,
+        baseURL,
+        retry,
+        timeout,
+        tokenProvider,
+        tokenRefreshMargin,
+        rateLimit,
+        cache,
+        dedupe,
+        telemetry,
+        logger,
+        circuitBreaker,
+      } = options;
       this.namespace = namespace || process?.env?.namespace;
       this.callId = callId;
       this.token = token;
       this.fwRequestId = fwRequestId;
       this._constructorBaseURL = baseURL;
+      this.retryPolicy = createRetryPolicy(retry);
+      this.timeout = timeout || 0;
+      this.rateLimiter = new RateLimiter(rateLimit);
+      this.cache = new ResponseCache(cache);
+      this.inflight = new InflightRequests(dedupe);
+      this.telemetry = new Telemetry(telemetry);
+      this.logger = new Logger(logger);
+      this.circuitBreaker = createCircuitBreakerOptions(circuitBreaker);
+      if (tokenProvider) {
+        this.setTokenProvider(tokenProvider, {
+          refreshMargin: tokenRefreshMargin,
+        });
+      }
     }
     this.baseURL;
     this.transports = new Map();
+    this.events = new Emitter((err, event) => {
+      this.logger.warn(`Listener for ${event} failed`, {
+        event: 'listener.error',
+        sdkEvent: event,
+        error: err,
+      });
+    });
+    this.interceptors = createInterceptors();
     this.debugMode = false;
     this._initializeEnvironment();
   }
@@ -66,10 +201,45 @@ export class BaseSDK {
     }
   }
 
+  /**
+   * @param {string} token
+   */
   setToken(token) {
     this.token = token;
+    if (this._tokenManager) {
+      this._tokenManager.setToken(token);
+    }
   }
 
+  /**
+   * Use an async function to obtain tokens. It is called before the first
+   * request, again shortly before the token expires, and once on a 401
+   * before the request is replayed.
+   *
+   * @param {import('./lib/tokenManager.js').TokenProvider|null} provider - async () => string | { token, expiresAt } | { token, expiresIn }
+   * @param {Object} [options]
+   * @param {number} [options.refreshMargin=60000] - Refresh this many ms before expiry
+   */
+  setTokenProvider(provider, { refreshMargin } = {}) {
+    if (!provider) {
+      this._tokenManager = null;
+      return this;
+    }
+    this._tokenManager = new TokenManager(provider, {
+      refreshMargin,
+      onToken: (token) => {
+        this.token = token;
+      },
+    });
+    if (this.token) {
+      this._tokenManager.setToken(this.token);
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} namespace
+   */
   setNamespace(namespace) {
     this.namespace = namespace;
     const defaultDomain = 'api.unbound.cx';
@@ -85,11 +255,205 @@ export class BaseSDK {
     }
   }
 
+  /**
+   * Return a lightweight client for another namespace. It shares this
+   * client's transports, interceptors, cache, rate limiter, telemetry and
+   * logger, but has its own namespace, base URL and credentials, so scoped
+   * clients can be used concurrently without calling setNamespace() on
+   * shared state.
+   *
+   * The scoped client inherits from this one: setters that replace a
+   * setting (setRetryPolicy, setLogger, debug) only affect the scoped
+   * client, while those that configure shared objects (setRateLimit,
+   * setTelemetry, addTransport) affect every client. Properties added by
+   * extend() stay bound to the parent client.
+   *
+   * @param {string} namespace
+   * @param {ScopeOptions} [options]
+   * @returns {this}
+   */
+  forNamespace(
+    namespace,
+    {
+      token,
+      tokenProvider,
+      tokenRefreshMargin,
+      callId,
+      fwRequestId,
+      baseURL,
+    } = {},
+  ) {
+    this.validateParams(
+      { namespace },
+      { namespace: { type: 'string', required: true, minLength: 1 } },
+    );
+
+    const scoped = Object.create(this);
+    scoped.namespace = namespace;
+    scoped.token = token;
+    scoped.callId = callId;
+    scoped.fwRequestId = fwRequestId;
+    scoped._constructorBaseURL = baseURL;
+    scoped._tokenManager = null;
+    scoped._context = null;
+    if (tokenProvider) {
+      scoped.setTokenProvider(tokenProvider, {
+        refreshMargin: tokenRefreshMargin,
+      });
+    }
+    scoped._initializeEnvironment();
+    scoped._initializeServices();
+    return scoped;
+  }
+
+  /**
+   * Return a derived client whose requests carry `context`: callId,
+   * fwRequestId and extra headers. Namespace, credentials and everything
+   * else are shared with this client, which is left unchanged, so one SDK
+   * instance can serve concurrent calls. See lib/context.js for how this
+   * layers with runWithContext().
+   *
+   * @param {import('./lib/context.js').RequestContext} context
+   * @returns {this}
+   */
+  withContext(context = {}) {
+    const scoped = Object.create(this);
+    scoped._context = mergeContext(this._context, context);
+    scoped._initializeServices();
+    return scoped;
+  }
+
+  /**
+   * Context for the current request: instance fields, then the implicit
+   * AsyncLocalStorage context, then withContext() values.
+   */
+  _resolveContext() {
+    return mergeContext(
+      { callId: this.callId, fwRequestId: this.fwRequestId },
+      getContext(),
+      this._context,
+    );
+  }
+
+  /**
+   * Create service instances bound to this client. Called by subclasses
+   * from their constructor and by forNamespace() for each scoped client.
+   */
+  _initializeServices() {}
+
+  /**
+   * Set the SDK-wide retry policy. Accepts the same values as the `retry`
+   * constructor option (false, attempt count, or policy object).
+   *
+   * @param {import('./lib/retry.js').RetryOption} retry
+   */
+  setRetryPolicy(retry) {
+    this.retryPolicy = createRetryPolicy(retry);
+    return this;
+  }
+
+  /**
+   * Set the default per-attempt request timeout in ms (0 disables it).
+   *
+   * @param {number} timeout
+   */
+  setRequestTimeout(timeout) {
+    this.timeout = timeout || 0;
+    return this;
+  }
+
+  /**
+   * Replace the client-side rate limit configuration. See lib/rateLimiter.js
+   * for the accepted shape; pass null to remove all limits.
+   *
+   * @param {import('./lib/rateLimiter.js').RateLimitOptions|null} config
+   */
+  setRateLimit(config) {
+    this.rateLimiter.configure(config);
+    return this;
+  }
+
+  /**
+   * Replace the tracing/metrics hooks. See lib/telemetry.js for the accepted
+   * shape; pass null to turn telemetry off.
+   *
+   * @param {import('./lib/telemetry.js').TelemetryOptions|null} options
+   */
+  setTelemetry(options) {
+    this.telemetry.configure(options);
+    return this;
+  }
+
+  /**
+   * Turn coalescing of identical in-flight GETs on or off. See
+   * lib/dedupe.js.
+   *
+   * @param {boolean} [enabled=true]
+   */
+  setDedupe(enabled = true) {
+    this.inflight.configure(enabled);
+    return this;
+  }
+
+  /**
+   * Send SDK log records to a pino/winston-style logger (console when
+   * omitted). See lib/logger.js.
+   *
+   * @param {import('./lib/logger.js').LoggerLike} [logger]
+   */
+  setLogger(logger) {
+    this.logger = new Logger(logger);
+    return this;
+  }
+
+  /**
+   * Configure the transport circuit breaker. See lib/circuitBreaker.js for
+   * the accepted shape; pass false to check isAvailable() on every request
+   * and never skip a failing transport.
+   *
+   * @param {boolean|import('./lib/circuitBreaker.js').CircuitBreakerOptions} options
+   */
+  setCircuitBreaker(options) {
+    this.circuitBreaker = createCircuitBreakerOptions(options);
+    return this;
+  }
+
   debug(enabled = true) {
     this.debugMode = enabled;
     return this;
   }
 
+  /**
+   * Subscribe to SDK events:
+   * - `transport:down` `{ transport, failures, error }`: a transport's circuit opened
+   * - `transport:up` `{ transport }`: a transport recovered
+   *
+   * @param {string} event
+   * @param {(payload: any) => void} listener
+   */
+  on(event, listener) {
+    this.events.on(event, listener);
+    return this;
+  }
+
+  /**
+   * @param {string} event
+   * @param {(payload: any) => void} listener
+   */
+  off(event, listener) {
+    this.events.off(event, listener);
+    return this;
+  }
+
+  /**
+   * @param {string} event
+   * @param {(payload: any) => void} listener
+   */
+  once(event, listener) {
+    this.events.once(event, listener);
+    return this;
+  }
+
   addTransport(transport) {
     if (!transport || typeof transport.request !== 'function') {
       throw new Error('Transport must have a request method');
@@ -99,6 +463,11 @@ export class BaseSDK {
     // 1. RETURN API responses normally (including error status codes like 400, 500)
     // 2. ONLY THROW exceptions for transport mechanism failures (connection issues, plugin errors)
     // This ensures API errors flow through unchanged, same as built-in fetch
+    //
+    // A thrown error falls back to built-in HTTP unless the transport sets
+    // `fallback = false`, in which case it is rethrown as a TransportError.
+    // Errors marked `requestSent = true` (the request may have reached the
+    // server) only fall back for idempotent methods.
 
     const priority = transport.getPriority ? transport.getPriority() : 50;
     const name = transport.name || `transport_${Date.now()}`;
@@ -106,6 +475,9 @@ export class BaseSDK {
     this.transports.set(name, {
       transport,
       priority,
+      health: new TransportHealth(name, transport, (event, payload) =>
+        this._onTransportHealth(event, payload),
+      ),
     });
   }
 
@@ -113,6 +485,32 @@ export class BaseSDK {
     this.transports.delete(name);
   }
 
+  /**
+   * Circuit state of every registered transport.
+   *
+   * @returns {import('./lib/circuitBreaker.js').TransportHealthSnapshot[]}
+   */
+  getTransportHealth() {
+    return Array.from(this.transports.values(), ({ health }) =>
+      health.snapshot(),
+    );
+  }
+
+  _onTransportHealth(event, payload) {
+    if (event === 'transport:down') {
+      this.logger.warn(
+        `Transport ${payload.transport} failing, skipping it until it recovers`,
+        { event: 'transport.down', ...payload },
+      );
+    } else {
+      this.logger.info(`Transport ${payload.transport} recovered`, {
+        event: 'transport.up',
+        ...payload,
+      });
+    }
+    this.events.emit(event, payload);
+  }
+
   _getJsonSafely(str, defaultValue) {
     try {
       return JSON.parse(str);
@@ -122,6 +520,15 @@ export class BaseSDK {
   }
 
   async _getAvailableTransport(forceFetch = false) {
+    const entry = await this._selectTransport(forceFetch);
+    return entry ? entry.transport : null;
+  }
+
+  /**
+   * Pick the highest-priority transport entry whose circuit allows a
+   * request and that reports itself available, or null for built-in HTTP.
+   */
+  async _selectTransport(forceFetch = false) {
     if (forceFetch) {
       return null; // Use built-in HTTP
     }
@@ -131,16 +538,18 @@ export class BaseSDK {
       (a, b) => a.priority - b.priority,
     );
 
-    for (const { transport } of sortedTransports) {
+    for (const entry of sortedTransports) {
+      const { transport, health } = entry;
       try {
-        if (transport.isAvailable && (await transport.isAvailable())) {
-          return transport;
+        if (await health.acquire(this._breakerOptions(transport))) {
+          return entry;
         }
       } catch (err) {
-        console.debug(
-          `Transport ${transport.name} not available:`,
-          err.message,
-        );
+        this.logger.debug(`Transport ${transport.name} not available`, {
+          event: 'transport.unavailable',
+          transport: transport.name,
+          error: err,
+        });
         continue;
       }
     }
@@ -148,41 +557,57 @@ export class BaseSDK {
     return null; // Fall back to HTTP
   }
 
-  validateParams(params, schema) {
-    for (const key in schema) {
-      if (params[key] === undefined && schema[key].required) {
-        throw new Error(`Missing required parameter ${key}`);
-      }
-
-      if (params[key] !== undefined && params[key] !== null) {
-        const expectedType = schema[key].type;
-        const actualValue = params[key];
-        let isValidType = false;
-
-        if (expectedType === 'array') {
-          isValidType = Array.isArray(actualValue);
-        } else {
-          isValidType = typeof actualValue === expectedType;
-        }
+  // Transports that must not fall back are never skipped by the breaker
+  _breakerOptions(transport) {
+    return transport.fallback === false ? null : this.circuitBreaker;
+  }
 
-        if (!isValidType) {
-          const actualType = Array.isArray(actualValue)
-            ? 'array'
-            : typeof actualValue;
-          throw new Error(
-            `Invalid type for parameter ${key}: expected ${expectedType}, got ${actualType}`,
-          );
-        }
-      }
+  /**
+   * Validate parameters against a declarative schema (see lib/validation.js)
+   * and throw one ValidationError listing every invalid field.
+   *
+   * @param {Object} params
+   * @param {Record<string, import('./lib/validation.js').ValidationRule>} schema
+   */
+  validateParams(params, schema) {
+    const errors = validateSchema(params, schema);
+    if (errors.length > 0) {
+      throw new ValidationError(summarizeErrors(errors), {
+        errors: errors.map(({ field, message }) => ({ field, message })),
+      });
     }
   }
 
+  /**
+   * Send a request through the full pipeline: interceptors, cache, token
+   * refresh, retries, rate limits and transports.
+   *
+   * @param {string} endpoint
+   * @param {string} method
+   * @param {FetchParams} [params]
+   * @param {boolean} [forceFetch=false] - Skip transport plugins
+   * @returns {Promise<any>}
+   */
   async _fetch(endpoint, method, params = {}, forceFetch = false) {
-    const startTime = Date.now();
-    const { body, query, headers = {}, returnRawResponse = false } = params;
+    const {
+      body,
+      query,
+      returnRawResponse = false,
+      timeout = this.timeout,
+      idempotencyKey,
+    } = params;
 
     this.validateParams(
-      { endpoint, method, body, query, headers, returnRawResponse },
+      {
+        endpoint,
+        method,
+        body,
+        query,
+        headers: params.headers,
+        returnRawResponse,
+        timeout,
+        idempotencyKey,
+      },
       {
         endpoint: { type: 'string', required: true },
         method: { type: 'string', required: true },
@@ -190,35 +615,361 @@ export class BaseSDK {
         query: { type: 'object', required: false },
         headers: { type: 'object', required: false },
         returnRawResponse: { type: 'boolean', required: false },
+        timeout: { type: 'number', required: false },
+        idempotencyKey: { type: ['string', 'boolean'], required: false },
       },
     );
 
+    if (this._tokenManager) {
+      await this._tokenManager.getToken();
+    }
+
+    const context = this._resolveContext();
+    const headers = { ...context.headers, ...params.headers };
+
     // Add auth headers
     if (this.token) {
       headers.Authorization = `Bearer ${this.token}`;
     }
-    if (this.fwRequestId) {
-      headers['x-request-id-fw'] = this.fwRequestId;
+    if (context.fwRequestId) {
+      headers['x-request-id-fw'] = context.fwRequestId;
     }
-    if (this.callId) {
-      headers['x-call-id'] = this.callId;
+    if (context.callId) {
+      headers['x-call-id'] = context.callId;
+    }
+    // Resolved once so retries and token refresh replays reuse the key
+    if (!hasIdempotencyKey(headers)) {
+      const key = resolveIdempotencyKey(idempotencyKey, {
+        method,
+        retriesEnabled:
+          resolveRetryPolicy(this.retryPolicy, params.retry).maxAttempts > 1,
+      });
+      if (key) headers[IDEMPOTENCY_HEADER] = key;
     }
 
     params.headers = headers;
 
+    // One span per call, covering interceptors, cache, retries and refreshes
+    const span = this.telemetry.startRequest({
+      endpoint,
+      method,
+      namespace: this.namespace,
+      headers,
+    });
+    if (span && !params.responseInfo) {
+      params.responseInfo = {};
+    }
+
+    // Request interceptors may rewrite the request before it is sent;
+    // response interceptors see the final result or error after retries.
+    let request = { endpoint, method, params, forceFetch };
+    const dispatched = this.interceptors.request
+      .chain(Promise.resolve(request))
+      .then((intercepted) => {
+        if (!intercepted || typeof intercepted.params !== 'object') {
+          throw new Error('Request interceptors must return the request');
+        }
+        request = intercepted;
+        return this._fetchDeduped(request);
+      });
+
+    const result = this.interceptors.response.chain(dispatched, () => request);
+    if (!span) {
+      return result;
+    }
+    return result.then(
+      (response) => {
+        span.end({ responseInfo: request.params.responseInfo });
+        return response;
+      },
+      (error) => {
+        span.end({ responseInfo: request.params.responseInfo, error });
+        throw error;
+      },
+    );
+  }
+
+  /**
+   * Let identical GETs in flight at the same time share one request. The
+   * shared request gets its own signal, which aborts once every caller's
+   * signal has.
+   */
+  async _fetchDeduped(request) {
+    const { endpoint, method, params } = request;
+    if (
+      !this.inflight.enabled ||
+      params.dedupe === false ||
+      params.returnRawResponse ||
+      params.signal?.aborted ||
+      method.toUpperCase() !== 'GET'
+    ) {
+      return this._fetchCached(request);
+    }
+
+    const key = this.inflight.key(
+      this.namespace,
+      endpoint,
+      params.query,
+      params.headers.Authorization,
+    );
+    const { result, shared, info } = this.inflight.join(
+      key,
+      (signal, responseInfo) =>
+        this._fetchCached({
+          ...request,
+          params: { ...params, signal, responseInfo },
+        }),
+      params.signal,
+    );
+
+    try {
+      return await result;
+    } catch (err) {
+      // This caller left before the shared request settled
+      if (params.signal?.aborted && !(err instanceof UnboundError)) {
+        throw new AbortError(
+          `Request aborted :: ${method.toUpperCase()} :: ${endpoint}`,
+          { reason: params.signal.reason, method, endpoint },
+        );
+      }
+      throw err;
+    } finally {
+      if (params.responseInfo) {
+        Object.assign(params.responseInfo, info);
+        if (shared) params.responseInfo.deduped = true;
+      }
+    }
+  }
+
+  /**
+   * Serve GETs that opted in with `params.cache` from the response cache,
+   * revalidating expired entries with If-None-Match when they have an ETag.
+   */
+  async _fetchCached(request) {
+    const { endpoint, method, params } = request;
+    const ttl =
+      method.toUpperCase() === 'GET' && !params.returnRawResponse
+        ? this.cache.ttlFor(params.cache)
+        : null;
+    if (ttl === null) {
+      return this._fetchWithAuth(request);
+    }
+
+    const key = this.cache.key(
+      this.namespace,
+      endpoint,
+      params.query,
+      params.headers.Authorization,
+    );
+    const cached = await this.cache.lookup(key);
+    const responseInfo = params.responseInfo || {};
+    if (cached?.fresh) {
+      responseInfo.cacheHit = true;
+      return cached.body;
+    }
+    if (cached?.etag) {
+      params.headers['If-None-Match'] = cached.etag;
+    }
+
+    const body = await this._fetchWithAuth({
+      ...request,
+      params: { ...params, responseInfo },
+    });
+
+    if (cached && responseInfo.status === 304) {
+      responseInfo.cacheHit = true;
+      await this.cache.save(key, cached.body, { ttl, etag: cached.etag });
+      return cached.body;
+    }
+    await this.cache.save(key, body, { ttl, etag: responseInfo.etag });
+    return body;
+  }
+
+  /**
+   * Send a request; with a token provider configured, a 401 triggers one
+   * token refresh and a replay of the request.
+   */
+  async _fetchWithAuth(request) {
+    if (!this._tokenManager) {
+      return this._fetchWithRetry(request);
+    }
+
+    const sentToken = this.token;
+    const replay = async () => {
+      // Concurrent 401s for the same token share one refresh
+      await this._tokenManager.refresh(sentToken);
+      request.params.headers.Authorization = `Bearer ${this.token}`;
+      return this._fetchWithRetry(request);
+    };
+
+    let response;
+    try {
+      response = await this._fetchWithRetry(request);
+    } catch (err) {
+      if (err instanceof AuthenticationError) {
+        return replay();
+      }
+      throw err;
+    }
+
+    if (request.params.returnRawResponse && response?.status === 401) {
+      return replay();
+    }
+    return response;
+  }
+
+  /**
+   * Send a request, retrying per the resolved retry policy.
+   */
+  async _fetchWithRetry({ endpoint, method, params, forceFetch = false }) {
+    const {
+      body,
+      returnRawResponse = false,
+      retry,
+      timeout = this.timeout,
+      signal,
+    } = params;
+
+    const policy = resolveRetryPolicy(this.retryPolicy, retry);
+    let attempt = 0;
+
+    while (true) {
+      attempt++;
+      let failure;
+      const requestSignal = createRequestSignal({ signal, timeout });
+      try {
+        const response = await raceSignal(
+          this._fetchAttemptLimited(
+            endpoint,
+            method,
+            { ...params, signal: requestSignal.signal },
+            forceFetch,
+          ),
+          requestSignal.signal,
+        );
+
+        // Raw responses are handed back unprocessed, so check their status
+        // here instead of relying on _processResponse to throw.
+        if (!returnRawResponse || response?.ok !== false) {
+          return response;
+        }
+        failure = {
+          status: response.status,
+          retryAfter: parseRetryAfter(
+            response.headers?.get?.('retry-after') ||
+              response.headers?.['retry-after'],
+          ),
+        };
+        if (!shouldRetry(policy, { attempt, method, body, failure })) {
+          return response;
+        }
+      } catch (err) {
+        failure = requestSignal.toError(err, { method, endpoint });
+        if (!shouldRetry(policy, { attempt, method, body, failure })) {
+          throw failure;
+        }
+      } finally {
+        requestSignal.cleanup();
+      }
+
+      const delay = computeRetryDelay(policy, attempt, failure.retryAfter);
+      if (typeof policy.onRetry === 'function') {
+        policy.onRetry({ attempt, delay, error: failure, endpoint, method });
+      }
+      if (this.debugMode) {
+        this.logger.debug(
+          `API :: RETRY :: ${method.toUpperCase()} :: ${endpoint} :: attempt ${attempt}/${policy.maxAttempts} failed (${
+            failure.status || failure.message
+          }), retrying in ${delay}ms`,
+          {
+            event: 'request.retry',
+            method: method.toUpperCase(),
+            endpoint,
+            attempt,
+            maxAttempts: policy.maxAttempts,
+            delay,
+            error: failure,
+          },
+        );
+      }
+      await sleep(delay, signal);
+    }
+  }
+
+  /**
+   * Run one attempt once the rate limiter grants a slot. Time spent queued
+   * counts towards the attempt's timeout.
+   */
+  async _fetchAttemptLimited(endpoint, method, params, forceFetch) {
+    const release = await this.rateLimiter.acquire(endpoint, params.signal);
+    try {
+      return await this._fetchAttempt(endpoint, method, params, forceFetch);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Single request attempt: try transport plugins first, then built-in HTTP.
+   * Called once per attempt by _fetch so the transport is re-selected on retry.
+   */
+  async _fetchAttempt(endpoint, method, params, forceFetch = false) {
+    const startTime = Date.now();
+    const { returnRawResponse = false, signal } = params;
+
     // Try transport plugins first
-    const transport = await this._getAvailableTransport(forceFetch);
+    const selected = await this._selectTransport(forceFetch);
+    const transport = selected?.transport;
     let response;
     if (transport) {
+      const { health } = selected;
+      const { callId, fwRequestId } = this._resolveContext();
       try {
         response = await transport.request(endpoint, method, params, {
           namespace: this.namespace,
           token: this.token,
-          callId: this.callId,
-          fwRequestId: this.fwRequestId,
+          callId,
+          fwRequestId,
           baseURL: this.baseURL || this.fullUrl,
+          signal,
         });
+        health.recordSuccess();
+        this._recordResponseInfo(
+          params.responseInfo,
+          response,
+          transport.name,
+        );
       } catch (err) {
+        // Cancelled or timed out: don't retry the same request over HTTP
+        if (signal?.aborted) {
+          health.release();
+          throw err;
+        }
+        health.recordFailure(err, this._breakerOptions(transport));
+
+        // Transports with `fallback = false` (e.g. MockTransport) must never
+        // reach the network, so their failures are surfaced directly
+        if (transport.fallback === false) {
+          throw err instanceof UnboundError
+            ? err
+            : new TransportError(
+                `Transport ${transport.name} failed :: ${method.toUpperCase()} :: ${endpoint} :: ${err.message}`,
+                { transport: transport.name, method, endpoint, cause: err },
+              );
+        }
+
+        // The server may already have acted on the request: sending a POST
+        // again over HTTP could repeat it (a second SMS, call, order, ...)
+        if (
+          err?.requestSent &&
+          !IDEMPOTENT_METHODS.includes(method.toUpperCase())
+        ) {
+          throw new TransportError(
+            `Transport ${transport.name} failed after sending :: ${method.toUpperCase()} :: ${endpoint} :: ${err.message}`,
+            { transport: transport.name, method, endpoint, cause: err },
+          );
+        }
+
         // IMPORTANT: This catch block should ONLY handle transport-level failures
         // (e.g., WebSocket disconnected, plugin unavailable, network errors)
         //
@@ -226,9 +977,15 @@ export class BaseSDK {
         // - RETURN API error responses normally (400, 500, etc.) as response objects
         // - ONLY THROW for transport mechanism failures
 
-        console.warn(
-          `Transport ${transport.name} mechanism failed, falling back to HTTP:`,
-          err.message,
+        this.logger.warn(
+          `Transport ${transport.name} mechanism failed, falling back to HTTP`,
+          {
+            event: 'transport.fallback',
+            transport: transport.name,
+            method: method.toUpperCase(),
+            endpoint,
+            error: err,
+          },
         );
 
         // Built-in HTTP transport (fallback)
@@ -267,6 +1024,7 @@ export class BaseSDK {
       method,
       endpoint,
       duration,
+      params,
     );
   }
 
@@ -318,10 +1076,11 @@ export class BaseSDK {
     returnRawResponse = false,
     startTime = Date.now(),
   ) {
-    const { body, query, headers = {} } = params;
+    const { body, query, headers = {}, signal } = params;
 
     const options = {
       method,
+      signal,
       headers: {
         // Smart content-type detection based on actual body content
         ...(this._isMultipartBody(body) ||
@@ -383,7 +1142,20 @@ export class BaseSDK {
       }
     }
 
-    const response = await fetch(url, options);
+    let response;
+    try {
+      response = await fetch(url, options);
+      this._recordResponseInfo(params.responseInfo, response, 'https');
+    } catch (err) {
+      // Aborts are translated to TimeoutError/AbortError by _fetch
+      if (signal?.aborted) {
+        throw err;
+      }
+      throw new TransportError(
+        `API :: Error :: https :: ${method.toUpperCase()} :: ${endpoint} :: ${err.message}`,
+        { transport: 'https', method, endpoint, cause: err },
+      );
+    }
     const duration = Date.now() - startTime;
 
     // For streaming requests, return the raw fetch response
@@ -391,10 +1163,38 @@ export class BaseSDK {
       return response;
     }
 
-    return this._processResponse(response, 'https', method, endpoint, duration);
+    return this._processResponse(
+      response,
+      'https',
+      method,
+      endpoint,
+      duration,
+      params,
+    );
+  }
+
+  /**
+   * Copy status and caching/tracing headers onto the caller-provided
+   * `params.responseInfo` object, when there is one.
+   */
+  _recordResponseInfo(info, response, transport) {
+    if (!info || !response) return;
+    info.transport = transport;
+    const headers = response.headers;
+    const header = (name) => headers?.get?.(name) || headers?.[name] || null;
+    info.status = response.status;
+    info.etag = header('etag');
+    info.requestId = header('x-request-id');
   }
 
-  async _processResponse(response, transport, method, endpoint, duration = 0) {
+  async _processResponse(
+    response,
+    transport,
+    method,
+    endpoint,
+    duration = 0,
+    params = {},
+  ) {
     // Check if the response indicates an HTTP error
     // These are API/configuration errors, not transport failures
 
@@ -409,11 +1209,14 @@ export class BaseSDK {
       response?.headers?.['content-type'] ||
       'application/json';
 
-    if (!response.ok) {
+    // 304 Not Modified only comes back for cache revalidation requests
+    if (!response.ok && response.status !== 304) {
       let errorBody;
-      if (response?.body) {
+      // Native fetch responses expose `body` as a stream, so only plugin
+      // transport responses can be used as-is
+      if (response?.body && transport !== 'https') {
         errorBody = response.body;
-      } else if (response?.headers?.['content-type']) {
+      } else if (transport === 'https' || response?.headers?.['content-type']) {
         try {
           if (
             typeof response?.json === 'function' ||
@@ -444,28 +1247,47 @@ export class BaseSDK {
         errorBody = `HTTP ${response.status} ${response.statusText}`;
       }
 
-      // Create a structured error for API/HTTP failures
-      const httpError = new Error(
-        `API :: Error :: ${transport} :: ${method.toUpperCase()} :: ${endpoint} :: ${
-          response.status
-        } :: ${response.statusText}`,
+      // Create a typed error for API/HTTP failures, keeping both the server's
+      // message and the descriptive summary line
+      const description = `API :: Error :: ${transport} :: ${method.toUpperCase()} :: ${endpoint} :: ${
+        response.status
+      } :: ${response.statusText}`;
+      const httpError = createApiError(
+        errorBody?.error || errorBody?.message || 'API Error',
+        {
+          status: response.status,
+          statusText: response.statusText,
+          body: errorBody,
+          method,
+          endpoint,
+          requestId: responseRequestId || undefined,
+          transport,
+          description,
+          retryAfter: parseRetryAfter(
+            responseHeaders?.get?.('retry-after') ||
+              responseHeaders?.['retry-after'],
+          ),
+        },
       );
-      httpError.status = response.status;
-      httpError.statusText = response.statusText;
-      httpError.method = method;
-      httpError.endpoint = endpoint;
-      httpError.body = errorBody;
-      httpError.message = errorBody?.error || errorBody?.message || 'API Error';
-
-      // Debug logging for successful HTTP requests
+
+      // Debug logging for failed requests
       if (this.debugMode) {
-        console.log(
+        this.logger.debug(
           `API :: ERROR :: ${transport} :: ${method.toUpperCase()} :: ${
             this.baseURL
           }${endpoint} :: ${
             response?.status
           } :: ${responseRequestId} :: ${duration}ms`,
-          httpError,
+          this._requestLogFields('request.error', {
+            transport,
+            method,
+            endpoint,
+            status: response?.status,
+            requestId: responseRequestId,
+            duration,
+            params,
+            error: httpError,
+          }),
         );
       }
 
@@ -504,15 +1326,47 @@ export class BaseSDK {
 
     // Debug logging for successful HTTP requests
     if (this.debugMode) {
-      console.log(
+      this.logger.debug(
         `API :: ${transport} :: ${method.toUpperCase()} :: ${
           this.baseURL
         }${endpoint} :: ${
           response?.status
         } :: ${responseRequestId} :: ${duration}ms`,
+        this._requestLogFields('request', {
+          transport,
+          method,
+          endpoint,
+          status: response?.status,
+          requestId: responseRequestId,
+          duration,
+          params,
+        }),
       );
     }
 
     return responseBody;
   }
+
+  /**
+   * Fields shared by debug-mode request records. The logger redacts them.
+   */
+  _requestLogFields(
+    event,
+    { transport, method, endpoint, status, requestId, duration, params, error },
+  ) {
+    return {
+      event,
+      transport,
+      method: method.toUpperCase(),
+      endpoint,
+      baseURL: this.baseURL,
+      status,
+      requestId: requestId || undefined,
+      durationMs: duration,
+      query: params.query,
+      body: params.body,
+      headers: params.headers,
+      error,
+    };
+  }
 }
@@ -27,8 +27,21 @@ import { EngagementMetricsService } from './services/engagementMetrics.js';
 import { TaskRouterService } from './services/taskRouter.js';
 import { KnowledgeBaseService } from './services/knowledgeBase.js';
 import { FaxService } from './services/fax.js';
+import { SocketTransport } from './transports/SocketTransport.js';
+
+/**
+ * @typedef {import('./base.js').BaseSDKOptions & {
+ *   url?: string,
+ *   socketStore?: Object,
+ *   transport?: 'socket',
+ * }} SDKOptions
+ */
 
 class UnboundSDK extends BaseSDK {
+  /**
+   * @param {SDKOptions|string} [options] - Options object, or the namespace
+   *   followed by legacy positional (callId, token, fwRequestId, url, socketStore)
+   */
   constructor(options = {}) {
     // Support both object and legacy positional parameters for backwards compatibility
     if (typeof options === 'string') {
@@ -53,10 +66,42 @@ class UnboundSDK extends BaseSDK {
       }
     } else {
       // New object-based parameters
-      const { namespace, callId, token, fwRequestId, url, socketStore } =
-        options;
+      const {
+        namespace,
+        callId,
+        token,
+        fwRequestId,
+        url,
+        socketStore,
+        transport,
+        retry,
+        timeout,
+        tokenProvider,
+        tokenRefreshMargin,
+        rateLimit,
+        cache,
+        dedupe,
+        telemetry,
+        logger,
+        circuitBreaker,
+      } = options;
 
-      super({ namespace, callId, token, fwRequestId });
+      super({
+        namespace,
+        callId,
+        token,
+        fwRequestId,
+        retry,
+        timeout,
+        tokenProvider,
+        tokenRefreshMargin,
+        rateLimit,
+        cache,
+        dedupe,
+        telemetry,
+        logger,
+        circuitBreaker,
+      });
 
       // Handle client-side specific parameters
       if (url) {
@@ -67,9 +112,21 @@ class UnboundSDK extends BaseSDK {
       if (socketStore) {
         this.socketStore = socketStore;
       }
+
+      // The built-in socket.io transport is opt-in: `transport: 'socket'`
+      if (transport === 'socket') {
+        if (!socketStore) {
+          throw new Error("transport: 'socket' requires a socketStore");
+        }
+        this.addTransport(new SocketTransport({ socket: socketStore }));
+      }
     }
 
-    // Initialize all service modules
+    this._initializeServices();
+  }
+
+  // Initialize all service modules; also called for forNamespace() clients
+  _initializeServices() {
     this.login = new LoginService(this);
     this.objects = new ObjectsService(this);
     this.messaging = new MessagingService(this);
@@ -236,42 +293,63 @@ class UnboundSDK extends BaseSDK {
 export default UnboundSDK;
 export { UnboundSDK };
 
-// Factory function for common usage patterns
+/**
+ * Factory function for common usage patterns
+ *
+ * @param {SDKOptions} [options]
+ * @returns {UnboundSDK}
+ */
 export function createSDK(options = {}) {
   return new UnboundSDK(options);
 }
 
 // Re-export service classes for advanced usage
-export { LoginService } from './services/login.js';
-export { ObjectsService } from './services/objects.js';
-export { MessagingService } from './services/messaging.js';
-export { VideoService } from './services/video.js';
-export { VoiceService } from './services/voice.js';
-export { AIService } from './services/ai.js';
-export { LookupService } from './services/lookup.js';
-export { LayoutsService } from './services/layouts.js';
-export { SubscriptionsService } from './services/subscriptions.js';
-export { WorkflowsService } from './services/workflows.js';
-export { NotesService } from './services/notes.js';
-export { StorageService } from './services/storage.js';
-export { VerificationService } from './services/verification.js';
-export { PortalsService } from './services/portals.js';
-export { SipEndpointsService } from './services/sipEndpoints.js';
-export { ExternalOAuthService } from './services/externalOAuth.js';
-export { GoogleCalendarService } from './services/googleCalendar.js';
-export { EnrollService } from './services/enroll.js';
 export {
+  LoginService,
+  ObjectsService,
+  VideoService,
+  VoiceService,
+  AIService,
+  LookupService,
+  LayoutsService,
+  SubscriptionsService,
+  WorkflowsService,
+  NotesService,
+  StorageService,
+  VerificationService,
+  PortalsService,
+  SipEndpointsService,
+  ExternalOAuthService,
+  GoogleCalendarService,
+  EnrollService,
+  GenerateIdService,
+  EngagementMetricsService,
+  TaskRouterService,
+  KnowledgeBaseService,
+  FaxService,
   PhoneNumbersService,
-  PhoneNumberCarrierService,
-} from './services/phoneNumbers.js';
-export {
   RecordTypesService,
-  UserRecordTypeDefaultsService,
-} from './services/recordTypes.js';
-export { GenerateIdService } from './services/generateId.js';
-export { EngagementMetricsService } from './services/engagementMetrics.js';
-export { TaskRouterService } from './services/taskRouter.js';
+  BaseSDK,
+};
+export { MessagingService } from './services/messaging.js';
+export { PhoneNumberCarrierService } from './services/phoneNumbers.js';
+export { UserRecordTypeDefaultsService } from './services/recordTypes.js';
 export { WorkerService } from './services/taskRouter/WorkerService.js';
-export { KnowledgeBaseService } from './services/knowledgeBase.js';
-export { FaxService } from './services/fax.js';
-export { BaseSDK } from './base.js';
+export { MockTransport, MockRoute } from './transports/MockTransport.js';
+export { SocketTransport } from './transports/SocketTransport.js';
+export { SdkPool } from './lib/sdkPool.js';
+export { UoqlQuery, UoqlConditions } from './lib/uoql.js';
+export { runWithContext, getContext } from './lib/context.js';
+export {
+  UnboundError,
+  UnboundApiError,
+  AuthenticationError,
+  PermissionError,
+  NotFoundError,
+  RateLimitError,
+  ValidationError,
+  TransportError,
+  TimeoutError,
+  AbortError,
+  SchemaMigrationError,
+} from './lib/errors.js';
@@ -0,0 +1,136 @@
+/**
+ * Chunked batch processing with bounded concurrency, per-item results and
+ * resumable checkpoints
+ *
+ * Items are processed one chunk at a time; inside a chunk up to
+ * `concurrency` items run at once. A failing item is recorded with its
+ * original index and never stops the batch. After every chunk,
+ * `onCheckpoint` receives a plain, JSON-serializable checkpoint; passing it
+ * back as `checkpoint` resumes after the last completed chunk, so after a
+ * crash at most one chunk is processed again. A checkpoint's `runId` is
+ * kept across resumes so workers can derive idempotency keys from it.
+ */
+
+import { AbortError } from './errors.js';
+
+/**
+ * @typedef {Object} BatchCheckpoint
+ * @property {number} nextIndex - Every item before this index was processed
+ * @property {number} succeeded - Successful items so far, across runs
+ * @property {number} failed - Failed items so far, across runs
+ * @property {string} [runId] - Identifies the batch across resumed runs
+ */
+
+/**
+ * @typedef {Object} BatchItemResult
+ * @property {number} index - Position in the original input
+ * @property {boolean} ok
+ * @property {any} [result] - Worker result when ok
+ * @property {Error} [error] - Worker error when not ok
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {number} succeeded
+ * @property {number} failed
+ * @property {BatchItemResult[]} results - Items processed in this run, by index
+ * @property {BatchItemResult[]} failures - The failed subset of `results`
+ * @property {BatchCheckpoint} checkpoint - Final checkpoint
+ */
+
+/**
+ * @typedef {Object} BatchOptions
+ * @property {number} [chunkSize=100] - Items per checkpoint
+ * @property {number} [concurrency=4] - Items in flight at once
+ * @property {BatchCheckpoint} [checkpoint] - Resume from this checkpoint
+ * @property {(checkpoint: BatchCheckpoint) => any} [onCheckpoint] - Awaited after every chunk
+ * @property {AbortSignal} [signal] - Stop starting new items when aborted
+ */
+
+/**
+ * Run `worker` over `items`.
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T, index: number) => Promise<any>} worker
+ * @param {BatchOptions} [options]
+ * @returns {Promise<BatchResult>}
+ */
+export async function runInChunks(
+  items,
+  worker,
+  { chunkSize = 100, concurrency = 4, checkpoint, onCheckpoint, signal } = {},
+) {
+  const progress = {
+    ...(checkpoint?.runId ? { runId: checkpoint.runId } : {}),
+    nextIndex: checkpoint?.nextIndex || 0,
+    succeeded: checkpoint?.succeeded || 0,
+    failed: checkpoint?.failed || 0,
+  };
+  const results = [];
+
+  while (progress.nextIndex < items.length) {
+    const start = progress.nextIndex;
+    const end = Math.min(start + chunkSize, items.length);
+    let next = start;
+
+    const runner = async () => {
+      while (next < end && !signal?.aborted) {
+        const index = next++;
+        try {
+          const result = await worker(items[index], index);
+          results.push({ index, ok: true, result });
+          progress.succeeded++;
+        } catch (error) {
+          results.push({ index, ok: false, error });
+          progress.failed++;
+        }
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, end - start) }, runner),
+    );
+
+    if (signal?.aborted) {
+      throw new AbortError(
+        `Batch aborted before item ${next} of ${items.length}`,
+        { reason: signal.reason },
+      );
+    }
+    progress.nextIndex = end;
+    if (onCheckpoint) {
+      await onCheckpoint({ ...progress });
+    }
+  }
+
+  results.sort((a, b) => a.index - b.index);
+  return {
+    succeeded: progress.succeeded,
+    failed: progress.failed,
+    results,
+    failures: results.filter((item) => !item.ok),
+    checkpoint: { ...progress },
+  };
+}
+
+/**
+ * Serialize tasks by key: a task waits for the previous task with the same
+ * key to settle, while tasks with different keys run concurrently.
+ *
+ * @returns {<R>(key: string, task: () => Promise<R>) => Promise<R>}
+ */
+export function createKeyedQueue() {
+  const tails = new Map();
+  return (key, task) => {
+    const run = (tails.get(key) || Promise.resolve()).then(task);
+    const tail = run.then(
+      () => {},
+      () => {},
+    );
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+    return run;
+  };
+}
@@ -0,0 +1,192 @@
+/**
+ * Opt-in response cache for read-only metadata endpoints
+ *
+ * Enabled through the `cache` constructor option (`true` or
+ * `{ ttl, maxEntries, store }`). Services mark cacheable GETs by passing
+ * `cache: true` (or `cache: { ttl }`) in their _fetch params; nothing is
+ * cached unless the SDK-level cache is enabled.
+ *
+ * Entries are keyed by namespace + endpoint + query + a hash of the
+ * Authorization header, so clients with different credentials never share
+ * entries and stores never hold raw tokens. Expired entries that
+ * carried an ETag are revalidated with If-None-Match; a 304 refreshes the
+ * entry instead of downloading it again.
+ *
+ * A custom store must implement (sync or async):
+ *   get(key), set(key, entry), delete(key), keys(), clear()
+ */
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {(key: string) => any} get
+ * @property {(key: string, entry: Object) => any} set
+ * @property {(key: string) => any} delete
+ * @property {() => string[]|Promise<string[]>} keys
+ * @property {() => any} clear
+ */
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {number} [ttl] - ms, default 5 minutes
+ * @property {number} [maxEntries] - in-memory LRU size
+ * @property {CacheStore} [store]
+ */
+
+export const DEFAULT_CACHE_TTL = 5 * 60 * 1000;
+
+/**
+ * In-memory LRU store. Map iteration order doubles as recency order.
+ */
+export class MemoryCacheStore {
+  /**
+   * @param {{ maxEntries?: number }} [options]
+   */
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+function clone(value) {
+  if (value === undefined || value === null) return value;
+  if (typeof structuredClone === 'function') return structuredClone(value);
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Stable string form of a query object: keys sorted, undefined values dropped.
+ */
+export function serializeQuery(query) {
+  if (!query || typeof query !== 'object') return '';
+  return Object.keys(query)
+    .filter((key) => query[key] !== undefined)
+    .sort()
+    .map((key) => `${key}=${JSON.stringify(query[key])}`)
+    .join('&');
+}
+
+// 53-bit string hash (cyrb53); not for security, only to keep tokens out of keys
+function hashIdentity(value) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+export class ResponseCache {
+  /**
+   * @param {boolean|CacheOptions|null} [option]
+   */
+  constructor(option) {
+    this.configure(option);
+  }
+
+  /**
+   * @param {boolean|CacheOptions|null} [option]
+   */
+  configure(option) {
+    const config = option === true ? {} : option || null;
+    this.enabled = Boolean(config);
+    this.ttl = config?.ttl ?? DEFAULT_CACHE_TTL;
+    this.store =
+      config?.store ||
+      new MemoryCacheStore({ maxEntries: config?.maxEntries });
+  }
+
+  /**
+   * Resolve the per-call `cache` param into a TTL in ms, or null when the
+   * request should bypass the cache.
+   */
+  ttlFor(option) {
+    if (!this.enabled || !option) return null;
+    if (typeof option === 'object' && typeof option.ttl === 'number') {
+      return option.ttl;
+    }
+    return this.ttl;
+  }
+
+  key(namespace, endpoint, query, authorization) {
+    return `${namespace || ''}|${endpoint}|${serializeQuery(query)}|${
+      authorization ? hashIdentity(authorization) : ''
+    }`;
+  }
+
+  /**
+   * Return `{ body, etag, fresh }` for a key, or null on a miss.
+   */
+  async lookup(key) {
+    const entry = await this.store.get(key);
+    if (!entry) return null;
+    return {
+      body: clone(entry.body),
+      etag: entry.etag || null,
+      fresh: Date.now() < entry.expiresAt,
+    };
+  }
+
+  async save(key, body, { ttl, etag = null }) {
+    await this.store.set(key, {
+      body: clone(body),
+      etag,
+      expiresAt: Date.now() + ttl,
+    });
+  }
+
+  /**
+   * Remove cached entries whose endpoint starts with `prefix` (all entries
+   * when omitted). Optionally restrict to one namespace.
+   *
+   * @param {string} [prefix]
+   * @param {{ namespace?: string }} [options]
+   */
+  async invalidate(prefix = '', { namespace } = {}) {
+    const keys = await this.store.keys();
+    for (const key of keys) {
+      const [keyNamespace, endpoint] = key.split('|');
+      if (namespace !== undefined && keyNamespace !== namespace) continue;
+      if (endpoint.startsWith(prefix)) {
+        await this.store.delete(key);
+      }
+    }
+  }
+
+  async clear() {
+    await this.store.clear();
+  }
+}
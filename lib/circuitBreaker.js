@@ -0,0 +1,186 @@
+/**
+ * Health tracking and circuit breaking for transport plugins
+ *
+ * Configured through the `circuitBreaker` constructor option or
+ * sdk.setCircuitBreaker():
+ *
+ *   {
+ *     failureThreshold: 3,    // consecutive failures before the circuit opens
+ *     resetTimeout: 30000,    // ms an open circuit waits before probing
+ *     availabilityTtl: 1000,  // ms to cache isAvailable() results (0 = never)
+ *   }
+ *
+ * closed: requests use the transport. open: the transport is skipped and
+ * requests go straight to HTTP until `resetTimeout` has passed. half-open:
+ * a single probe request is let through; success closes the circuit,
+ * failure opens it again.
+ *
+ * `false` disables the breaker, restoring a fresh isAvailable() check per
+ * request. Transports with `fallback = false` (e.g. MockTransport) are never
+ * skipped, since skipping them would send requests to the network.
+ */
+
+/**
+ * @typedef {Object} CircuitBreakerOptions
+ * @property {number} [failureThreshold]
+ * @property {number} [resetTimeout]
+ * @property {number} [availabilityTtl]
+ */
+
+/**
+ * @typedef {Object} TransportHealthSnapshot
+ * @property {string} name
+ * @property {'closed'|'open'|'half-open'} state
+ * @property {number} failures - Consecutive failures
+ * @property {Error|null} lastError
+ * @property {number|null} openedAt - Epoch ms the circuit last opened
+ */
+
+export const DEFAULT_CIRCUIT_BREAKER = Object.freeze({
+  failureThreshold: 3,
+  resetTimeout: 30000,
+  availabilityTtl: 1000,
+});
+
+/**
+ * Normalize the `circuitBreaker` option: undefined/true for defaults, false
+ * or null to disable, or a partial options object.
+ *
+ * @param {boolean|CircuitBreakerOptions|null} [options]
+ * @returns {Required<CircuitBreakerOptions>|null}
+ */
+export function createCircuitBreakerOptions(options) {
+  if (options === false || options === null) return null;
+  if (options === undefined || options === true) {
+    return { ...DEFAULT_CIRCUIT_BREAKER };
+  }
+  return { ...DEFAULT_CIRCUIT_BREAKER, ...options };
+}
+
+export class TransportHealth {
+  /**
+   * @param {string} name - Name the transport is registered under
+   * @param {Object} transport
+   * @param {(event: string, payload: Object) => void} emit
+   */
+  constructor(name, transport, emit) {
+    this.name = name;
+    this.transport = transport;
+    this.emit = emit;
+    this.state = 'closed';
+    this.failures = 0;
+    this.lastError = null;
+    this.openedAt = null;
+    this._probing = false;
+    this._availability = null;
+  }
+
+  /**
+   * Decide whether the next request may use the transport. In half-open
+   * state only one caller gets `true` until its outcome is recorded.
+   *
+   * @param {Required<CircuitBreakerOptions>|null} options - null disables breaking
+   * @returns {Promise<boolean>}
+   */
+  async acquire(options) {
+    if (!options) {
+      return this._checkAvailable(0);
+    }
+
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < options.resetTimeout) {
+        return false;
+      }
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'half-open') {
+      if (this._probing) return false;
+      this._probing = true;
+      try {
+        // The probe always re-checks availability
+        const available = await this._checkAvailable(0);
+        if (!available) this._probing = false;
+        return available;
+      } catch (err) {
+        this._probing = false;
+        throw err;
+      }
+    }
+
+    return this._checkAvailable(options.availabilityTtl);
+  }
+
+  async _checkAvailable(ttl) {
+    if (this._availability && Date.now() < this._availability.expiresAt) {
+      return this._availability.value;
+    }
+    const value = Boolean(
+      this.transport.isAvailable && (await this.transport.isAvailable()),
+    );
+    this._availability =
+      ttl > 0 ? { value, expiresAt: Date.now() + ttl } : null;
+    return value;
+  }
+
+  recordSuccess() {
+    const recovered = this.state !== 'closed';
+    this.state = 'closed';
+    this.failures = 0;
+    this.lastError = null;
+    this.openedAt = null;
+    this._probing = false;
+    if (recovered) {
+      this.emit('transport:up', { transport: this.name });
+    }
+  }
+
+  /**
+   * @param {Error} error
+   * @param {Required<CircuitBreakerOptions>|null} options
+   */
+  recordFailure(error, options) {
+    this.failures++;
+    this.lastError = error;
+    this._availability = null;
+    this._probing = false;
+    if (!options) return;
+
+    if (this.state === 'half-open') {
+      // Failed probe: stay down for another resetTimeout
+      this.state = 'open';
+      this.openedAt = Date.now();
+    } else if (
+      this.state === 'closed' &&
+      this.failures >= options.failureThreshold
+    ) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.emit('transport:down', {
+        transport: this.name,
+        failures: this.failures,
+        error,
+      });
+    }
+  }
+
+  /**
+   * Forget an in-flight probe without a verdict (e.g. the caller aborted).
+   */
+  release() {
+    this._probing = false;
+  }
+
+  /**
+   * @returns {TransportHealthSnapshot}
+   */
+  snapshot() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      lastError: this.lastError,
+      openedAt: this.openedAt,
+    };
+  }
+}
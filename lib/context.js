@@ -0,0 +1,86 @@
+/**
+ * Per-call request context for BaseSDK._fetch
+ *
+ * A context carries `callId`, `fwRequestId` and extra `headers`. It can be
+ * attached explicitly with sdk.withContext(), which returns a derived client,
+ * or implicitly in Node with runWithContext(), which uses AsyncLocalStorage
+ * so every SDK call made inside `fn` (across awaits, timers and callbacks)
+ * picks it up:
+ *
+ *   await runWithContext({ callId: req.headers['x-call-id'] }, () =>
+ *     handleCall(req),
+ *   );
+ *
+ * Values are layered, later layers winning: the SDK's own callId and
+ * fwRequestId, then the implicit context, then withContext(). Per-call
+ * `params.headers` still override context headers.
+ */
+
+/**
+ * @typedef {Object} RequestContext
+ * @property {string} [callId] - Sent as `x-call-id`
+ * @property {string} [fwRequestId] - Sent as `x-request-id-fw`
+ * @property {Record<string, string>} [headers] - Extra request headers
+ */
+
+let storage = null;
+
+async function loadStorage() {
+  if (!storage) {
+    let AsyncLocalStorage;
+    try {
+      ({ AsyncLocalStorage } = await import('node:async_hooks'));
+    } catch (err) {
+      // Browsers and other runtimes without node:async_hooks
+    }
+    if (!AsyncLocalStorage) {
+      throw new Error(
+        'runWithContext requires AsyncLocalStorage (Node.js). ' +
+          'Use sdk.withContext() in other environments.',
+      );
+    }
+    storage = storage || new AsyncLocalStorage();
+  }
+  return storage;
+}
+
+/**
+ * Merge context layers, skipping undefined values. Headers are merged
+ * key by key.
+ *
+ * @param {...(RequestContext|null|undefined)} layers
+ * @returns {RequestContext & { headers: Record<string, string> }}
+ */
+export function mergeContext(...layers) {
+  const merged = { headers: {} };
+  for (const layer of layers) {
+    if (!layer) continue;
+    if (layer.callId !== undefined) merged.callId = layer.callId;
+    if (layer.fwRequestId !== undefined) merged.fwRequestId = layer.fwRequestId;
+    Object.assign(merged.headers, layer.headers);
+  }
+  return merged;
+}
+
+/**
+ * The implicit context of the current async execution, if any.
+ *
+ * @returns {RequestContext|undefined}
+ */
+export function getContext() {
+  return storage?.getStore();
+}
+
+/**
+ * Run `fn` with `context` as the implicit request context. Nested calls
+ * extend the outer context.
+ *
+ * @template T
+ * @param {RequestContext} context
+ * @param {() => T} fn
+ * @returns {Promise<Awaited<T>>}
+ */
+export async function runWithContext(context, fn) {
+  const store = await loadStorage();
+  return store.run(mergeContext(store.getStore(), context), fn);
+}
@@ -0,0 +1,267 @@
+/**
+ * Streaming CSV and NDJSON reading and writing for object import/export
+ *
+ * Readers accept a string, bytes (Buffer, Uint8Array, ArrayBuffer), a Node
+ * Readable, a Web ReadableStream or any (async) iterable of those chunks, and
+ * decode bytes as UTF-8 without buffering the whole input. CSV follows
+ * RFC 4180: quoted fields may contain commas, doubled quotes and line breaks;
+ * rows end with LF or CRLF; a leading byte order mark is ignored.
+ *
+ * Every row carries the line number it starts on so errors can point back to
+ * the source file.
+ */
+
+/**
+ * @typedef {Object} SourceRow
+ * @property {number} line - 1-based line the row starts on
+ * @property {Object} [row] - Parsed row (CSV: keyed by header)
+ * @property {string} [error] - Why the row could not be parsed
+ */
+
+export const DATA_FORMATS = ['csv', 'ndjson'];
+
+const NEEDS_QUOTES = /[",\r\n]/;
+
+async function* chunksOf(source) {
+  if (typeof source === 'string' || source instanceof Uint8Array) {
+    yield source;
+  } else if (source instanceof ArrayBuffer) {
+    yield new Uint8Array(source);
+  } else if (typeof source?.getReader === 'function') {
+    const reader = source.getReader();
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        yield value;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  } else if (source?.[Symbol.asyncIterator] || source?.[Symbol.iterator]) {
+    yield* source;
+  } else {
+    throw new TypeError(
+      'Expected a string, bytes, a stream or an iterable of chunks',
+    );
+  }
+}
+
+/**
+ * Decode a source into text chunks.
+ *
+ * @param {any} source
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* readText(source) {
+  const decoder = new TextDecoder('utf-8');
+  for await (const chunk of chunksOf(source)) {
+    if (typeof chunk === 'string') {
+      yield chunk;
+    } else {
+      const text = decoder.decode(chunk, { stream: true });
+      if (text) yield text;
+    }
+  }
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+/**
+ * Parse CSV into rows of raw values. Blank lines are skipped.
+ *
+ * @param {any} source
+ * @returns {AsyncGenerator<{ values: string[], line: number, error?: string }>}
+ */
+export async function* parseCsv(source) {
+  let values = [];
+  let field = '';
+  let quoted = false; // current field started with a quote
+  let inQuotes = false;
+  let quotePending = false; // saw a quote inside quotes; escape or end?
+  let afterCR = false;
+  let atStart = true;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    values.push(field);
+    const row =
+      values.length === 1 && field === '' && !quoted
+        ? null
+        : { values, line: rowLine };
+    values = [];
+    field = '';
+    quoted = false;
+    return row;
+  };
+
+  for await (const text of readText(source)) {
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (atStart) {
+        atStart = false;
+        if (ch === '\uFEFF') continue;
+      }
+      if (afterCR) {
+        afterCR = false;
+        if (ch === '\n') continue;
+      }
+      if (quotePending) {
+        quotePending = false;
+        if (ch === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+      if (inQuotes) {
+        if (ch === '"') {
+          quotePending = true;
+        } else {
+          field += ch;
+          if (ch === '\n') line++;
+        }
+        continue;
+      }
+
+      if (ch === '"' && field === '' && !quoted) {
+        inQuotes = true;
+        quoted = true;
+      } else if (ch === ',') {
+        values.push(field);
+        field = '';
+        quoted = false;
+      } else if (ch === '\n' || ch === '\r') {
+        afterCR = ch === '\r';
+        const row = endRow();
+        line++;
+        rowLine = line;
+        if (row) yield row;
+      } else {
+        field += ch;
+      }
+    }
+  }
+
+  if (inQuotes && !quotePending) {
+    values.push(field);
+    yield { values, line: rowLine, error: 'Unterminated quoted field' };
+    return;
+  }
+  const row = endRow();
+  if (row) yield row;
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by column name.
+ *
+ * @param {any} source
+ * @returns {AsyncGenerator<SourceRow>}
+ */
+export async function* readCsvRows(source) {
+  let header = null;
+  for await (const { values, line, error } of parseCsv(source)) {
+    if (error) {
+      yield { line, error };
+    } else if (!header) {
+      header = values.map((name) => name.trim());
+    } else if (values.length !== header.length) {
+      yield {
+        line,
+        error: `Expected ${header.length} columns, got ${values.length}`,
+      };
+    } else {
+      const row = {};
+      header.forEach((name, index) => {
+        row[name] = values[index];
+      });
+      yield { line, row };
+    }
+  }
+}
+
+/**
+ * Parse newline-delimited JSON objects. Blank lines are skipped.
+ *
+ * @param {any} source
+ * @returns {AsyncGenerator<SourceRow>}
+ */
+export async function* readNdjsonRows(source) {
+  let buffer = '';
+  let line = 0;
+
+  const parseLine = (text) => {
+    line++;
+    const trimmed = text.trim();
+    if (!trimmed) return null;
+    try {
+      const row = JSON.parse(trimmed);
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        return { line, error: 'Expected a JSON object' };
+      }
+      return { line, row };
+    } catch (err) {
+      return { line, error: `Invalid JSON: ${err.message}` };
+    }
+  };
+
+  let atStart = true;
+  for await (let text of readText(source)) {
+    if (atStart && text) {
+      atStart = false;
+      if (text[0] === '\uFEFF') text = text.slice(1);
+    }
+    buffer += text;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const parsed = parseLine(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+      if (parsed) yield parsed;
+    }
+  }
+  const parsed = parseLine(buffer);
+  if (parsed) yield parsed;
+}
+
+/**
+ * Read rows in the given format.
+ *
+ * @param {any} source
+ * @param {'csv'|'ndjson'} format
+ * @returns {AsyncGenerator<SourceRow>}
+ */
+export function readRows(source, format) {
+  return format === 'ndjson' ? readNdjsonRows(source) : readCsvRows(source);
+}
+
+/**
+ * Format one CSV value: null and undefined become empty, objects JSON and
+ * dates ISO 8601. Values with commas, quotes or line breaks are quoted.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+export function formatCsvValue(value) {
+  let text;
+  if (value === null || value === undefined) {
+    text = '';
+  } else if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  return NEEDS_QUOTES.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a CSV row, including the trailing newline.
+ *
+ * @param {any[]} values
+ * @returns {string}
+ */
+export function formatCsvRow(values) {
+  return `${values.map(formatCsvValue).join(',')}\n`;
+}
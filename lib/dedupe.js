@@ -0,0 +1,109 @@
+/**
+ * Coalescing of identical in-flight GET requests for BaseSDK._fetch
+ *
+ * Dashboards often ask for the same data from several components at once.
+ * While a GET is in flight, an identical one (same namespace, endpoint,
+ * query and Authorization header) joins it instead of going to the network,
+ * and every caller settles with the same result or error.
+ *
+ * On by default. Disable it with the `dedupe: false` constructor option or
+ * sdk.setDedupe(false), or for one call with `dedupe: false` in the _fetch
+ * params. Raw responses (`returnRawResponse`) are never shared, since a
+ * response body can only be read once.
+ *
+ * Each caller keeps its own AbortSignal: an aborted caller leaves without
+ * affecting the others, and the shared request is cancelled once every
+ * caller has left.
+ */
+
+import { serializeQuery } from './cache.js';
+
+export class InflightRequests {
+  /**
+   * @param {boolean|null} [enabled=true]
+   */
+  constructor(enabled) {
+    this.pending = new Map();
+    this.configure(enabled);
+  }
+
+  /**
+   * @param {boolean|null} [enabled=true]
+   */
+  configure(enabled) {
+    this.enabled = enabled !== false && enabled !== null;
+  }
+
+  /** Number of distinct requests currently in flight */
+  get size() {
+    return this.pending.size;
+  }
+
+  key(namespace, endpoint, query, authorization) {
+    return `${namespace || ''}|${endpoint}|${serializeQuery(query)}|${
+      authorization || ''
+    }`;
+  }
+
+  /**
+   * Join the request in flight for `key`, or start it with
+   * `send(signal, info)`. `signal` aborts once every caller has left and
+   * `info` is an object shared by all callers (used for responseInfo).
+   *
+   * @param {string} key
+   * @param {(signal: AbortSignal, info: Object) => Promise<any>} send
+   * @param {AbortSignal} [signal] - This caller's signal
+   * @returns {{ result: Promise<any>, shared: boolean, info: Object }}
+   */
+  join(key, send, signal) {
+    let entry = this.pending.get(key);
+    const shared = Boolean(entry);
+    if (!entry) {
+      const controller = new AbortController();
+      entry = { controller, info: {}, callers: 0, promise: null };
+      const started = entry;
+      // Started synchronously so the request keeps its place in the queue
+      entry.promise = new Promise((resolve) =>
+        resolve(send(controller.signal, started.info)),
+      ).finally(() => {
+        if (this.pending.get(key) === started) this.pending.delete(key);
+      });
+      // Callers attach their own handlers; an abandoned request must not
+      // surface as an unhandled rejection
+      entry.promise.catch(() => {});
+      this.pending.set(key, entry);
+    }
+    entry.callers++;
+
+    return {
+      result: signal ? this._follow(key, entry, signal) : entry.promise,
+      shared,
+      info: entry.info,
+    };
+  }
+
+  async _follow(key, entry, signal) {
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => {
+        this._leave(key, entry, signal.reason);
+        reject(signal.reason);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+
+    try {
+      return await Promise.race([entry.promise, aborted]);
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  _leave(key, entry, reason) {
+    entry.callers--;
+    if (entry.callers > 0) return;
+    // Nobody is waiting any more; later callers start a fresh request
+    if (this.pending.get(key) === entry) this.pending.delete(key);
+    entry.controller.abort(reason);
+  }
+}
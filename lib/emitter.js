@@ -0,0 +1,51 @@
+/**
+ * Minimal event emitter for SDK-level events (sdk.on / sdk.off / sdk.once)
+ *
+ * Kept dependency-free so it works in browsers as well as Node. A listener
+ * that throws is reported to `onError` and never breaks the caller.
+ */
+
+export class Emitter {
+  /**
+   * @param {(error: Error, event: string) => void} [onError]
+   */
+  constructor(onError) {
+    this.listeners = new Map();
+    this.onError = onError;
+  }
+
+  on(event, listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Event listener must be a function');
+    }
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return this;
+  }
+
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+    return this;
+  }
+
+  once(event, listener) {
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      listener(payload);
+    };
+    return this.on(event, wrapper);
+  }
+
+  emit(event, payload) {
+    // Copy so listeners removing themselves don't skip their neighbours
+    for (const listener of [...(this.listeners.get(event) || [])]) {
+      try {
+        listener(payload);
+      } catch (err) {
+        this.onError?.(err, event);
+      }
+    }
+  }
+}
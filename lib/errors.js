@@ -0,0 +1,189 @@
+/**
+ * Error types thrown by the SDK
+ *
+ * UnboundError
+ * ├── UnboundApiError          API responded with a non-2xx status
+ * │   ├── AuthenticationError  401
+ * │   ├── PermissionError      403
+ * │   ├── NotFoundError        404
+ * │   └── RateLimitError       429
+ * ├── ValidationError          parameters rejected before sending
+ * ├── TransportError           request never got a response (network, plugin)
+ * ├── TimeoutError             request exceeded its timeout
+ * ├── AbortError               request cancelled through an AbortSignal
+ * └── SchemaMigrationError     objects.schema.apply() step failed
+ */
+
+/**
+ * @typedef {Object} ErrorDetails
+ * @property {string} [method]
+ * @property {string} [endpoint]
+ * @property {string} [requestId]
+ * @property {unknown} [cause]
+ */
+
+/**
+ * @typedef {ErrorDetails & {
+ *   status?: number,
+ *   statusText?: string,
+ *   body?: any,
+ *   transport?: string,
+ *   description?: string,
+ *   retryAfter?: number|null,
+ * }} ApiErrorDetails
+ */
+
+export class UnboundError extends Error {
+  /**
+   * @param {string} message
+   * @param {ErrorDetails} [details]
+   */
+  constructor(message, { method, endpoint, requestId, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.method = method;
+    this.endpoint = endpoint;
+    this.requestId = requestId;
+  }
+}
+
+/**
+ * Non-2xx API response. `message` is the server's error message when it
+ * sent one; `description` always holds the transport/method/endpoint/status
+ * summary line.
+ */
+export class UnboundApiError extends UnboundError {
+  /**
+   * @param {string} message
+   * @param {ApiErrorDetails} [details]
+   */
+  constructor(
+    message,
+    {
+      status,
+      statusText,
+      body,
+      method,
+      endpoint,
+      requestId,
+      transport,
+      description,
+      retryAfter = null,
+    } = {},
+  ) {
+    super(message, { method, endpoint, requestId });
+    this.status = status;
+    this.statusText = statusText;
+    this.body = body;
+    this.transport = transport;
+    this.description = description;
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class AuthenticationError extends UnboundApiError {}
+
+export class PermissionError extends UnboundApiError {}
+
+export class NotFoundError extends UnboundApiError {}
+
+/**
+ * `retryAfter` is the server's Retry-After hint in ms, or null.
+ */
+export class RateLimitError extends UnboundApiError {}
+
+/**
+ * Thrown by validateParams. `errors` lists each rejected field as
+ * `{ field, message }`.
+ */
+export class ValidationError extends UnboundError {
+  /**
+   * @param {string} message
+   * @param {ErrorDetails & { errors?: { field: string, message: string }[] }} [details]
+   */
+  constructor(message, { errors = [], ...rest } = {}) {
+    super(message, rest);
+    this.errors = errors;
+  }
+}
+
+/**
+ * The request could not be delivered or no response was received. The
+ * underlying error is available as `cause`.
+ */
+export class TransportError extends UnboundError {
+  /**
+   * @param {string} message
+   * @param {ErrorDetails & { transport?: string }} [details]
+   */
+  constructor(message, { transport, ...rest } = {}) {
+    super(message, rest);
+    this.transport = transport;
+  }
+}
+
+/**
+ * Thrown when a request exceeds its `timeout` (SDK default or per call).
+ */
+export class TimeoutError extends UnboundError {
+  /**
+   * @param {string} message
+   * @param {ErrorDetails & { timeout?: number }} [details]
+   */
+  constructor(message, { timeout, ...rest } = {}) {
+    super(message, rest);
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Thrown when a request is cancelled through the caller's AbortSignal.
+ * `reason` carries the signal's abort reason, if any.
+ */
+export class AbortError extends UnboundError {
+  /**
+   * @param {string} message
+   * @param {ErrorDetails & { reason?: unknown }} [details]
+   */
+  constructor(message, { reason, ...rest } = {}) {
+    super(message, rest);
+    this.reason = reason;
+  }
+}
+
+/**
+ * Thrown by objects.schema.apply() when a step fails. `step` is the failing
+ * step, `results` the steps handled before it and `rollback` the steps that
+ * undo them; the underlying error is available as `cause`.
+ */
+export class SchemaMigrationError extends UnboundError {
+  /**
+   * @param {string} message
+   * @param {ErrorDetails & { step?: Object, results?: Object[], rollback?: Object[] }} [details]
+   */
+  constructor(message, { step, results = [], rollback = [], ...rest } = {}) {
+    super(message, rest);
+    this.step = step;
+    this.results = results;
+    this.rollback = rollback;
+  }
+}
+
+const API_ERROR_BY_STATUS = {
+  401: AuthenticationError,
+  403: PermissionError,
+  404: NotFoundError,
+  429: RateLimitError,
+};
+
+/**
+ * Build the UnboundApiError subclass matching `status`.
+ *
+ * @param {string} message
+ * @param {ApiErrorDetails} details
+ * @returns {UnboundApiError}
+ */
+export function createApiError(message, details) {
+  const ErrorClass = API_ERROR_BY_STATUS[details.status] || UnboundApiError;
+  return new ErrorClass(message, details);
+}
@@ -0,0 +1,84 @@
+/**
+ * Idempotency keys for mutating requests
+ *
+ * A POST or PUT can carry an `Idempotency-Key` header so the API applies it
+ * at most once, even when the same request arrives again after a timeout.
+ * _fetch accepts `idempotencyKey` in its params:
+ *
+ *   - `'<string>'`  -> sent as is; pass the same key when retrying by hand
+ *   - `true`        -> a key is generated
+ *   - `false`       -> no key, even when retries are enabled
+ *   - omitted       -> a key is generated when the call's retry policy
+ *                      allows more than one attempt
+ *
+ * The key is resolved once per _fetch call, so automatic retries and the
+ * replay after a token refresh all send the same key. A request that
+ * already has the header (in any letter case) keeps it.
+ *
+ * The default retry policy (DEFAULT_RETRY_POLICY.methods in lib/retry.js)
+ * does not retry POST: callers must add 'POST' to `retry.methods` to retry
+ * keyed POSTs automatically.
+ */
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const KEYED_METHODS = ['POST', 'PUT'];
+
+/**
+ * True when `headers` already carry an Idempotency-Key, in any letter case.
+ *
+ * @param {Record<string, any>} headers
+ * @returns {boolean}
+ */
+export function hasIdempotencyKey(headers) {
+  const name = IDEMPOTENCY_HEADER.toLowerCase();
+  return Object.keys(headers || {}).some(
+    (header) => header.toLowerCase() === name && Boolean(headers[header]),
+  );
+}
+
+/**
+ * Random RFC 4122 version 4 UUID.
+ *
+ * @returns {string}
+ */
+export function createIdempotencyKey() {
+  if (typeof globalThis.crypto?.randomUUID === 'function') {
+    return globalThis.crypto.randomUUID();
+  }
+
+  const bytes = new Uint8Array(16);
+  if (globalThis.crypto?.getRandomValues) {
+    globalThis.crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+  }
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, '0'));
+  return [
+    hex.slice(0, 4).join(''),
+    hex.slice(4, 6).join(''),
+    hex.slice(6, 8).join(''),
+    hex.slice(8, 10).join(''),
+    hex.slice(10).join(''),
+  ].join('-');
+}
+
+/**
+ * Decide which key, if any, a request sends.
+ *
+ * @param {string|boolean|undefined} option - The call's `idempotencyKey`
+ * @param {{ method: string, retriesEnabled: boolean }} request
+ * @returns {string|null}
+ */
+export function resolveIdempotencyKey(option, { method, retriesEnabled }) {
+  if (!KEYED_METHODS.includes(method.toUpperCase())) return null;
+  if (typeof option === 'string') return option;
+  if (option === true || (option === undefined && retriesEnabled)) {
+    return createIdempotencyKey();
+  }
+  return null;
+}
@@ -0,0 +1,65 @@
+/**
+ * Ordered request/response interceptor chains for BaseSDK._fetch
+ *
+ * Handlers run in registration order as a promise chain:
+ *   request handlers -> dispatch (with retries) -> response handlers
+ *
+ * A rejected handler receives the error from anything earlier in the chain
+ * and may either recover (return a value) or rethrow.
+ */
+export class InterceptorManager {
+  constructor() {
+    this.handlers = [];
+  }
+
+  /**
+   * Register a handler pair. Returns an id usable with eject().
+   *
+   * @param {Function} [fulfilled] - (value, request) => value | Promise
+   * @param {Function} [rejected] - (error, request) => value | Promise
+   * @returns {number} Interceptor id
+   */
+  use(fulfilled, rejected) {
+    if (fulfilled && typeof fulfilled !== 'function') {
+      throw new Error('Interceptor must be a function');
+    }
+    if (rejected && typeof rejected !== 'function') {
+      throw new Error('Interceptor error handler must be a function');
+    }
+    this.handlers.push({ fulfilled, rejected });
+    return this.handlers.length - 1;
+  }
+
+  eject(id) {
+    if (this.handlers[id]) {
+      this.handlers[id] = null;
+    }
+  }
+
+  clear() {
+    this.handlers = [];
+  }
+
+  /**
+   * Attach every handler to `promise`. `getRequest` supplies the request
+   * passed as the handlers' second argument.
+   */
+  chain(promise, getRequest = () => undefined) {
+    for (const handler of this.handlers) {
+      if (!handler) continue;
+      const { fulfilled, rejected } = handler;
+      promise = promise.then(
+        fulfilled && ((value) => fulfilled(value, getRequest())),
+        rejected && ((err) => rejected(err, getRequest())),
+      );
+    }
+    return promise;
+  }
+}
+
+export function createInterceptors() {
+  return {
+    request: new InterceptorManager(),
+    response: new InterceptorManager(),
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * Structured logging for BaseSDK and services
+ *
+ * Set through the `logger` constructor option or sdk.setLogger(). Any
+ * object with level methods works: pino, winston, bunyan, console. Records
+ * are `(message, fields)`; for pino (detected by its `bindings()` method)
+ * the arguments are swapped to pino's `(fields, message)` order.
+ *
+ * Every record carries an `event` field (e.g. 'request', 'request.error',
+ * 'transport.fallback') and goes through redact() first, so Authorization
+ * headers, tokens, SSNs and card numbers never reach the log pipeline.
+ */
+
+/**
+ * @typedef {Object} LoggerLike
+ * @property {Function} [debug]
+ * @property {Function} [info]
+ * @property {Function} [warn]
+ * @property {Function} [error]
+ * @property {Function} [log]
+ */
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY =
+  /^(authorization|cookie|set-cookie|password|secret|.*token|api[-_]?key|ssn|card[-_]?number|cvv)$/i;
+const SSN_PATTERN = /\b\d{3}-\d{2}-\d{4}\b/g;
+const CARD_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+const BEARER_PATTERN = /\bBearer\s+[\w.~+/-]+=*/gi;
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function redactString(value) {
+  return value
+    .replace(BEARER_PATTERN, `Bearer ${REDACTED}`)
+    .replace(SSN_PATTERN, REDACTED)
+    .replace(CARD_PATTERN, (match) =>
+      passesLuhn(match.replace(/\D/g, '')) ? REDACTED : match,
+    );
+}
+
+function isPlainObject(value) {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Deep copy `value` with sensitive keys and sensitive-looking strings
+ * replaced. Errors become plain objects; streams, buffers and other class
+ * instances are summarized instead of serialized.
+ */
+export function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (!value || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, seen));
+  }
+  if (value instanceof Error) {
+    const { name, message, status, requestId, method, endpoint, body } =
+      value;
+    return redact(
+      { type: name, message, status, requestId, method, endpoint, body },
+      seen,
+    );
+  }
+  if (typeof Buffer !== 'undefined' && Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+  if (!isPlainObject(value)) {
+    return `[${value.constructor?.name || 'Object'}]`;
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+    copy[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(item, seen);
+  }
+  return copy;
+}
+
+export class Logger {
+  /**
+   * @param {LoggerLike} [target=console] - pino/winston-style logger
+   */
+  constructor(target) {
+    this.target = target || console;
+    this.isPino = typeof this.target.bindings === 'function';
+  }
+
+  debug(message, fields) {
+    this._write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this._write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this._write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this._write('error', message, fields);
+  }
+
+  _write(level, message, fields = {}) {
+    const method = [level, 'info', 'log'].find(
+      (name) => typeof this.target[name] === 'function',
+    );
+    if (!method) return;
+
+    const record = redact(fields);
+    const text = redactString(message);
+    try {
+      if (this.isPino) {
+        this.target[method](record, text);
+      } else {
+        this.target[method](text, record);
+      }
+    } catch (err) {
+      // A broken logger must not break API calls
+    }
+  }
+}
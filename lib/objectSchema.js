@@ -0,0 +1,277 @@
+/**
+ * Field definitions from objects.describe() and record checks against them
+ *
+ * describe() responses list an object's fields either as an array of
+ * definitions (`fields` or `columns`) or as a map keyed by field name.
+ * A definition carries the same properties objects.createColumn() accepts:
+ *
+ *   { name: 'email', type: 'varchar', length: 255, isRequired: true }
+ *
+ * Types are grouped into families for checking and coercion: string
+ * (varchar, char, text, email, phone, ...), integer (int, bigint, ...),
+ * number (decimal, float, ...), boolean, date, datetime and json. Unknown
+ * types are accepted as is. Picklist values (`options`, `picklistValues` or
+ * `values`) restrict a field to those values, and read-only, generated and
+ * system fields can't be written.
+ */
+
+import { validateValue } from './validation.js';
+
+/**
+ * @typedef {Object} FieldDefinition
+ * @property {string} name
+ * @property {string} [type]
+ * @property {number} [length]
+ * @property {boolean} [isRequired]
+ * @property {any} [defaultValue]
+ * @property {boolean} [isSystem] - Managed by the platform (createdAt, ...)
+ * @property {boolean} [isReadOnly]
+ * @property {boolean} [isGenerated] - Computed by a generated column
+ * @property {any[]} [options] - Allowed (picklist) values
+ */
+
+/**
+ * @typedef {Object} FieldError
+ * @property {string} field
+ * @property {string} message
+ */
+
+const TYPE_FAMILIES = {
+  string: [
+    'varchar',
+    'char',
+    'text',
+    'mediumtext',
+    'longtext',
+    'string',
+    'email',
+    'phone',
+    'url',
+    'id',
+    'lookup',
+    'picklist',
+    'enum',
+  ],
+  integer: ['int', 'integer', 'bigint', 'smallint', 'mediumint', 'tinyint'],
+  number: ['decimal', 'numeric', 'float', 'double', 'number', 'currency'],
+  boolean: ['boolean', 'bool', 'bit', 'checkbox'],
+  date: ['date'],
+  datetime: ['datetime', 'timestamp', 'date-time', 'time'],
+  json: ['json', 'object', 'array'],
+};
+
+/**
+ * Type family of a field definition, or null for unknown types.
+ *
+ * @param {FieldDefinition} [definition]
+ * @returns {string|null}
+ */
+export function typeFamily(definition) {
+  const type = String(definition?.type || '')
+    .toLowerCase()
+    .replace(/\(.*$/, '');
+  for (const [family, types] of Object.entries(TYPE_FAMILIES)) {
+    if (types.includes(type)) return family;
+  }
+  return null;
+}
+
+function toFlag(value) {
+  return value === true || value === 1 || value === '1' || value === 'true';
+}
+
+function toOptions(value) {
+  const options = value?.options || value?.picklistValues || value?.values;
+  if (!Array.isArray(options) || options.length === 0) return undefined;
+  return options.map((option) =>
+    option && typeof option === 'object' ? option.value : option,
+  );
+}
+
+function toDefinition(name, value) {
+  if (typeof value === 'string') return { name, type: value };
+  const definition = {
+    ...value,
+    name: value?.name || value?.field || value?.column || name,
+    isRequired: toFlag(value?.isRequired ?? value?.required),
+    isSystem: toFlag(value?.isSystem),
+    isReadOnly: toFlag(value?.isReadOnly ?? value?.readOnly),
+    isGenerated: toFlag(value?.isGenerated ?? value?.generated),
+  };
+  const options = toOptions(value);
+  if (options) definition.options = options;
+  return definition;
+}
+
+/**
+ * Read the field definitions out of a describe() response.
+ *
+ * @param {any} description
+ * @returns {Map<string, FieldDefinition>}
+ */
+export function normalizeFields(description) {
+  const source =
+    description?.fields ||
+    description?.columns ||
+    description?.data?.fields ||
+    description?.data?.columns ||
+    (Array.isArray(description) ? description : null);
+  const fields = new Map();
+  if (Array.isArray(source)) {
+    for (const entry of source) {
+      const definition =
+        typeof entry === 'string'
+          ? { name: entry }
+          : toDefinition(null, entry);
+      if (definition.name) fields.set(definition.name, definition);
+    }
+  } else if (source && typeof source === 'object') {
+    for (const [name, value] of Object.entries(source)) {
+      fields.set(name, toDefinition(name, value));
+    }
+  }
+  return fields;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Convert a text value (e.g. a CSV cell) to the field's type. Values that
+ * can't be converted are returned unchanged so validation reports them.
+ *
+ * @param {any} value
+ * @param {FieldDefinition} [definition]
+ * @returns {any}
+ */
+export function coerceValue(value, definition) {
+  if (typeof value !== 'string') return value;
+  if (value === '') return null;
+  const family = typeFamily(definition);
+  const text = value.trim();
+  if (family === 'integer' || family === 'number') {
+    const number = Number(text);
+    return text !== '' && !Number.isNaN(number) ? number : value;
+  }
+  if (family === 'boolean') {
+    const lower = text.toLowerCase();
+    if (['true', '1', 'yes', 'y'].includes(lower)) return true;
+    if (['false', '0', 'no', 'n'].includes(lower)) return false;
+    return value;
+  }
+  if (family === 'json') {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      return value;
+    }
+  }
+  return value;
+}
+
+/**
+ * Validation rule (see lib/validation.js) for a field definition.
+ *
+ * @param {FieldDefinition} definition
+ * @returns {import('./validation.js').ValidationRule}
+ */
+export function fieldRule(definition) {
+  const rule = typeRule(definition);
+  return definition.options ? { ...rule, enum: definition.options } : rule;
+}
+
+function typeRule(definition) {
+  switch (typeFamily(definition)) {
+    case 'string':
+      return {
+        type: 'string',
+        ...(definition.length ? { maxLength: definition.length } : {}),
+        ...(String(definition.type).toLowerCase() === 'email'
+          ? { format: 'email' }
+          : {}),
+      };
+    case 'integer':
+      return { type: 'integer' };
+    case 'number':
+      return {
+        type: 'number',
+        validate: (value) => Number.isFinite(value) || 'must be finite',
+      };
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'date':
+      return { type: 'string', format: 'date' };
+    case 'datetime':
+      return {
+        type: 'string',
+        validate: (value) =>
+          !Number.isNaN(Date.parse(value)) || 'must be a date-time',
+      };
+    case 'json':
+      return { type: 'object' };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Check a record against field definitions. With `partial`, missing
+ * required fields are not reported (for updates). `id`, defaulted,
+ * read-only, generated and system fields are never reported as missing;
+ * the last three are reported when the record sets them.
+ *
+ * @param {Object} record
+ * @param {Map<string, FieldDefinition>} fields
+ * @param {{ partial?: boolean, allowUnknown?: boolean }} [options]
+ * @returns {FieldError[]}
+ */
+export function validateRecord(
+  record,
+  fields,
+  { partial = false, allowUnknown = false } = {},
+) {
+  const errors = [];
+  for (const [field, value] of Object.entries(record || {})) {
+    const definition = fields.get(field);
+    if (!definition) {
+      if (!allowUnknown) {
+        errors.push({ field, message: 'is not a known field' });
+      }
+      continue;
+    }
+    if (definition.isGenerated) {
+      errors.push({ field, message: 'is a generated field' });
+      continue;
+    }
+    if (definition.isReadOnly || definition.isSystem) {
+      errors.push({ field, message: 'is read-only' });
+      continue;
+    }
+    if (isBlank(value)) continue;
+    for (const { message } of validateValue(
+      value,
+      fieldRule(definition),
+      field,
+    )) {
+      errors.push({ field, message });
+    }
+  }
+
+  if (!partial) {
+    for (const [field, definition] of fields) {
+      if (
+        definition.isRequired &&
+        definition.defaultValue === undefined &&
+        !definition.isSystem &&
+        !definition.isReadOnly &&
+        !definition.isGenerated &&
+        field !== 'id' &&
+        isBlank(record?.[field])
+      ) {
+        errors.push({ field, message: 'is required' });
+      }
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,182 @@
+/**
+ * Async pagination helpers shared by list/query methods
+ *
+ * Every helper returns a Paginator, which is async-iterable over individual
+ * items and exposes `pages()` for page-at-a-time iteration:
+ *
+ *   for await (const row of sdk.objects.iterate({ object: 'people' })) { ... }
+ *   for await (const { items } of sdk.objects.iterate({ ... }).pages()) { ... }
+ *
+ * Each iteration starts from the first page with its own state, so one
+ * Paginator can be iterated several times or concurrently. Breaking out of a
+ * `for await` loop stops further requests.
+ */
+
+import { AbortError } from './errors.js';
+
+const ITEM_KEYS = ['results', 'items', 'data', 'records', 'rows'];
+
+/**
+ * @typedef {Object} PaginateOptions
+ * @property {number} [maxItems] - Stop after this many items
+ * @property {AbortSignal} [signal] - Stop iterating when aborted
+ */
+
+/**
+ * Find the array of items in a list response: the response itself, a
+ * well-known key, or the first array-valued property.
+ */
+export function extractItems(response) {
+  if (Array.isArray(response)) return response;
+  if (!response || typeof response !== 'object') return [];
+
+  for (const key of ITEM_KEYS) {
+    if (Array.isArray(response[key])) return response[key];
+  }
+  const firstArray = Object.values(response).find((value) =>
+    Array.isArray(value),
+  );
+  return firstArray || [];
+}
+
+function paginationInfo(response) {
+  return response?.pagination || response?.meta || {};
+}
+
+export class Paginator {
+  /**
+   * @param {Object} options
+   * @param {Function} options.fetchPage - (state) => Promise<response>; state is undefined for the first page
+   * @param {Function} options.getNextState - (response, state, items) => next state, or null when done
+   * @param {Function} [options.getItems=extractItems] - (response) => items array
+   * @param {number} [options.maxItems=Infinity] - Stop after this many items
+   * @param {AbortSignal} [options.signal] - Stop iterating when aborted
+   */
+  constructor({
+    fetchPage,
+    getNextState,
+    getItems = extractItems,
+    maxItems = Infinity,
+    signal,
+  }) {
+    this.fetchPage = fetchPage;
+    this.getNextState = getNextState;
+    this.getItems = getItems;
+    this.maxItems = maxItems ?? Infinity;
+    this.signal = signal;
+  }
+
+  /**
+   * Iterate page by page. Yields `{ items, response, page }` where `page` is
+   * the 1-based page count and `items` is capped by `maxItems`.
+   */
+  async *pages() {
+    let state;
+    let count = 0;
+    let page = 0;
+
+    while (count < this.maxItems) {
+      if (this.signal?.aborted) {
+        throw new AbortError('Pagination aborted', {
+          reason: this.signal.reason,
+        });
+      }
+
+      const response = await this.fetchPage(state);
+      const pageItems = this.getItems(response) || [];
+      const items = pageItems.slice(0, this.maxItems - count);
+      count += items.length;
+      page++;
+
+      yield { items, response, page };
+
+      if (pageItems.length === 0) return;
+      const next = this.getNextState(response, state, pageItems);
+      if (next === null || next === undefined) return;
+      state = next;
+    }
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for await (const { items } of this.pages()) {
+      yield* items;
+    }
+  }
+
+  /**
+   * Collect every item into an array (respects `maxItems`).
+   */
+  async toArray() {
+    const all = [];
+    for await (const item of this) {
+      all.push(item);
+    }
+    return all;
+  }
+}
+
+/**
+ * Paginate an API that returns a `nextId` cursor.
+ *
+ * @param {Function} fetchPage - (nextId | undefined) => Promise<response>
+ * @param {PaginateOptions} [options]
+ */
+export function paginateByCursor(fetchPage, { maxItems, signal } = {}) {
+  return new Paginator({
+    fetchPage,
+    getNextState: (response, cursor) => {
+      const nextId =
+        response?.nextId ?? paginationInfo(response).nextId ?? null;
+      // Guard against a server echoing the same cursor forever
+      return nextId && nextId !== cursor ? nextId : null;
+    },
+    maxItems,
+    signal,
+  });
+}
+
+/**
+ * Paginate an API that takes `page` / `limit` query parameters.
+ *
+ * @param {Function} fetchPage - (page) => Promise<response>
+ * @param {PaginateOptions & {startPage?: number, limit?: number}} [options]
+ */
+export function paginateByPage(
+  fetchPage,
+  { startPage = 1, limit, maxItems, signal } = {},
+) {
+  return new Paginator({
+    fetchPage: (page = startPage) => fetchPage(page),
+    getNextState: (response, page = startPage, items) => {
+      const info = paginationInfo(response);
+      if (typeof info.hasNextPage === 'boolean') {
+        return info.hasNextPage ? page + 1 : null;
+      }
+      if (typeof info.hasMore === 'boolean') {
+        return info.hasMore ? page + 1 : null;
+      }
+      if (typeof info.totalPages === 'number') {
+        return page < info.totalPages ? page + 1 : null;
+      }
+      // No metadata: a short page means it was the last one
+      return limit && items.length >= limit ? page + 1 : null;
+    },
+    maxItems,
+    signal,
+  });
+}
+
+/**
+ * Wrap an API with no paging parameters so it exposes the same interface.
+ *
+ * @param {Function} fetchPage - () => Promise<response>
+ * @param {PaginateOptions} [options]
+ */
+export function paginateOnce(fetchPage, { maxItems, signal } = {}) {
+  return new Paginator({
+    fetchPage: () => fetchPage(),
+    getNextState: () => null,
+    maxItems,
+    signal,
+  });
+}
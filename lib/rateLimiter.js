@@ -0,0 +1,234 @@
+/**
+ * Client-side rate limiting and concurrency caps for BaseSDK._fetch
+ *
+ * Configured through the `rateLimit` constructor option or
+ * sdk.setRateLimit():
+ *
+ *   {
+ *     requestsPerSecond: 20,   // token bucket refill rate (global)
+ *     burst: 20,               // bucket size, defaults to requestsPerSecond
+ *     maxConcurrent: 10,       // max requests in flight (global)
+ *     endpoints: {
+ *       '/messaging/sms': { requestsPerSecond: 10 },
+ *       '/object': { maxConcurrent: 4 },
+ *     },
+ *   }
+ *
+ * A request waits for the longest matching endpoint prefix limiter, then for
+ * the global one. Waiting requests are served first-in first-out and leave
+ * the queue as soon as their AbortSignal fires.
+ */
+
+import { AbortError } from './errors.js';
+
+/**
+ * @typedef {Object} LimitOptions
+ * @property {number} [requestsPerSecond]
+ * @property {number} [burst]
+ * @property {number} [maxConcurrent]
+ */
+
+/**
+ * @typedef {LimitOptions & { endpoints?: Record<string, LimitOptions> }} RateLimitOptions
+ */
+
+export class Limiter {
+  /**
+   * @param {LimitOptions} [options]
+   */
+  constructor({ requestsPerSecond, burst, maxConcurrent } = {}) {
+    this.requestsPerSecond = requestsPerSecond || Infinity;
+    this.burst = burst || requestsPerSecond || Infinity;
+    this.maxConcurrent = maxConcurrent || Infinity;
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.inFlight = 0;
+    this.queue = [];
+    this._timer = null;
+  }
+
+  get queued() {
+    return this.queue.length;
+  }
+
+  /**
+   * Wait for a slot. Resolves with a release function that must be called
+   * once the request settles.
+   */
+  acquire(signal) {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, signal, onAbort: null };
+      if (signal) {
+        waiter.onAbort = () => {
+          const index = this.queue.indexOf(waiter);
+          if (index !== -1) {
+            this.queue.splice(index, 1);
+            reject(signal.reason);
+          }
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+      this.queue.push(waiter);
+      this._drain();
+    });
+  }
+
+  _refill() {
+    if (this.requestsPerSecond === Infinity) return;
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(
+      this.burst,
+      this.tokens + elapsed * this.requestsPerSecond,
+    );
+    this.lastRefill = now;
+  }
+
+  _drain() {
+    this._refill();
+
+    while (
+      this.queue.length > 0 &&
+      this.inFlight < this.maxConcurrent &&
+      this.tokens >= 1
+    ) {
+      const waiter = this.queue.shift();
+      waiter.signal?.removeEventListener('abort', waiter.onAbort);
+      this.tokens -= 1;
+      this.inFlight++;
+
+      let released = false;
+      waiter.resolve(() => {
+        if (released) return;
+        released = true;
+        this.inFlight--;
+        this._drain();
+      });
+    }
+
+    // Out of tokens: wake up when the next one is available
+    if (
+      this.queue.length > 0 &&
+      this.inFlight < this.maxConcurrent &&
+      this.tokens < 1 &&
+      !this._timer
+    ) {
+      const wait = Math.ceil(((1 - this.tokens) / this.requestsPerSecond) * 1000);
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this._drain();
+      }, wait);
+    }
+  }
+}
+
+function normalizePrefix(prefix) {
+  return prefix.length > 1 ? prefix.replace(/\/+$/, '') : prefix;
+}
+
+export class RateLimiter {
+  /**
+   * @param {RateLimitOptions|null} [config]
+   */
+  constructor(config = {}) {
+    this.configure(config);
+  }
+
+  /**
+   * @param {RateLimitOptions|null} [config]
+   */
+  configure(config = {}) {
+    const { endpoints = {}, ...globalConfig } = config || {};
+    const hasLimits = ({ requestsPerSecond, maxConcurrent } = {}) =>
+      Boolean(requestsPerSecond || maxConcurrent);
+
+    this.global = hasLimits(globalConfig) ? new Limiter(globalConfig) : null;
+    this.endpoints = new Map();
+    for (const [prefix, endpointConfig] of Object.entries(endpoints)) {
+      if (hasLimits(endpointConfig)) {
+        this.endpoints.set(normalizePrefix(prefix), new Limiter(endpointConfig));
+      }
+    }
+  }
+
+  get enabled() {
+    return Boolean(this.global) || this.endpoints.size > 0;
+  }
+
+  _endpointLimiter(endpoint) {
+    let match = null;
+    let matchLength = -1;
+    for (const [prefix, limiter] of this.endpoints) {
+      const isMatch =
+        endpoint === prefix ||
+        endpoint.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`) ||
+        endpoint.startsWith(`${prefix}?`);
+      if (isMatch && prefix.length > matchLength) {
+        match = limiter;
+        matchLength = prefix.length;
+      }
+    }
+    return match;
+  }
+
+  /**
+   * Wait until `endpoint` may be requested. Resolves with a release
+   * function; rejects with an AbortError if `signal` aborts while queued.
+   */
+  async acquire(endpoint, signal) {
+    if (!this.enabled) {
+      return () => {};
+    }
+
+    const limiters = [this._endpointLimiter(endpoint), this.global].filter(
+      Boolean,
+    );
+    const releases = [];
+    const releaseAll = () => releases.forEach((release) => release());
+
+    try {
+      for (const limiter of limiters) {
+        releases.push(await limiter.acquire(signal));
+      }
+    } catch (err) {
+      releaseAll();
+      throw new AbortError(`Request aborted while queued :: ${endpoint}`, {
+        reason: err,
+        endpoint,
+      });
+    }
+    return releaseAll;
+  }
+
+  /**
+   * Current queue depth and in-flight count per limiter.
+   */
+  stats() {
+    const stats = {};
+    if (this.global) {
+      stats.global = {
+        queued: this.global.queued,
+        inFlight: this.global.inFlight,
+      };
+    }
+    for (const [prefix, limiter] of this.endpoints) {
+      stats[prefix] = { queued: limiter.queued, inFlight: limiter.inFlight };
+    }
+    return stats;
+  }
+
+  /**
+   * Total number of requests waiting across all limiters.
+   */
+  get queueDepth() {
+    let depth = this.global?.queued || 0;
+    for (const limiter of this.endpoints.values()) {
+      depth += limiter.queued;
+    }
+    return depth;
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Retry policy helpers used by BaseSDK._fetch
+ *
+ * A policy can be supplied on the SDK constructor (`retry`) and overridden
+ * per call (`params.retry`). Accepted shapes:
+ *   - `false` / `0`       -> retries disabled
+ *   - `true`              -> default policy with 3 attempts
+ *   - `<number>`          -> default policy with that many attempts
+ *   - `{ ...options }`    -> merged over the SDK-level policy
+ */
+
+import { TransportError, TimeoutError } from './errors.js';
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} maxAttempts
+ * @property {number} baseDelay
+ * @property {number} maxDelay
+ * @property {number} factor
+ * @property {boolean} jitter
+ * @property {number[]} retryableStatuses
+ * @property {string[]} methods
+ * @property {boolean} respectRetryAfter
+ * @property {number} maxRetryAfter
+ * @property {((info: { attempt: number, delay: number, error: Error, endpoint: string, method: string }) => void)|null} onRetry
+ */
+
+/**
+ * @typedef {boolean|number|Partial<RetryPolicy>} RetryOption
+ */
+
+/**
+ * Methods that can safely be sent again: repeating them has the same effect
+ * as sending them once.
+ */
+export const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 1, // 1 = single attempt, retries disabled
+  baseDelay: 200, // ms, first backoff step
+  maxDelay: 10000, // ms, cap for computed backoff
+  factor: 2,
+  jitter: true, // "full jitter": random delay between 0 and the backoff step
+  retryableStatuses: [408, 425, 429, 500, 502, 503, 504],
+  // Idempotent only: POST is retried only when callers add it, ideally
+  // together with an idempotency key (see lib/idempotency.js)
+  methods: IDEMPOTENT_METHODS,
+  respectRetryAfter: true,
+  maxRetryAfter: 60000, // ms, give up instead of waiting longer than this
+  onRetry: null, // ({ attempt, delay, error, endpoint, method }) => void
+};
+
+const ENABLED_DEFAULT_ATTEMPTS = 3;
+
+function normalizePolicyOption(option) {
+  if (option === undefined || option === null) return {};
+  if (option === false || option === 0) return { maxAttempts: 1 };
+  if (option === true) return { maxAttempts: ENABLED_DEFAULT_ATTEMPTS };
+  if (typeof option === 'number') return { maxAttempts: option };
+  if (typeof option === 'object') return option;
+  throw new Error(
+    'Retry option must be a boolean, number of attempts, or policy object',
+  );
+}
+
+/**
+ * Merge the SDK-level policy with a per-call override.
+ */
+export function resolveRetryPolicy(basePolicy, override) {
+  const policy = {
+    ...DEFAULT_RETRY_POLICY,
+    ...basePolicy,
+    ...normalizePolicyOption(override),
+  };
+  policy.maxAttempts = Math.max(1, Math.floor(policy.maxAttempts || 1));
+  policy.methods = policy.methods.map((m) => m.toUpperCase());
+  return policy;
+}
+
+/**
+ * Build the SDK-level policy from the constructor `retry` option. A policy
+ * object without `maxAttempts` enables retries with the default count.
+ */
+export function createRetryPolicy(option) {
+  if (option && typeof option === 'object' && !('maxAttempts' in option)) {
+    return resolveRetryPolicy({ maxAttempts: ENABLED_DEFAULT_ATTEMPTS }, option);
+  }
+  return resolveRetryPolicy({}, option);
+}
+
+/**
+ * Parse a Retry-After header value (delta-seconds or HTTP date) into ms.
+ * Returns null when the header is absent or unparseable.
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Compute the backoff delay before the next attempt.
+ * `attempt` is the number of the attempt that just failed (1-based).
+ */
+export function computeRetryDelay(policy, attempt, retryAfter = null) {
+  if (policy.respectRetryAfter && typeof retryAfter === 'number') {
+    return retryAfter;
+  }
+
+  const step = Math.min(
+    policy.maxDelay,
+    policy.baseDelay * Math.pow(policy.factor, attempt - 1),
+  );
+  return policy.jitter ? Math.round(Math.random() * step) : step;
+}
+
+/**
+ * Request bodies that are consumed while sending cannot be replayed.
+ */
+export function isReplayableBody(body) {
+  if (!body || typeof body !== 'object') return true;
+  return !(
+    typeof body.pipe === 'function' || typeof body.getReader === 'function'
+  );
+}
+
+/**
+ * Decide whether a failed attempt should be retried.
+ *
+ * `failure` is either a thrown error or, for raw responses, the response
+ * status. HTTP failures carry a `status`; of the rest, only transport
+ * failures and timeouts are retried.
+ */
+export function shouldRetry(policy, { attempt, method, body, failure }) {
+  if (attempt >= policy.maxAttempts) return false;
+  if (!policy.methods.includes(method.toUpperCase())) return false;
+  if (!isReplayableBody(body)) return false;
+
+  const status = failure?.status;
+  if (status === undefined || status === null) {
+    return failure instanceof TransportError || failure instanceof TimeoutError;
+  }
+
+  if (!policy.retryableStatuses.includes(status)) return false;
+
+  if (
+    policy.respectRetryAfter &&
+    typeof failure.retryAfter === 'number' &&
+    failure.retryAfter > policy.maxRetryAfter
+  ) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Wait `ms` milliseconds. Resolves early if `signal` aborts; the caller is
+ * expected to check the signal afterwards.
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,73 @@
+/**
+ * Pool of namespace-scoped clients for multi-tenant backends
+ *
+ *   const sdk = new SDK({ rateLimit: { maxConcurrent: 20 }, cache: true });
+ *   const pool = new SdkPool(sdk, {
+ *     credentials: (namespace) => ({ tokenProvider: () => mintToken(namespace) }),
+ *     maxClients: 500,
+ *   });
+ *
+ *   await pool.get('acme').objects.query({ object: 'people' });
+ *
+ * Clients come from sdk.forNamespace(), so they share the root client's
+ * transports, cache, rate limiter, telemetry and logger. Each namespace gets
+ * one client, reused until it is evicted (least recently used first) or
+ * removed with delete().
+ */
+
+export class SdkPool {
+  /**
+   * @param {import('../base.js').BaseSDK} sdk - Root client the pool scopes from
+   * @param {Object} [options]
+   * @param {(namespace: string) => import('../base.js').ScopeOptions} [options.credentials] -
+   *   Credentials for namespaces requested without any
+   * @param {number} [options.maxClients=Infinity] - Evict the least recently used client above this size
+   */
+  constructor(sdk, { credentials, maxClients = Infinity } = {}) {
+    if (!sdk || typeof sdk.forNamespace !== 'function') {
+      throw new Error('SdkPool requires an SDK instance');
+    }
+    this.sdk = sdk;
+    this.credentials = credentials;
+    this.maxClients = maxClients;
+    this.clients = new Map();
+  }
+
+  /**
+   * Return the client for `namespace`, creating it on first use. Passing
+   * options for an existing namespace replaces that client's credentials.
+   *
+   * @param {string} namespace
+   * @param {import('../base.js').ScopeOptions} [options]
+   */
+  get(namespace, options) {
+    const client =
+      (!options && this.clients.get(namespace)) ||
+      this.sdk.forNamespace(namespace, options || this.credentials?.(namespace));
+
+    // Re-insert so Map order runs from least to most recently used
+    this.clients.delete(namespace);
+    this.clients.set(namespace, client);
+
+    while (this.clients.size > this.maxClients) {
+      this.clients.delete(this.clients.keys().next().value);
+    }
+    return client;
+  }
+
+  has(namespace) {
+    return this.clients.has(namespace);
+  }
+
+  delete(namespace) {
+    return this.clients.delete(namespace);
+  }
+
+  clear() {
+    this.clients.clear();
+  }
+
+  get size() {
+    return this.clients.size;
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * AbortSignal helpers for request timeouts and cancellation
+ */
+
+import { TimeoutError, AbortError } from './errors.js';
+
+/**
+ * Combine an optional caller signal with an optional timeout into a single
+ * signal for one request attempt. Call `cleanup()` once the attempt settles
+ * so the timer and listener don't outlive it.
+ */
+export function createRequestSignal({ signal, timeout } = {}) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+
+  const onAbort = () => controller.abort(signal.reason);
+
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  }
+
+  if (timeout > 0 && !controller.signal.aborted) {
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+  }
+
+  return {
+    signal: controller.signal,
+    get timedOut() {
+      return timedOut;
+    },
+    cleanup() {
+      if (timer) clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    },
+    /**
+     * Translate whatever the aborted operation threw into a TimeoutError or
+     * AbortError. Errors unrelated to this signal are returned unchanged.
+     */
+    toError(err, { method, endpoint }) {
+      if (!controller.signal.aborted) return err;
+      if (timedOut) {
+        return new TimeoutError(
+          `Request timed out after ${timeout}ms :: ${method.toUpperCase()} :: ${endpoint}`,
+          { timeout, method, endpoint },
+        );
+      }
+      return new AbortError(
+        `Request aborted :: ${method.toUpperCase()} :: ${endpoint}`,
+        { reason: signal?.reason, method, endpoint },
+      );
+    },
+  };
+}
+
+/**
+ * Reject as soon as `signal` aborts, even if `promise` ignores the signal
+ * (e.g. a transport plugin that doesn't support cancellation).
+ */
+export function raceSignal(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) {
+    // The losing promise must not surface as an unhandled rejection
+    promise.catch(() => {});
+    return Promise.reject(signal.reason);
+  }
+
+  let onAbort;
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([promise, aborted]).finally(() =>
+    signal.removeEventListener('abort', onAbort),
+  );
+}
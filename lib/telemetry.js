@@ -0,0 +1,256 @@
+/**
+ * Tracing and metrics hooks for BaseSDK._fetch
+ *
+ * Enabled through the `telemetry` constructor option or sdk.setTelemetry():
+ *
+ *   {
+ *     tracer,     // OpenTelemetry-compatible tracer: startSpan(name, { kind, attributes })
+ *     meter,      // OpenTelemetry-compatible meter: createCounter(), createHistogram()
+ *     onSpanEnd,  // (span) => void, plain callback with the finished span record
+ *     onMetric,   // ({ name, type, value, attributes }) => void
+ *     propagate,  // inject a W3C traceparent header (default true)
+ *   }
+ *
+ * `tracer` and `meter` can come straight from `@opentelemetry/api`
+ * (`trace.getTracer('unbound-sdk')`, `metrics.getMeter('unbound-sdk')`), but
+ * nothing here imports it: without a tracer the SDK generates W3C trace and
+ * span ids itself and reports spans through `onSpanEnd`.
+ */
+
+/**
+ * @typedef {Object} SpanRecord
+ * @property {string} name
+ * @property {string} traceId
+ * @property {string} spanId
+ * @property {string} [parentSpanId]
+ * @property {number} startTime
+ * @property {number} duration
+ * @property {Record<string, string|number|boolean>} attributes
+ * @property {Error} [error]
+ */
+
+/**
+ * @typedef {Object} TelemetryOptions
+ * @property {{ startSpan(name: string, options?: Object): any }} [tracer]
+ * @property {{ createCounter(name: string, options?: Object): any, createHistogram(name: string, options?: Object): any }} [meter]
+ * @property {(span: SpanRecord) => void} [onSpanEnd]
+ * @property {(metric: { name: string, type: 'counter'|'histogram', value: number, attributes: Object }) => void} [onMetric]
+ * @property {boolean} [propagate=true]
+ */
+
+export const METRIC_REQUESTS = 'unbound.sdk.requests';
+export const METRIC_ERRORS = 'unbound.sdk.request.errors';
+export const METRIC_DURATION = 'unbound.sdk.request.duration';
+
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_ERROR = 2;
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+function randomHex(bytes) {
+  const values = new Uint8Array(bytes);
+  if (globalThis.crypto?.getRandomValues) {
+    globalThis.crypto.getRandomValues(values);
+  } else {
+    for (let i = 0; i < bytes; i++) {
+      values[i] = Math.floor(Math.random() * 256);
+    }
+  }
+  return Array.from(values, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function parseTraceparent(value) {
+  const match = typeof value === 'string' && value.match(TRACEPARENT_PATTERN);
+  if (!match) return null;
+  return { traceId: match[1], spanId: match[2], flags: parseInt(match[3], 16) };
+}
+
+/**
+ * First path segment of an endpoint, e.g. '/object/query/people' -> 'object'
+ */
+function serviceFromEndpoint(endpoint) {
+  return endpoint.split(/[/?]/).find(Boolean) || 'root';
+}
+
+/**
+ * Run a user-supplied hook without letting it break the request.
+ */
+function safely(fn) {
+  try {
+    fn();
+  } catch (err) {
+    // Instrumentation failures are never surfaced to API callers
+  }
+}
+
+export class RequestSpan {
+  constructor(telemetry, { endpoint, method, namespace, headers }) {
+    this.telemetry = telemetry;
+    this.name = `${method.toUpperCase()} ${serviceFromEndpoint(endpoint)}`;
+    this.startTime = Date.now();
+    this.attributes = {
+      'unbound.service': serviceFromEndpoint(endpoint),
+      'unbound.endpoint': endpoint,
+      'unbound.namespace': namespace,
+      'http.request.method': method.toUpperCase(),
+    };
+
+    const parent = parseTraceparent(headers.traceparent);
+    let flags = parent ? parent.flags : 1;
+
+    if (telemetry.tracer) {
+      safely(() => {
+        this.native = telemetry.tracer.startSpan(this.name, {
+          kind: SPAN_KIND_CLIENT,
+          attributes: this.attributes,
+        });
+        const context = this.native.spanContext?.();
+        if (context) {
+          this.traceId = context.traceId;
+          this.spanId = context.spanId;
+          flags = context.traceFlags ?? flags;
+        }
+      });
+    }
+
+    if (!this.traceId) {
+      this.traceId = parent?.traceId || randomHex(16);
+      this.spanId = randomHex(8);
+      this.parentSpanId = parent?.spanId;
+    }
+
+    if (telemetry.propagate) {
+      headers.traceparent = `00-${this.traceId}-${this.spanId}-${flags
+        .toString(16)
+        .padStart(2, '0')}`;
+    }
+  }
+
+  /**
+   * Finish the span with what the request pipeline learned about the
+   * response (`responseInfo`) or the error it failed with.
+   *
+   * @param {{ responseInfo?: Object, error?: any }} [result]
+   */
+  end({ responseInfo = {}, error } = {}) {
+    this.duration = Date.now() - this.startTime;
+    const status = responseInfo.status ?? error?.status;
+    const requestId = responseInfo.requestId || error?.requestId;
+
+    Object.assign(this.attributes, {
+      'unbound.transport': responseInfo.transport || error?.transport,
+      'unbound.duration_ms': this.duration,
+      ...(status !== undefined && { 'http.response.status_code': status }),
+      ...(requestId && { 'unbound.request_id': requestId }),
+      ...(responseInfo.cacheHit && { 'unbound.cache_hit': true }),
+      ...(responseInfo.deduped && { 'unbound.deduped': true }),
+      ...(error && { 'error.type': error.name || 'Error' }),
+    });
+    for (const key of Object.keys(this.attributes)) {
+      if (this.attributes[key] === undefined) delete this.attributes[key];
+    }
+    this.error = error;
+
+    const { telemetry, native } = this;
+    if (native) {
+      safely(() => {
+        native.setAttributes?.(this.attributes);
+        if (error) {
+          native.recordException?.(error);
+          native.setStatus?.({
+            code: SPAN_STATUS_ERROR,
+            message: error.message,
+          });
+        }
+        native.end();
+      });
+    }
+
+    const metricAttributes = {
+      'unbound.service': this.attributes['unbound.service'],
+      'http.request.method': this.attributes['http.request.method'],
+      'unbound.transport': this.attributes['unbound.transport'],
+      ...(status !== undefined && { 'http.response.status_code': status }),
+    };
+    telemetry.recordMetric(METRIC_REQUESTS, 'counter', 1, metricAttributes);
+    telemetry.recordMetric(
+      METRIC_DURATION,
+      'histogram',
+      this.duration,
+      metricAttributes,
+    );
+    if (error) {
+      telemetry.recordMetric(METRIC_ERRORS, 'counter', 1, {
+        ...metricAttributes,
+        'error.type': this.attributes['error.type'],
+      });
+    }
+
+    if (telemetry.onSpanEnd) {
+      safely(() => telemetry.onSpanEnd(this.toJSON()));
+    }
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      startTime: this.startTime,
+      duration: this.duration,
+      attributes: { ...this.attributes },
+      error: this.error,
+    };
+  }
+}
+
+export class Telemetry {
+  /**
+   * @param {TelemetryOptions|null} [options]
+   */
+  constructor(options) {
+    this.configure(options);
+  }
+
+  configure(options) {
+    const config = options || null;
+    this.enabled = Boolean(config);
+    this.tracer = config?.tracer || null;
+    this.meter = config?.meter || null;
+    this.onSpanEnd = config?.onSpanEnd || null;
+    this.onMetric = config?.onMetric || null;
+    this.propagate = config?.propagate !== false;
+    this._instruments = {};
+  }
+
+  /**
+   * Start a span for one _fetch call. Returns null when telemetry is off.
+   * Adds a traceparent header to `headers` unless propagation is disabled.
+   */
+  startRequest({ endpoint, method, namespace, headers }) {
+    if (!this.enabled) return null;
+    return new RequestSpan(this, { endpoint, method, namespace, headers });
+  }
+
+  recordMetric(name, type, value, attributes) {
+    if (this.meter) {
+      safely(() => {
+        if (!this._instruments[name]) {
+          this._instruments[name] =
+            type === 'histogram'
+              ? this.meter.createHistogram(name, { unit: 'ms' })
+              : this.meter.createCounter(name);
+        }
+        const instrument = this._instruments[name];
+        if (type === 'histogram') {
+          instrument.record(value, attributes);
+        } else {
+          instrument.add(value, attributes);
+        }
+      });
+    }
+    if (this.onMetric) {
+      safely(() => this.onMetric({ name, type, value, attributes }));
+    }
+  }
+}
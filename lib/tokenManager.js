@@ -0,0 +1,100 @@
+/**
+ * Token refresh for BaseSDK using a caller-supplied `tokenProvider`
+ *
+ * The provider is an async function returning either a token string or
+ * `{ token, expiresAt }` (Date or epoch ms) / `{ token, expiresIn }` (seconds).
+ * Concurrent refreshes are coalesced onto a single provider call.
+ */
+
+/**
+ * @typedef {string|{ token: string, expiresAt?: Date|number, expiresIn?: number }} TokenResult
+ * @typedef {() => TokenResult|Promise<TokenResult>} TokenProvider
+ */
+
+export class TokenManager {
+  /**
+   * @param {TokenProvider} provider
+   * @param {Object} [options]
+   * @param {number} [options.refreshMargin=60000]
+   * @param {(token: string|null) => void} [options.onToken]
+   */
+  constructor(provider, { refreshMargin = 60000, onToken } = {}) {
+    if (typeof provider !== 'function') {
+      throw new Error('tokenProvider must be a function');
+    }
+    this.provider = provider;
+    this.refreshMargin = refreshMargin;
+    this.onToken = onToken;
+    this.token = null;
+    this.expiresAt = null;
+    this._pending = null;
+  }
+
+  needsRefresh() {
+    if (!this.token) return true;
+    if (!this.expiresAt) return false;
+    return Date.now() >= this.expiresAt - this.refreshMargin;
+  }
+
+  /**
+   * Return a usable token, refreshing first if it is missing or about to
+   * expire.
+   */
+  async getToken() {
+    if (this.needsRefresh()) {
+      await this.refresh();
+    }
+    return this.token;
+  }
+
+  /**
+   * Fetch a new token from the provider. When `staleToken` is given and the
+   * current token already differs from it, another caller has refreshed in
+   * the meantime and the provider is not called again.
+   */
+  refresh(staleToken) {
+    if (staleToken !== undefined && this.token && staleToken !== this.token) {
+      return Promise.resolve(this.token);
+    }
+
+    if (!this._pending) {
+      this._pending = Promise.resolve()
+        .then(() => this.provider())
+        .then((result) => {
+          this.setToken(result);
+          if (!this.token) {
+            throw new Error('tokenProvider must resolve to a token');
+          }
+          return this.token;
+        })
+        .finally(() => {
+          this._pending = null;
+        });
+    }
+    return this._pending;
+  }
+
+  /**
+   * Store a provider result (or a token set manually through sdk.setToken).
+   * A falsy token clears it so the next request asks the provider again.
+   */
+  setToken(result) {
+    const { token, expiresAt, expiresIn } =
+      typeof result === 'string' ? { token: result } : result || {};
+
+    this.token = token || null;
+    if (expiresAt instanceof Date) {
+      this.expiresAt = expiresAt.getTime();
+    } else if (typeof expiresAt === 'number') {
+      this.expiresAt = expiresAt;
+    } else if (typeof expiresIn === 'number') {
+      this.expiresAt = Date.now() + expiresIn * 1000;
+    } else {
+      this.expiresAt = null;
+    }
+
+    if (this.onToken) {
+      this.onToken(this.token);
+    }
+  }
+}
@@ -0,0 +1,513 @@
+/**
+ * Fluent builder for UOQL v2 queries (objects.queryV2)
+ *
+ * Builds the SQL-like query string from method calls instead of string
+ * concatenation, so values can never change the shape of the query:
+ *
+ *   sdk.objects
+ *     .from('people')
+ *     .select('id', 'firstName', 'companies.name')
+ *     .leftJoin('companies', 'people.companyId', 'companies.id')
+ *     .where('companyId', '=', companyId)
+ *     .where((q) => q.where('status', 'active').orWhereNull('closedAt'))
+ *     .orderBy('createdAt', 'DESC')
+ *     .limit(50)
+ *     .execute();
+ *
+ * Field and object names must be plain identifiers (optionally dotted,
+ * e.g. `companies.name`); anything else is rejected. Values are written as
+ * literals: strings are quoted with `'` doubled and `\` escaped, numbers and
+ * booleans are written as is, Dates as quoted ISO strings.
+ *
+ * Queries that only AND together equality filters can also run through the
+ * legacy objects.query() endpoint: toQueryOptions() compiles them to its
+ * `where` object and throws for anything it cannot express.
+ */
+
+import { ValidationError } from './errors.js';
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+const OPERATORS = [
+  '=',
+  '!=',
+  '<>',
+  '<',
+  '<=',
+  '>',
+  '>=',
+  'LIKE',
+  'NOT LIKE',
+  'IN',
+  'NOT IN',
+  'IS NULL',
+  'IS NOT NULL',
+];
+
+const JOIN_TYPES = ['INNER', 'LEFT'];
+
+// Keys objects.query() reads itself; a filter on one of them can't be sent
+const LEGACY_RESERVED = [
+  'select',
+  'limit',
+  'nextId',
+  'previousId',
+  'orderByDirection',
+  'expandDetails',
+];
+
+function invalid(field, message) {
+  return new ValidationError(
+    `Invalid value for parameter ${field}: ${message}`,
+    { errors: [{ field, message }] },
+  );
+}
+
+/**
+ * Validate a field or object name and return it unchanged.
+ *
+ * @param {string} name
+ * @param {string} [field='field'] - Parameter name used in the error
+ * @returns {string}
+ */
+export function formatIdentifier(name, field = 'field') {
+  if (typeof name !== 'string' || !IDENTIFIER.test(name)) {
+    throw invalid(field, `${JSON.stringify(name)} is not a valid identifier`);
+  }
+  return name;
+}
+
+/**
+ * Write a value as a UOQL literal.
+ *
+ * @param {string|number|bigint|boolean|Date} value
+ * @param {string} [field='value'] - Parameter name used in the error
+ * @returns {string}
+ */
+export function formatLiteral(value, field = 'value') {
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw invalid(field, `${value} cannot be used in a query`);
+    }
+    return String(value);
+  }
+  if (typeof value === 'bigint') return String(value);
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      throw invalid(field, 'is an invalid Date');
+    }
+    return formatLiteral(value.toISOString(), field);
+  }
+  throw invalid(
+    field,
+    `expected string, number, boolean or Date, got ${
+      value === null ? 'null' : typeof value
+    }`,
+  );
+}
+
+function normalizeOperator(operator, value) {
+  const op =
+    typeof operator === 'string'
+      ? operator.trim().toUpperCase().replace(/\s+/g, ' ')
+      : operator;
+  if (!OPERATORS.includes(op)) {
+    throw invalid('operator', `must be one of ${OPERATORS.join(', ')}`);
+  }
+  // `where(field, '=', null)` means IS NULL, as it would in a where object
+  if (value === null && op === '=') return 'IS NULL';
+  if (value === null && (op === '!=' || op === '<>')) return 'IS NOT NULL';
+  return op;
+}
+
+function createCondition(field, operator, value) {
+  formatIdentifier(field);
+  const op = normalizeOperator(operator, value);
+  if (op === 'IN' || op === 'NOT IN') {
+    if (!Array.isArray(value) || value.length === 0) {
+      throw invalid(field, `${op} needs a non-empty array of values`);
+    }
+    value.forEach((item, index) => formatLiteral(item, `${field}[${index}]`));
+  } else if (op === 'LIKE' || op === 'NOT LIKE') {
+    if (typeof value !== 'string') {
+      throw invalid(field, `${op} needs a string pattern`);
+    }
+  } else if (op !== 'IS NULL' && op !== 'IS NOT NULL') {
+    formatLiteral(value, field);
+  }
+  return { field, op, value };
+}
+
+function compileCondition({ field, op, value }) {
+  if (op === 'IS NULL' || op === 'IS NOT NULL') return `${field} ${op}`;
+  if (op === 'IN' || op === 'NOT IN') {
+    const list = value.map((item) => formatLiteral(item)).join(', ');
+    return `${field} ${op} (${list})`;
+  }
+  return `${field} ${op} ${formatLiteral(value)}`;
+}
+
+/**
+ * A list of conditions joined with AND / OR. Nested groups come from
+ * passing a callback to where() / orWhere() and are wrapped in parentheses.
+ */
+export class UoqlConditions {
+  constructor() {
+    /** @type {{ connector: 'AND'|'OR', node: Object }[]} */
+    this.clauses = [];
+  }
+
+  /**
+   * Add a condition joined with AND:
+   * - `where(field, value)` for equality
+   * - `where(field, operator, value)`
+   * - `where({ field: value, ... })` for several equalities
+   * - `where((group) => group.where(...).orWhere(...))` for a nested group
+   *
+   * @param {string|Record<string, any>|((group: UoqlConditions) => any)} field
+   * @param {any} [operator]
+   * @param {any} [value]
+   * @returns {this}
+   */
+  where(field, operator, value) {
+    return this._add('AND', arguments.length, field, operator, value);
+  }
+
+  /**
+   * Same forms as where(), joined with OR.
+   *
+   * @param {string|Record<string, any>|((group: UoqlConditions) => any)} field
+   * @param {any} [operator]
+   * @param {any} [value]
+   * @returns {this}
+   */
+  orWhere(field, operator, value) {
+    return this._add('OR', arguments.length, field, operator, value);
+  }
+
+  /**
+   * @param {string} field
+   * @param {Array<string|number|boolean|Date>} values
+   * @returns {this}
+   */
+  whereIn(field, values) {
+    return this.where(field, 'IN', values);
+  }
+
+  /**
+   * @param {string} field
+   * @param {Array<string|number|boolean|Date>} values
+   * @returns {this}
+   */
+  whereNotIn(field, values) {
+    return this.where(field, 'NOT IN', values);
+  }
+
+  /**
+   * @param {string} field
+   * @param {string} pattern - `%` and `_` wildcards
+   * @returns {this}
+   */
+  whereLike(field, pattern) {
+    return this.where(field, 'LIKE', pattern);
+  }
+
+  /**
+   * @param {string} field
+   * @returns {this}
+   */
+  whereNull(field) {
+    return this.where(field, 'IS NULL', null);
+  }
+
+  /**
+   * @param {string} field
+   * @returns {this}
+   */
+  whereNotNull(field) {
+    return this.where(field, 'IS NOT NULL', null);
+  }
+
+  /**
+   * @param {string} field
+   * @returns {this}
+   */
+  orWhereNull(field) {
+    return this.orWhere(field, 'IS NULL', null);
+  }
+
+  /**
+   * @param {string} field
+   * @returns {this}
+   */
+  orWhereNotNull(field) {
+    return this.orWhere(field, 'IS NOT NULL', null);
+  }
+
+  _add(connector, argCount, field, operator, value) {
+    let node;
+    if (typeof field === 'function') {
+      const group = new UoqlConditions();
+      field(group);
+      if (group.clauses.length === 0) return this;
+      node = { group };
+    } else if (field && typeof field === 'object') {
+      const group = new UoqlConditions();
+      for (const [key, item] of Object.entries(field)) {
+        if (item !== undefined) group.where(key, '=', item);
+      }
+      if (group.clauses.length === 0) return this;
+      node = group.clauses.length === 1 ? group.clauses[0].node : { group };
+    } else if (argCount === 2) {
+      node = { condition: createCondition(field, '=', operator) };
+    } else {
+      node = { condition: createCondition(field, operator, value) };
+    }
+    this.clauses.push({ connector, node });
+    return this;
+  }
+
+  /**
+   * @returns {string} The conditions as UOQL, without the WHERE keyword
+   */
+  compile() {
+    return this.clauses
+      .map(({ connector, node }, index) => {
+        const text = node.group
+          ? node.group.clauses.length > 1
+            ? `(${node.group.compile()})`
+            : node.group.compile()
+          : compileCondition(node.condition);
+        return index === 0 ? text : `${connector} ${text}`;
+      })
+      .join(' ');
+  }
+
+  /**
+   * Flatten to `{ field: value }` when every condition is an equality
+   * joined with AND; otherwise return the reason it can't be flattened.
+   */
+  _toEqualityMap(where = {}) {
+    for (const [index, { connector, node }] of this.clauses.entries()) {
+      if (index > 0 && connector === 'OR') {
+        return { reason: 'OR conditions' };
+      }
+      if (node.group) {
+        const nested = node.group._toEqualityMap(where);
+        if (nested.reason) return nested;
+        continue;
+      }
+      const { field, op, value } = node.condition;
+      if (op !== '=') return { reason: `the ${op} operator` };
+      if (field.includes('.')) return { reason: `joined field ${field}` };
+      if (LEGACY_RESERVED.includes(field)) {
+        return { reason: `a filter on the reserved key ${field}` };
+      }
+      if (value instanceof Date) return { reason: 'a Date value' };
+      if (typeof value === 'bigint') return { reason: 'a bigint value' };
+      if (field in where && where[field] !== value) {
+        return { reason: `two values for ${field}` };
+      }
+      where[field] = value;
+    }
+    return { where };
+  }
+}
+
+export class UoqlQuery extends UoqlConditions {
+  /**
+   * @param {string} object - Object to query (the FROM clause)
+   * @param {import('../services/objects.js').ObjectsService} [service] - Used by execute()
+   */
+  constructor(object, service) {
+    super();
+    this.object = formatIdentifier(object, 'object');
+    this.service = service;
+    this.fields = [];
+    this.joins = [];
+    this.sorts = [];
+    this.rowLimit = null;
+    this.expandDetails = false;
+  }
+
+  /**
+   * Fields to return; `*` when never called.
+   *
+   * @param {...(string|string[])} fields
+   * @returns {this}
+   */
+  select(...fields) {
+    for (const field of fields.flat()) {
+      this.fields.push(formatIdentifier(field));
+    }
+    return this;
+  }
+
+  /**
+   * Join another object on `leftField = rightField`.
+   *
+   * @param {string} object
+   * @param {string} leftField - e.g. 'people.companyId'
+   * @param {string} rightField - e.g. 'companies.id'
+   * @param {{ type?: 'INNER'|'LEFT' }} [options]
+   * @returns {this}
+   */
+  join(object, leftField, rightField, { type = 'INNER' } = {}) {
+    const joinType = String(type).toUpperCase();
+    if (!JOIN_TYPES.includes(joinType)) {
+      throw invalid('type', `must be one of ${JOIN_TYPES.join(', ')}`);
+    }
+    this.joins.push({
+      type: joinType,
+      object: formatIdentifier(object, 'object'),
+      left: formatIdentifier(leftField, 'leftField'),
+      right: formatIdentifier(rightField, 'rightField'),
+    });
+    return this;
+  }
+
+  /**
+   * @param {string} object
+   * @param {string} leftField
+   * @param {string} rightField
+   * @returns {this}
+   */
+  leftJoin(object, leftField, rightField) {
+    return this.join(object, leftField, rightField, { type: 'LEFT' });
+  }
+
+  /**
+   * Expand related records (the `expandDetails` flag of queryV2).
+   *
+   * @param {boolean} [enabled=true]
+   * @returns {this}
+   */
+  expand(enabled = true) {
+    this.expandDetails = Boolean(enabled);
+    return this;
+  }
+
+  /**
+   * @param {string} field
+   * @param {'ASC'|'DESC'|'asc'|'desc'} [direction='ASC']
+   * @returns {this}
+   */
+  orderBy(field, direction = 'ASC') {
+    const dir = String(direction).toUpperCase();
+    if (dir !== 'ASC' && dir !== 'DESC') {
+      throw invalid('direction', "must be one of 'ASC', 'DESC'");
+    }
+    this.sorts.push({ field: formatIdentifier(field), direction: dir });
+    return this;
+  }
+
+  /**
+   * @param {number} count
+   * @returns {this}
+   */
+  limit(count) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw invalid('limit', 'must be a positive integer');
+    }
+    this.rowLimit = count;
+    return this;
+  }
+
+  /**
+   * @returns {string} The UOQL v2 query string
+   */
+  toUOQL() {
+    const fields = this.fields.length ? this.fields.join(', ') : '*';
+    let text = `SELECT ${fields} FROM ${this.object}`;
+    for (const { type, object, left, right } of this.joins) {
+      text += ` ${type} JOIN ${object} ON ${left} = ${right}`;
+    }
+    if (this.clauses.length) {
+      text += ` WHERE ${this.compile()}`;
+    }
+    if (this.sorts.length) {
+      text += ` ORDER BY ${this.sorts
+        .map(({ field, direction }) => `${field} ${direction}`)
+        .join(', ')}`;
+    }
+    if (this.rowLimit !== null) {
+      text += ` LIMIT ${this.rowLimit}`;
+    }
+    return text;
+  }
+
+  toString() {
+    return this.toUOQL();
+  }
+
+  /**
+   * Compile to objects.query() options. Throws when the query uses
+   * anything the legacy where object can't express (OR, operators other
+   * than `=`, joins, ORDER BY, joined fields).
+   *
+   * @returns {import('../services/objects.js').ObjectQueryOptions}
+   */
+  toQueryOptions() {
+    let reason = null;
+    if (this.joins.length) reason = 'joins';
+    else if (this.sorts.length) reason = 'ORDER BY';
+    else if (this.fields.some((field) => field.includes('.'))) {
+      reason = 'joined fields in SELECT';
+    }
+    const flattened = reason ? null : this._toEqualityMap();
+    reason = reason || flattened.reason;
+    if (reason) {
+      throw new ValidationError(
+        `UOQL query on ${this.object} can't be sent through objects.query(): ` +
+          `it uses ${reason}`,
+        { errors: [{ field: 'query', message: `uses ${reason}` }] },
+      );
+    }
+
+    /** @type {import('../services/objects.js').ObjectQueryOptions} */
+    const options = { object: this.object, where: flattened.where };
+    if (this.fields.length) options.select = [...this.fields];
+    if (this.rowLimit !== null) options.limit = this.rowLimit;
+    if (this.expandDetails) options.expandDetails = true;
+    return options;
+  }
+
+  /**
+   * Run the query through objects.queryV2().
+   *
+   * @param {{ isPublic?: boolean }} [options]
+   * @returns {Promise<any>} Query results with pagination
+   */
+  async execute({ isPublic = false } = {}) {
+    return this._requireService().queryV2({
+      query: this.toUOQL(),
+      expandDetails: this.expandDetails,
+      isPublic,
+    });
+  }
+
+  /**
+   * Run the query through the legacy objects.query() endpoint. See
+   * toQueryOptions() for what can be expressed.
+   *
+   * @returns {Promise<any>} Query results
+   */
+  async executeLegacy() {
+    const options = this.toQueryOptions();
+    return this._requireService().query(options);
+  }
+
+  _requireService() {
+    if (!this.service) {
+      throw new ValidationError(
+        'This query was built without an ObjectsService; use sdk.objects.from()',
+        { errors: [{ field: 'service', message: 'is required' }] },
+      );
+    }
+    return this.service;
+  }
+}
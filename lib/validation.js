@@ -0,0 +1,210 @@
+/**
+ * Declarative parameter validation used by BaseSDK.validateParams
+ *
+ * A schema maps parameter names to rules:
+ *
+ *   {
+ *     to: { type: 'string', required: true, format: 'e164' },
+ *     orderByDirection: { type: 'string', enum: ['ASC', 'DESC'] },
+ *     limit: { type: 'integer', min: 1, max: 1000 },
+ *     select: { type: ['array', 'string'] },
+ *     phoneNumbers: { type: 'array', maxLength: 100, items: { format: 'e164' } },
+ *     address: { type: 'object', properties: { zip: { pattern: /^\d{5}$/ } } },
+ *     window: { type: 'object', validate: (w) => w.start < w.end || 'start must be before end' },
+ *   }
+ *
+ * Rules:
+ * - type: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array'
+ *   | 'function', or an array of those
+ * - required: reject undefined (null is treated as "not provided")
+ * - enum: allowed values
+ * - min / max: numeric bounds
+ * - minLength / maxLength: string or array length bounds
+ * - pattern: RegExp (or string source) a string must match
+ * - format: a key of FORMATS ('e164', 'email', 'date', 'date-time')
+ * - properties: nested schema for an object's keys
+ * - items: rule applied to every array element
+ * - validate: (value, params) => true | false | error message
+ *
+ * Every failing field is collected; nested fields use dotted / indexed
+ * paths such as `body.address.zip` or `phoneNumbers[2]`.
+ */
+
+/**
+ * @typedef {'string'|'number'|'integer'|'boolean'|'object'|'array'|'function'} ValidationType
+ */
+
+/**
+ * @typedef {Object} ValidationRule
+ * @property {ValidationType|ValidationType[]} [type]
+ * @property {boolean} [required]
+ * @property {any[]} [enum]
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {number} [minLength]
+ * @property {number} [maxLength]
+ * @property {RegExp|string} [pattern]
+ * @property {'e164'|'email'|'date'|'date-time'} [format]
+ * @property {Record<string, ValidationRule>} [properties]
+ * @property {ValidationRule} [items]
+ * @property {(value: any, params: Object) => boolean|string} [validate]
+ */
+
+export const FORMATS = {
+  e164: {
+    test: (value) => /^\+[1-9]\d{1,14}$/.test(value),
+    message: 'must be an E.164 phone number (e.g. +15551234567)',
+  },
+  email: {
+    test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: 'must be an email address',
+  },
+  date: {
+    test: (value) =>
+      /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+    message: 'must be an ISO 8601 date (YYYY-MM-DD)',
+  },
+  'date-time': {
+    test: (value) =>
+      /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(
+        value,
+      ) && !Number.isNaN(Date.parse(value)),
+    message: 'must be an ISO 8601 date-time with a timezone',
+  },
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'integer') return Number.isInteger(value);
+  // Arrays have always satisfied `type: 'object'` in service schemas
+  return typeof value === type;
+}
+
+function describeValue(value) {
+  return typeof value === 'string' ? `'${value}'` : String(value);
+}
+
+/**
+ * Validate one value against one rule. Returns an array of
+ * `{ field, message, kind }`, where kind is 'required', 'type' or 'value'.
+ */
+export function validateValue(value, rule = {}, field, params) {
+  if (value === undefined || value === null) {
+    return value === undefined && rule.required
+      ? [{ field, message: 'is required', kind: 'required' }]
+      : [];
+  }
+
+  if (rule.type) {
+    const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      return [
+        {
+          field,
+          message: `expected ${types.join(' or ')}, got ${typeOf(value)}`,
+          kind: 'type',
+        },
+      ];
+    }
+  }
+
+  const errors = [];
+  const fail = (message) => errors.push({ field, message, kind: 'value' });
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    fail(`must be one of ${rule.enum.map(describeValue).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) {
+      fail(`must be >= ${rule.min}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      fail(`must be <= ${rule.max}`);
+    }
+  }
+
+  if (typeof value === 'string' || Array.isArray(value)) {
+    const unit = typeof value === 'string' ? 'characters' : 'items';
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      fail(`must have at least ${rule.minLength} ${unit}`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      fail(`must have at most ${rule.maxLength} ${unit}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (rule.pattern) {
+      const pattern =
+        rule.pattern instanceof RegExp ? rule.pattern : new RegExp(rule.pattern);
+      if (!pattern.test(value)) {
+        fail(`must match ${pattern}`);
+      }
+    }
+    if (rule.format) {
+      const format = FORMATS[rule.format];
+      if (!format) {
+        throw new Error(`Unknown validation format: ${rule.format}`);
+      }
+      if (!format.test(value)) {
+        fail(format.message);
+      }
+    }
+  }
+
+  if (rule.properties && typeOf(value) === 'object') {
+    errors.push(...validateSchema(value, rule.properties, field));
+  }
+
+  if (rule.items && Array.isArray(value)) {
+    value.forEach((item, index) => {
+      errors.push(
+        ...validateValue(item, rule.items, `${field}[${index}]`, value),
+      );
+    });
+  }
+
+  if (typeof rule.validate === 'function' && errors.length === 0) {
+    const result = rule.validate(value, params);
+    if (result === false) {
+      fail('is invalid');
+    } else if (typeof result === 'string') {
+      fail(result);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate every key in `schema` against `params`, collecting all errors.
+ */
+export function validateSchema(params = {}, schema, prefix) {
+  const errors = [];
+  for (const key of Object.keys(schema)) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    errors.push(...validateValue(params?.[key], schema[key], field, params));
+  }
+  return errors;
+}
+
+/**
+ * One-line summary of validation errors for ValidationError.message. A
+ * single error keeps the wording validateParams has always used.
+ */
+export function summarizeErrors(errors) {
+  return errors
+    .map(({ field, message, kind }) => {
+      if (kind === 'required') return `Missing required parameter ${field}`;
+      if (kind === 'type') return `Invalid type for parameter ${field}: ${message}`;
+      return `Invalid value for parameter ${field}: ${message}`;
+    })
+    .join('; ');
+}
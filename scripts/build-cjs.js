@@ -0,0 +1,57 @@
+/**
+ * Build index.cjs, the CommonJS entry point for require() consumers
+ *
+ * The ESM sources stay the source of truth; this bundles them into one
+ * CommonJS file at the package root. Dependencies stay external, and
+ * `import()` of external packages is kept as a real dynamic import so
+ * ESM-only optional packages (e.g. @unboundcx/video-sdk-client) still load.
+ *
+ * `import.meta.url` has no CommonJS equivalent, so each module's occurrences
+ * are rewritten to that module's own file URL, keeping paths such as
+ * SttStream's proto file resolving exactly as they do under ESM.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readFile } from 'fs/promises';
+import { build } from 'esbuild';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const importMetaUrl = {
+  name: 'import-meta-url',
+  setup(pluginBuild) {
+    pluginBuild.onLoad({ filter: /\.js$/ }, async ({ path: file }) => {
+      const source = await readFile(file, 'utf8');
+      if (!source.includes('import.meta.url')) return undefined;
+
+      const relative = path.relative(root, file).split(path.sep).join('/');
+      const url = `require('url').pathToFileURL(require('path').join(__dirname, ${JSON.stringify(relative)})).href`;
+      return {
+        contents: source.replaceAll('import.meta.url', url),
+        loader: 'js',
+      };
+    });
+  },
+};
+
+await build({
+  absWorkingDir: root,
+  entryPoints: ['index.js'],
+  outfile: 'index.cjs',
+  bundle: true,
+  format: 'cjs',
+  platform: 'node',
+  target: 'node16',
+  packages: 'external',
+  plugins: [importMetaUrl],
+  banner: {
+    js: '// Generated by scripts/build-cjs.js from the ESM sources. Do not edit.',
+  },
+  // `require('@unboundcx/sdk')` returns the SDK class itself, with every
+  // named export (createSDK, services, errors) attached to it
+  footer: {
+    js: 'module.exports = Object.assign(module.exports.default, module.exports);',
+  },
+  logLevel: 'warning',
+});
@@ -492,7 +492,7 @@ export class TextToSpeechService {
    * @returns {Promise<Object>} { voices: Array, count: number, supportedEncodings: Array, supportedLanguages: Array }
    */
   async list() {
-    const result = await this.sdk._fetch('/ai/tts', 'GET');
+    const result = await this.sdk._fetch('/ai/tts', 'GET', { cache: true });
     return result;
   }
 }
@@ -507,6 +507,8 @@ export class SpeechToTextService {
    * @param {Object} options - Transcription options
    * @param {string} options.sourceType - 'file', 'storage', 'stream', or 'url'
    * @param {string} [options.sourceId] - Source identifier
+   * @param {string} [options.sipCallId] - SIP call identifier
+   * @param {string} [options.cdrId] - CDR ID
    * @param {string} [options.storageId] - Storage ID if using storage
    * @param {string} [options.engine='google'] - STT engine ('google', 'deepgram', 'whisper')
    * @param {string} [options.languageCode='en-US'] - BCP-47 language code
@@ -842,9 +844,9 @@ export class SpeechToTextService {
   /**
    * Log a transcription message for a streaming session
    * @param {string} sessionId - Transcription session ID
-   * @param {string} messageId - message id for the transcription
-   * @param {number} timestamp - message timestamp (unix)
    * @param {Object} message - Message data
+   * @param {string} [message.messageId] - message id for the transcription
+   * @param {number} [message.timestamp] - message timestamp (unix)
    * @param {string} message.text - Transcribed text
    * @param {Object} [message.transcriptionJson] - Full transcription metadata
    * @param {number} [message.duration] - Duration of this segment in seconds
@@ -1122,6 +1124,7 @@ export class ExtractService {
    * Detect intent response from natural language
    * @param {Object} options - Extraction options
    * @param {string} options.value - User's response (e.g., "I need help with my invoice")
+   * @param {Object} options.params - Intent detection parameters
    * @param {Object} options.params.question - The Question posed to the user to answer
    * @param {Object} options.params.validOptions - An array of objects with the valid intents
    *
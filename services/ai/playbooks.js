@@ -179,6 +179,9 @@ export class PlaybooksService {
    * @param {number} [options.weight=0] - Goal weight (0-100)
    * @param {boolean} [options.requiredForPass=false] - Whether required for pass
    * @param {string} [options.recordTypeId] - Record type ID
+   * @param {string} options.playbookGoalTypeId - The ID of the goal type
+   * @param {string} [options.role] - Conversation role the goal applies to
+   * @param {string} [options.signal] - Signal that indicates the goal was met
    * @returns {Promise<Object>} Created goal with id
    *
    * @example
@@ -324,6 +327,9 @@ export class PlaybooksService {
    * @param {number} [options.weight] - Goal weight (0-100)
    * @param {boolean} [options.requiredForPass] - Whether required for pass
    * @param {string} [options.recordTypeId] - Record type ID
+   * @param {string} options.playbookGoalTypeId - The ID of the goal type
+   * @param {string} [options.role] - Conversation role the goal applies to
+   * @param {string} [options.signal] - Signal that indicates the goal was met
    * @returns {Promise<Object>} Updated goal object
    *
    * @example
@@ -475,6 +481,8 @@ export class PlaybooksService {
    * @param {Array} [options.keywords] - Keywords array for matching
    * @param {string} [options.recommendedPhase] - Recommended phase ('early', 'middle', 'late', 'any')
    * @param {string} [options.recordTypeId] - Record type ID
+   * @param {string} [options.role] - Conversation role the goal type applies to
+   * @param {string} [options.signal] - Signal that indicates the goal was met
    * @returns {Promise<Object>} Created goal type with id
    *
    * @example
@@ -592,6 +600,8 @@ export class PlaybooksService {
    * @param {Array} [options.keywords] - Keywords array
    * @param {string} [options.recommendedPhase] - Recommended phase
    * @param {string} [options.recordTypeId] - Record type ID
+   * @param {string} [options.role] - Conversation role the goal type applies to
+   * @param {string} [options.signal] - Signal that indicates the goal was met
    * @returns {Promise<Object>} Updated goal type object
    *
    * @example
@@ -680,6 +690,9 @@ export class PlaybooksService {
    * @param {string} [options.method='ai'] - Method used for the session ('ai' or other custom methods)
    * @param {string} [options.userId] - User ID for the session (defaults to authenticated user)
    * @param {string} [options.recordTypeId] - Record type ID for tracking
+   * @param {string} [options.sipCallId] - SIP call ID to associate
+   * @param {string} [options.taskId] - Task ID to associate
+   * @param {string} [options.workerId] - Worker ID to associate
    * @returns {Promise<Object>} Session object with id, playbookId, method, and goals array
    *
    * @example
@@ -823,6 +836,9 @@ export class PlaybooksService {
    * @param {number} options.totalScore - Total score achieved in the session
    * @param {number} options.achievedGoals - Number of goals achieved
    * @param {number} options.totalGoals - Total number of goals in the playbook
+   * @param {number} [options.customerTotalScore] - Total score achieved by the customer
+   * @param {number} [options.customerAchievedGoals] - Number of customer goals achieved
+   * @param {number} [options.customerTotalGoals] - Total number of customer goals
    * @returns {Promise<Object>} Completion result with playbookSessionId
    *
    * @example
@@ -904,6 +920,7 @@ export class PlaybooksService {
    * @param {string} [options.reason] - Explanation for why goal was/wasn't achieved
    * @param {number} [options.confidence] - Confidence level (0-1) in the assessment
    * @param {Array} [options.evidence] - Array of evidence items supporting the assessment
+   * @param {string} [options.role] - Conversation role that achieved the goal
    * @returns {Promise<Object>} Result with playbookSessionId
    *
    * @example
@@ -17,6 +17,7 @@ export class FaxService {
    * @param {string} [options.resolution] - Fax resolution (e.g. 'fine', 'standard')
    * @param {string} [options.toNumber] - Destination number in E.164 format
    * @param {string} [options.fromNumber] - Sender number in E.164 format
+   * @param {string} [options.cId] - Call ID
    * @returns {Promise<Object>} Created fax document
    * @returns {string} result.id - The fax document ID (use in subsequent status calls)
    * @returns {string} result.status - 'receiving'
@@ -82,6 +83,7 @@ export class FaxService {
    * @param {string} [options.resolution] - Fax resolution (defaults to mailbox resolution)
    * @param {boolean} [options.ecm] - Enable Error Correction Mode (default: true)
    * @param {number} [options.timeout] - Dial timeout in seconds (defaults to mailbox dialTimeout)
+   * @param {string|boolean} [options.idempotencyKey] - Idempotency-Key for safe retries; generated when retries are enabled, `false` to omit
    * @returns {Promise<Object>} Send result
    * @returns {string} result.id - The fax document ID
    * @returns {string} result.status - 'sending' on success, 'failed' on NATS error
@@ -124,13 +126,14 @@ export class FaxService {
     resolution,
     ecm,
     timeout,
+    idempotencyKey,
   }) {
     this.sdk.validateParams(
       { faxMailboxId, toNumber, fromNumber },
       {
         faxMailboxId: { type: 'string', required: true },
-        toNumber: { type: 'string', required: true },
-        fromNumber: { type: 'string', required: true },
+        toNumber: { type: 'string', required: true, format: 'e164' },
+        fromNumber: { type: 'string', required: true, format: 'e164' },
         storageId: { type: 'string', required: false },
         pdfStorageId: { type: 'string', required: false },
         tiffStorageId: { type: 'string', required: false },
@@ -156,6 +159,7 @@ export class FaxService {
         ecm,
         timeout,
       },
+      idempotencyKey,
     };
 
     return await this.sdk._fetch('/fax/send', 'POST', params);
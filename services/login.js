@@ -52,7 +52,12 @@ export class LoginService {
   }
 
   async validate(forceFetch = true) {
-    console.log('login :: validate :: forceFetch', forceFetch);
+    if (this.sdk.debugMode) {
+      this.sdk.logger.debug('login :: validate', {
+        event: 'login.validate',
+        forceFetch,
+      });
+    }
     const options = {};
     const validation = await this.sdk._fetch(
       '/login/validate',
@@ -84,13 +84,14 @@ export class EmailMailboxesService {
 
   /**
    * List mailboxes with optional filtering
-   * @param {string} [userId] - Filter by assigned user ID
-   * @param {string} [search] - Search in mailbox name or display name
-   * @param {string[]} [folderCounts] - Array of folders to count messages for (if provided, returns counts)
-   * @param {number} [page=1] - Page number for pagination
-   * @param {number} [limit=50] - Number of items per page (max 100)
-   * @param {string} [sortBy='createdAt'] - Sort field: createdAt, mailbox, name
-   * @param {string} [sortOrder='desc'] - Sort order: asc, desc
+   * @param {Object} [options] - List options
+   * @param {string} [options.userId] - Filter by assigned user ID
+   * @param {string} [options.searchQuery] - Search in mailbox name or display name
+   * @param {string[]} [options.folderCounts] - Array of folders to count messages for (if provided, returns counts)
+   * @param {number} [options.page=1] - Page number for pagination
+   * @param {number} [options.limit=50] - Number of items per page (max 100)
+   * @param {string} [options.sortBy='createdAt'] - Sort field: createdAt, mailbox, name
+   * @param {string} [options.sortOrder='desc'] - Sort order: asc, desc
    * @returns {Promise<Object>} Paginated list of mailboxes with system addresses, optional message counts, and available folders
    * @example
    * // List all mailboxes (no counts)
@@ -108,7 +109,7 @@ export class EmailMailboxesService {
    * const userMailboxes = await sdk.messaging.email.mailboxes.list({userId:'userId123'});
    *
    * // Search and paginate
-   * const searchResults = await sdk.messaging.email.mailboxes.list({search: 'support', page: 1, limit: 10});
+   * const searchResults = await sdk.messaging.email.mailboxes.list({searchQuery: 'support', page: 1, limit: 10});
    */
   async list({
     userId,
@@ -118,7 +119,7 @@ export class EmailMailboxesService {
     limit = 50,
     sortBy = 'createdAt',
     sortOrder = 'desc',
-  }) {
+  } = {}) {
     this.sdk.validateParams(
       {
         userId,
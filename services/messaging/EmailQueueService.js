@@ -1,3 +1,5 @@
+import { paginateByPage } from '../../lib/paginate.js';
+
 export class EmailQueueService {
   constructor(sdk) {
     this.sdk = sdk;
@@ -38,6 +40,27 @@ export class EmailQueueService {
     return result;
   }
 
+  /**
+   * Iterate over every queue item, requesting pages automatically
+   * @param {Object} [params] - Queue query parameters
+   * @param {number} [params.page=1] - Page to start from
+   * @param {number} [params.limit=50] - Number of items per page (max 100)
+   * @param {string} [params.status] - Filter by status: 'queued', 'sent', 'delivered', 'failed'
+   * @param {number} [params.maxItems] - Stop after this many items
+   * @param {AbortSignal} [params.signal] - Stop iterating when aborted
+   * @returns {import('../../lib/paginate.js').Paginator} Async iterable of queue items with a pages() variant
+   * @example
+   * for await (const item of sdk.messaging.email.queue.iterate({ status: 'failed' })) {
+   *   console.log(item.id, item.to);
+   * }
+   */
+  iterate({ page = 1, limit, status, maxItems, signal } = {}) {
+    return paginateByPage(
+      (currentPage) => this.list({ page: currentPage, limit, status }),
+      { startPage: page, limit, maxItems, signal },
+    );
+  }
+
   /**
    * Get queued emails only (convenience method)
    * @param {Object} [params] - Query parameters
@@ -38,6 +38,8 @@ export class EmailService {
    * @param {boolean} [params.tracking=true] - Enable email tracking (opens, clicks)
    * @param {string} [params.mailboxId] - Specific mailbox to send from
    * @param {string} [params.draftId] - Convert existing draft to sent email
+   * @param {string} [params.engagementSessionId] - Engagement session ID to link to the email
+   * @param {string|boolean} [params.idempotencyKey] - Idempotency-Key for safe retries; generated when retries are enabled, `false` to omit
    * @returns {Promise<Object>} Email send result with ID and threading info
    */
   async send({
@@ -59,6 +61,7 @@ export class EmailService {
     mailboxId,
     draftId,
     engagementSessionId,
+    idempotencyKey,
   }) {
     // Validate required params (relaxed when using draftId)
     if (!draftId) {
@@ -131,6 +134,7 @@ export class EmailService {
 
     const options = {
       body: emailData,
+      idempotencyKey,
     };
 
     const result = await this.sdk._fetch('/messaging/email', 'POST', options);
@@ -16,6 +16,7 @@ export class SmsService {
    * @param {Object} [params.variables] - Template variables
    * @param {Array<string>} [params.mediaUrls] - Media URLs for MMS
    * @param {string} [params.webhookUrl] - Webhook URL for delivery status
+   * @param {string|boolean} [params.idempotencyKey] - Idempotency-Key for safe retries; generated when retries are enabled, `false` to omit
    * @returns {Promise<Object>} Message details
    */
   async send({
@@ -26,6 +27,7 @@ export class SmsService {
     variables,
     mediaUrls,
     webhookUrl,
+    idempotencyKey,
   }) {
     const messageData = {};
     if (from) messageData.from = from;
@@ -43,13 +45,18 @@ export class SmsService {
         message: { type: 'string', required: false },
         templateId: { type: 'string', required: false },
         variables: { type: 'object', required: false },
-        mediaUrls: { type: 'array', required: false },
+        mediaUrls: {
+          type: 'array',
+          required: false,
+          items: { type: 'string' },
+        },
         webhookUrl: { type: 'string', required: false },
       },
     );
 
     const options = {
       body: { to, ...messageData },
+      idempotencyKey,
     };
 
     const result = await this.sdk._fetch('/messaging/sms', 'POST', options);
@@ -1,3 +1,5 @@
+import { paginateByPage } from '../../lib/paginate.js';
+
 export class TenDlcBrandsService {
   constructor(sdk) {
     this.sdk = sdk;
@@ -30,6 +32,34 @@ export class TenDlcBrandsService {
     return result;
   }
 
+  /**
+   * Iterate over all 10DLC brands, requesting pages automatically
+   * @param {Object} [params] - Filter parameters
+   * @param {number} [params.page=1] - Page to start from
+   * @param {number} [params.limit=50] - Items per page
+   * @param {string} [params.name] - Filter by brand name
+   * @param {string} [params.status] - Filter by status
+   * @param {string} [params.operatorType='contains'] - Filter operator: contains, equals, startsWith, endsWith
+   * @param {number} [params.maxItems] - Stop after this many brands
+   * @param {AbortSignal} [params.signal] - Stop iterating when aborted
+   * @returns {import('../../lib/paginate.js').Paginator} Async iterable of brands with a pages() variant
+   */
+  iterate({
+    page = 1,
+    limit = 50,
+    name,
+    status,
+    operatorType,
+    maxItems,
+    signal,
+  } = {}) {
+    return paginateByPage(
+      (currentPage) =>
+        this.list({ page: currentPage, limit, name, status, operatorType }),
+      { startPage: page, limit, maxItems, signal },
+    );
+  }
+
   /**
    * Create a new 10DLC brand
    * @param {Object} params - Brand parameters
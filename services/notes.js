@@ -1,3 +1,5 @@
+import { paginateOnce } from '../lib/paginate.js';
+
 export class NotesService {
   constructor(sdk) {
     this.sdk = sdk;
@@ -29,6 +31,18 @@ export class NotesService {
     return result;
   }
 
+  /**
+   * Iterate over notes with the same interface as other iterate() methods.
+   * The notes API has no cursor or page parameter, so this yields the
+   * single page returned by list() (up to `limit` notes).
+   *
+   * @param {Object} params - list() parameters plus `maxItems` and `signal`
+   * @returns {import('../lib/paginate.js').Paginator} Async iterable of notes with a pages() variant
+   */
+  iterate({ maxItems, signal, ...params }) {
+    return paginateOnce(() => this.list(params), { maxItems, signal });
+  }
+
   async create({
     title,
     relatedId,
@@ -17,9 +17,90 @@
  * // Legacy (deprecated) usage still supported:
  * const result = await sdk.objects.query('users', { status: 'active' });
  */
+import { paginateByCursor, extractItems } from '../lib/paginate.js';
+import { runInChunks, createKeyedQueue } from '../lib/bulk.js';
+import { createIdempotencyKey } from '../lib/idempotency.js';
+import { UoqlQuery } from '../lib/uoql.js';
+import { AbortError, ValidationError } from '../lib/errors.js';
+import { DEFAULT_CACHE_TTL } from '../lib/cache.js';
+import { DATA_FORMATS, readRows, formatCsvRow } from '../lib/dataFormats.js';
+import {
+  normalizeFields,
+  coerceValue,
+  validateRecord,
+} from '../lib/objectSchema.js';
+import { ObjectSchemaService } from './objects/ObjectSchemaService.js';
+
+/**
+ * @typedef {Object} ObjectQueryOptions
+ * @property {string} object - Object name
+ * @property {string|string[]|null} [select] - Fields to return
+ * @property {Object} [where] - Field filters
+ * @property {number} [limit=100] - Page size
+ * @property {string|null} [nextId] - Cursor for the next page
+ * @property {string|null} [previousId] - Cursor for the previous page
+ * @property {'ASC'|'DESC'|'asc'|'desc'} [orderByDirection='DESC']
+ * @property {boolean} [expandDetails=false]
+ * @property {Object} [meta]
+ */
+
+/**
+ * One row of an objects.bulk() call
+ *
+ * @typedef {Object} BulkOperation
+ * @property {'create'|'update'|'upsert'|'delete'} op
+ * @property {Object} [body] - Record to create or upsert
+ * @property {string} [id] - Record to update or delete
+ * @property {Object} [update] - Fields to change (update)
+ * @property {string} [key] - Field matched on for upsert (defaults to `upsertKey`)
+ * @property {string} [idempotencyKey] - Sent when the row creates a record
+ *   (defaults to one derived from the checkpoint's `runId` and the row index)
+ */
+
+/**
+ * @typedef {import('../lib/bulk.js').BatchItemResult & {
+ *   op?: string,
+ *   action?: 'created'|'updated',
+ * }} BulkOperationResult
+ */
+
+/**
+ * @typedef {import('../lib/bulk.js').BatchCheckpoint & {
+ *   skipped?: number,
+ * }} ImportCheckpoint
+ */
+
+/**
+ * @typedef {Object} ImportResult
+ * @property {number} succeeded - Rows written, across resumed runs
+ * @property {number} failed - Rows reported on the errors stream
+ * @property {number} skipped - Rows the mapping function returned null for
+ * @property {ImportCheckpoint} checkpoint - Final checkpoint
+ */
+
+const BULK_OPERATION_SCHEMAS = {
+  create: { body: { type: 'object', required: true } },
+  update: {
+    id: { type: 'string', required: true },
+    update: { type: 'object', required: true },
+  },
+  upsert: {
+    body: { type: 'object', required: true },
+    key: { type: 'string', required: true },
+  },
+  delete: { id: { type: 'string', required: true } },
+};
+
+function upperCase(value) {
+  return typeof value === 'string' ? value.toUpperCase() : value;
+}
+
 export class ObjectsService {
   constructor(sdk) {
     this.sdk = sdk;
+    this.schema = new ObjectSchemaService(sdk, this);
+    // Field definitions by object for validate(): { fields, expires }
+    this._metadata = new Map();
   }
 
   /**
@@ -31,8 +112,9 @@ export class ObjectsService {
    * Legacy usage (deprecated, but supported):
    * sdk.objects.byId('someId', { 'select[]': ['field1', 'field2'] })
    *
-   * @param {string|object} args - Either ID string or options object
-   * @param {boolean} [args.isAiPrompt] - Clean data for AI prompt usage (removes system fields)
+   * @param {string|{id: string, isAiPrompt?: boolean, expandDetails?: boolean, query?: Object, [key: string]: any}} arg1 -
+   *   Either ID string or options object; `isAiPrompt` cleans data for AI prompt usage (removes system fields)
+   * @param {Object} [arg2] - Query parameters (legacy signature only)
    * @returns {Promise} Object data
    */
   async byId(arg1, arg2) {
@@ -88,8 +170,8 @@ export class ObjectsService {
    * Legacy usage (deprecated, but supported):
    * sdk.objects.query('users', { 'select[]': ['id', 'name'], status: 'active' })
    *
-   * @param {object} args - Query parameters
-   * @returns {Promise} Query results
+   * @param {[ObjectQueryOptions] | [string, Object?]} args - Query parameters
+   * @returns {Promise<any>} Query results
    */
   async query(...args) {
     // New signature: query({ object, select, where, ... })
@@ -101,10 +183,11 @@ export class ObjectsService {
         limit = 100,
         nextId = null,
         previousId = null,
-        orderByDirection = 'DESC',
         expandDetails = false,
         meta = {},
       } = args[0];
+      // 'asc' and 'desc' are accepted too
+      const orderByDirection = upperCase(args[0].orderByDirection ?? 'DESC');
 
       this.sdk.validateParams(
         {
@@ -120,12 +203,16 @@ export class ObjectsService {
         },
         {
           object: { type: 'string', required: true },
-          select: { type: 'object', required: false }, // array or string
+          select: { type: ['array', 'string'], required: false },
           where: { type: 'object', required: false },
           limit: { type: 'number', required: false },
           nextId: { type: 'string', required: false },
           previousId: { type: 'string', required: false },
-          orderByDirection: { type: 'string', required: false },
+          orderByDirection: {
+            type: 'string',
+            required: false,
+            enum: ['ASC', 'DESC'],
+          },
           expandDetails: { type: 'boolean', required: false },
           meta: { type: 'object', required: false },
         },
@@ -166,6 +253,35 @@ export class ObjectsService {
     throw new Error('Invalid arguments for query method');
   }
 
+  /**
+   * Iterate over every record matching a query, following `nextId` cursors
+   * automatically. Accepts the same options as query() (`limit` is the page
+   * size) plus `maxItems` to cap the total.
+   *
+   * @example
+   * for await (const person of sdk.objects.iterate({ object: 'people', where: { status: 'active' } })) {
+   *   console.log(person.id);
+   * }
+   *
+   * @example
+   * // Page at a time
+   * for await (const { items, page } of sdk.objects.iterate({ object: 'people', limit: 500 }).pages()) {
+   *   await processBatch(items);
+   * }
+   *
+   * @param {ObjectQueryOptions & { maxItems?: number, signal?: AbortSignal }} args - query() options
+   * @param {number} [args.maxItems] - Stop after this many records
+   * @param {AbortSignal} [args.signal] - Stop iterating when aborted
+   * @returns {import('../lib/paginate.js').Paginator} Async iterable of records with a pages() variant
+   */
+  iterate({ maxItems, signal, nextId, ...args } = {}) {
+    return paginateByCursor(
+      (cursor = nextId) =>
+        this.query(cursor ? { ...args, nextId: cursor } : { ...args }),
+      { maxItems, signal },
+    );
+  }
+
   /**
    * Query objects using UOQL v2 (SQL-like syntax).
    *
@@ -175,7 +291,8 @@ export class ObjectsService {
    * @param {object} args
    * @param {string} args.query - UOQL query string
    * @param {boolean} [args.expandDetails=false] - Whether to expand related details
-   * @returns {Promise} Query results with pagination
+   * @param {boolean} [args.isPublic=false] - Sets the isPublic flag on the query
+   * @returns {Promise<any>} Query results with pagination
    */
   async queryV2({ query, expandDetails = false, isPublic = false }) {
     this.sdk.validateParams(
@@ -191,6 +308,31 @@ export class ObjectsService {
     return await this.sdk._fetch('/object/query/v2', 'POST', params);
   }
 
+  /**
+   * Start a UOQL v2 query built with method calls. Values are escaped, so
+   * user input can be passed straight to where(). See lib/uoql.js.
+   *
+   * @example
+   * const result = await sdk.objects
+   *   .from('people')
+   *   .select('id', 'firstName', 'lastName')
+   *   .where('companyId', '=', companyId)
+   *   .where((q) => q.whereLike('email', '%@acme.com').orWhereNull('email'))
+   *   .orderBy('lastName')
+   *   .limit(10)
+   *   .execute();
+   *
+   * @example
+   * // Equality-only queries can also use the legacy endpoint
+   * await sdk.objects.from('people').where({ status: 'active' }).executeLegacy();
+   *
+   * @param {string} object - Object to query
+   * @returns {UoqlQuery}
+   */
+  from(object) {
+    return new UoqlQuery(object, this);
+  }
+
   /**
    * Update an object record by ID
    *
@@ -200,22 +342,29 @@ export class ObjectsService {
    * Legacy usage (deprecated, but supported):
    * sdk.objects.updateById('users', 'userId', { name: 'Jane' })
    *
-   * @param {object} args - Update parameters
-   * @returns {Promise} Updated object data
+   * With `validate: true` the update is checked with validate() first and
+   * a ValidationError is thrown without sending it when a field is invalid.
+   *
+   * @param {[{ object: string, id: string, update: Object, validate?: boolean }] | [string, string, Object]} args - Update parameters
+   * @returns {Promise<any>} Updated object data
    */
   async updateById(...args) {
     // New signature: updateById({ object, id, update })
     if (args.length === 1 && typeof args[0] === 'object' && args[0].object) {
-      const { object, id, update } = args[0];
+      const { object, id, update, validate = false } = args[0];
 
       this.sdk.validateParams(
-        { object, id, update },
+        { object, id, update, validate },
         {
           object: { type: 'string', required: true },
           id: { type: 'string', required: true },
           update: { type: 'object', required: true },
+          validate: { type: 'boolean', required: false },
         },
       );
+      if (validate) {
+        await this._assertValidRecord(object, update, { partial: true });
+      }
 
       const params = {
         body: {
@@ -283,23 +432,31 @@ export class ObjectsService {
    * Legacy usage (deprecated, but supported):
    * sdk.objects.create('users', { name: 'John', email: 'john@example.com' })
    *
-   * @param {object} args - Creation parameters
-   * @returns {Promise} Created object data
+   * With `validate: true` the record is checked with validate() first and
+   * a ValidationError is thrown without sending it when a field is invalid.
+   *
+   * @param {[{ object: string, body: Object, validate?: boolean, idempotencyKey?: string|boolean }] | [string, Object]} args - Creation parameters
+   * @returns {Promise<any>} Created object data
    */
   async create(...args) {
     // New signature: create({ object, body })
     if (args.length === 1 && typeof args[0] === 'object' && args[0].object) {
-      const { object, body } = args[0];
+      const { object, body, validate = false, idempotencyKey } = args[0];
 
       this.sdk.validateParams(
-        { object, body },
+        { object, body, validate, idempotencyKey },
         {
           object: { type: 'string', required: true },
           body: { type: 'object', required: true },
+          validate: { type: 'boolean', required: false },
+          idempotencyKey: { type: ['string', 'boolean'], required: false },
         },
       );
+      if (validate) {
+        await this._assertValidRecord(object, body);
+      }
 
-      const params = { body };
+      const params = { body, idempotencyKey };
       return await this.sdk._fetch(`/object/${object}`, 'POST', params);
     }
 
@@ -362,6 +519,600 @@ export class ObjectsService {
     return result;
   }
 
+  /**
+   * Check a record against the object's field definitions without sending
+   * it: required fields, types, lengths, picklist values, and read-only or
+   * generated fields that can't be written. Definitions come from
+   * describe() and are kept for five minutes per object; schema changes
+   * made through this service drop them, and `refresh` reloads them.
+   *
+   * Supports both signatures:
+   * sdk.objects.validate('people', record, options)
+   * sdk.objects.validate({ object: 'people', record, ...options })
+   *
+   * @example
+   * const { valid, errors } = await sdk.objects.validate('people', { email: 'nope' });
+   * // errors: [{ field: 'email', message: 'must be an email address' },
+   * //          { field: 'name', message: 'is required' }]
+   *
+   * @param {string|{ object: string, record: Object, partial?: boolean, refresh?: boolean }} objectOrParams - Object name, or all parameters
+   * @param {Object} [record] - Record to check
+   * @param {Object} [options]
+   * @param {boolean} [options.partial=false] - Skip missing required fields (for updates)
+   * @param {boolean} [options.refresh=false] - Reload the field definitions first
+   * @returns {Promise<{ valid: boolean, errors: import('../lib/objectSchema.js').FieldError[] }>}
+   */
+  async validate(objectOrParams, record, options = {}) {
+    const params =
+      objectOrParams && typeof objectOrParams === 'object'
+        ? objectOrParams
+        : { ...options, object: objectOrParams, record };
+    const { object, partial = false, refresh = false } = params;
+    this.sdk.validateParams(
+      { object, record: params.record, partial, refresh },
+      {
+        object: { type: 'string', required: true },
+        record: { type: 'object', required: true },
+        partial: { type: 'boolean', required: false },
+        refresh: { type: 'boolean', required: false },
+      },
+    );
+
+    const fields = await this._fieldDefinitions(object, { refresh });
+    const errors = validateRecord(params.record, fields, { partial });
+    return { valid: errors.length === 0, errors };
+  }
+
+  // Called after every schema change; without an object (changes made by
+  // id) every object's definitions are dropped. Cached `list()` and
+  // `describe()` responses under `/object/` are dropped either way.
+  async _forgetFieldDefinitions(object) {
+    if (object) {
+      this._metadata.delete(object);
+    } else {
+      this._metadata.clear();
+    }
+    await this.sdk.cache.invalidate('/object/', {
+      namespace: this.sdk.namespace,
+    });
+  }
+
+  async _assertValidRecord(object, record, options) {
+    const { errors } = await this.validate(object, record, options);
+    if (errors.length) {
+      const summary = errors
+        .map(({ field, message }) => `${field} ${message}`)
+        .join('; ');
+      throw new ValidationError(`Invalid ${object} record: ${summary}`, {
+        errors,
+      });
+    }
+  }
+
+  async _fieldDefinitions(object, { refresh = false } = {}) {
+    const cached = this._metadata.get(object);
+    if (cached && !refresh && cached.expires > Date.now()) {
+      return cached.fields;
+    }
+    if (refresh) {
+      await this._forgetFieldDefinitions(object);
+    }
+
+    const fields = this.describe(object).then(normalizeFields);
+    const entry = { fields, expires: Date.now() + DEFAULT_CACHE_TTL };
+    this._metadata.set(object, entry);
+    // Don't keep failed lookups
+    fields.catch(() => {
+      if (this._metadata.get(object) === entry) this._metadata.delete(object);
+    });
+    return fields;
+  }
+
+  /**
+   * Create, update, upsert or delete many records of one object. Rows run
+   * in chunks with at most `concurrency` requests in flight; a failing row
+   * is reported with its original index and does not stop the others.
+   *
+   * Upserts look the record up by `key` and update the first match, or
+   * create it when there is none. Upserts of the same key value run one
+   * after another, so a batch never creates the same record twice.
+   *
+   * After every chunk `onCheckpoint` receives a JSON-serializable
+   * checkpoint. Pass the last one back as `checkpoint` to resume after a
+   * crash; rows of the chunk that was running are sent again. Creates carry
+   * an Idempotency-Key made of the checkpoint's `runId` and the row index,
+   * so the API applies a create that is sent again only once.
+   *
+   * @example
+   * const { succeeded, failures } = await sdk.objects.bulk({
+   *   object: 'people',
+   *   operations: rows.map((body) => ({ op: 'upsert', body })),
+   *   upsertKey: 'email',
+   *   onCheckpoint: (checkpoint) => fs.writeFileSync('import.json', JSON.stringify(checkpoint)),
+   * });
+   * failures.forEach(({ index, error }) => console.warn(`row ${index}: ${error.message}`));
+   *
+   * @param {Object} params
+   * @param {string} params.object - Object name (required)
+   * @param {BulkOperation[]} params.operations - Rows to apply (required)
+   * @param {string} [params.upsertKey] - Default `key` for upsert rows
+   * @param {number} [params.chunkSize=100] - Rows per checkpoint
+   * @param {number} [params.concurrency=4] - Requests in flight at once
+   * @param {import('../lib/bulk.js').BatchCheckpoint} [params.checkpoint] - Resume from this checkpoint
+   * @param {(checkpoint: import('../lib/bulk.js').BatchCheckpoint) => any} [params.onCheckpoint] - Called (and awaited) after every chunk
+   * @param {AbortSignal} [params.signal] - Stop after the running rows when aborted
+   * @returns {Promise<import('../lib/bulk.js').BatchResult & { results: BulkOperationResult[], failures: BulkOperationResult[] }>}
+   */
+  async bulk({
+    object,
+    operations,
+    upsertKey,
+    chunkSize = 100,
+    concurrency = 4,
+    checkpoint,
+    onCheckpoint,
+    signal,
+  }) {
+    this.sdk.validateParams(
+      { object, operations, upsertKey, chunkSize, concurrency, checkpoint },
+      {
+        object: { type: 'string', required: true },
+        operations: { type: 'array', required: true },
+        upsertKey: { type: 'string', required: false },
+        chunkSize: { type: 'integer', required: false, min: 1 },
+        concurrency: { type: 'integer', required: false, min: 1 },
+        checkpoint: {
+          type: 'object',
+          required: false,
+          properties: {
+            nextIndex: { type: 'integer', required: true, min: 0 },
+          },
+        },
+      },
+    );
+
+    const runId = checkpoint?.runId || createIdempotencyKey();
+    const upserts = createKeyedQueue();
+    const outcome = await runInChunks(
+      operations,
+      (operation, index) =>
+        this._applyBulkOperation(object, operation, {
+          upsertKey,
+          idempotencyKey: `${runId}:${index}`,
+          upserts,
+        }),
+      {
+        chunkSize,
+        concurrency,
+        checkpoint: { ...checkpoint, runId },
+        onCheckpoint,
+        signal,
+      },
+    );
+
+    // Report the operation and upsert outcome next to each row
+    for (const row of outcome.results) {
+      row.op = operations[row.index]?.op;
+      if (row.ok) {
+        if (row.result.action) row.action = row.result.action;
+        row.result = row.result.record;
+      }
+    }
+    return outcome;
+  }
+
+  async _applyBulkOperation(
+    object,
+    operation,
+    { upsertKey, idempotencyKey, upserts = createKeyedQueue() },
+  ) {
+    const { op, id, body, update } = operation || {};
+    const key = operation?.key || upsertKey;
+    const createKey = operation?.idempotencyKey || idempotencyKey;
+    this.sdk.validateParams(
+      { op },
+      {
+        op: {
+          type: 'string',
+          required: true,
+          enum: Object.keys(BULK_OPERATION_SCHEMAS),
+        },
+      },
+    );
+    this.sdk.validateParams(
+      { id, body, update, key },
+      BULK_OPERATION_SCHEMAS[op],
+    );
+
+    if (op === 'create') {
+      return {
+        record: await this.create({
+          object,
+          body,
+          idempotencyKey: createKey,
+        }),
+      };
+    }
+    if (op === 'update') {
+      return { record: await this.updateById({ object, id, update }) };
+    }
+    if (op === 'delete') {
+      return { record: await this.deleteById({ object, id }) };
+    }
+
+    this.sdk.validateParams(
+      { body },
+      {
+        body: {
+          type: 'object',
+          properties: {
+            [key]: { type: ['string', 'number', 'boolean'], required: true },
+          },
+        },
+      },
+    );
+    // A second upsert of the key must see the record the first one created
+    return upserts(JSON.stringify([key, body[key]]), async () => {
+      const [existing] = extractItems(
+        await this.query({
+          object,
+          where: { [key]: body[key] },
+          select: ['id'],
+          limit: 1,
+        }),
+      );
+      if (existing?.id) {
+        const record = await this.updateById({
+          object,
+          id: existing.id,
+          update: body,
+        });
+        return { action: 'updated', record };
+      }
+      const record = await this.create({
+        object,
+        body,
+        idempotencyKey: createKey,
+      });
+      return { action: 'created', record };
+    });
+  }
+
+  /**
+   * Stream an object's records as CSV or NDJSON. Pages are fetched as the
+   * stream is read (see iterate()), so exports of any size run in constant
+   * memory; cancelling the stream stops further requests.
+   *
+   * CSV columns come from `select`, or from the first record's keys when
+   * there is no `select`. Empty values are written as empty cells and
+   * nested values as JSON.
+   *
+   * @example
+   * import { Readable } from 'node:stream';
+   * const csv = sdk.objects.export({ object: 'people', where: { status: 'active' }, format: 'csv' });
+   * Readable.fromWeb(csv).pipe(fs.createWriteStream('people.csv'));
+   *
+   * @param {ObjectQueryOptions & { format?: 'csv'|'ndjson', maxItems?: number, signal?: AbortSignal }} args - iterate() options
+   * @param {'csv'|'ndjson'} [args.format='csv']
+   * @returns {ReadableStream<string>} Text stream, one row per line
+   */
+  export({ format = 'csv', ...args } = {}) {
+    this.sdk.validateParams(
+      { object: args.object, format },
+      {
+        object: { type: 'string', required: true },
+        format: { type: 'string', required: false, enum: DATA_FORMATS },
+      },
+    );
+
+    const records = this.iterate(args)[Symbol.asyncIterator]();
+    let columns = Array.isArray(args.select)
+      ? args.select
+      : typeof args.select === 'string'
+        ? args.select.split(',').map((column) => column.trim())
+        : null;
+    let header = format === 'csv';
+
+    return new ReadableStream({
+      async pull(controller) {
+        const { done, value } = await records.next();
+        if (done) {
+          if (header && columns) controller.enqueue(formatCsvRow(columns));
+          controller.close();
+        } else if (format === 'ndjson') {
+          controller.enqueue(`${JSON.stringify(value)}\n`);
+        } else {
+          columns = columns || Object.keys(value);
+          const row = formatCsvRow(columns.map((column) => value[column]));
+          controller.enqueue(header ? formatCsvRow(columns) + row : row);
+          header = false;
+        }
+      },
+      cancel() {
+        return records.return?.();
+      },
+    });
+  }
+
+  /**
+   * Import records from a CSV or NDJSON source. Rows are parsed as they are
+   * read, mapped to fields, checked against the object's field definitions
+   * from describe() and written in chunks through the same path as bulk().
+   *
+   * Rows that fail to parse, fail validation or are rejected by the API are
+   * written to the `errors` stream, in the input format by default, with
+   * their source line number so they can be fixed and imported again:
+   * CSV reports have `line` and `errors` columns before the source columns;
+   * NDJSON reports are `{ line, index, errors, row }` objects.
+   *
+   * `mapping` renames source columns to fields ({ 'E-mail': 'email' }; only
+   * mapped columns are imported) or is a function returning the record for
+   * a row (return null to skip it). With `validate`, CSV values are
+   * converted to the field types first and empty cells are left out; with
+   * `validate: false` rows are sent as parsed.
+   *
+   * After every chunk `onCheckpoint` receives a JSON-serializable
+   * checkpoint; pass it back as `checkpoint` with the same source to resume
+   * after the rows it covers. As with bulk(), creates carry an
+   * Idempotency-Key derived from the checkpoint, so rows sent again after a
+   * crash are created once.
+   *
+   * @example
+   * const { errors, done } = sdk.objects.import(fs.createReadStream('people.csv'), {
+   *   object: 'people',
+   *   mapping: { 'First Name': 'firstName', 'E-mail': 'email' },
+   *   upsertKey: 'email',
+   * });
+   * Readable.fromWeb(errors).pipe(fs.createWriteStream('people.errors.csv'));
+   * const { succeeded, failed } = await done;
+   *
+   * @param {any} source - String, bytes, Node Readable, Web ReadableStream or (async) iterable of chunks
+   * @param {Object} options
+   * @param {string} options.object - Object name (required)
+   * @param {'csv'|'ndjson'} [options.format='csv']
+   * @param {Record<string, string>|((row: Record<string, any>, context: { line: number, index: number }) => Record<string, any>|null|undefined)} [options.mapping] - Column renames or row mapper
+   * @param {boolean} [options.validate=true] - Check rows against describe() before writing
+   * @param {string} [options.upsertKey] - Upsert on this field instead of creating
+   * @param {number} [options.chunkSize=100] - Rows per write chunk and checkpoint
+   * @param {number} [options.concurrency=4] - Requests in flight at once
+   * @param {ImportCheckpoint} [options.checkpoint] - Resume from this checkpoint
+   * @param {(checkpoint: ImportCheckpoint) => any} [options.onCheckpoint] - Called (and awaited) after every chunk
+   * @param {'csv'|'ndjson'} [options.errorFormat] - Error report format (defaults to `format`)
+   * @param {AbortSignal} [options.signal] - Stop after the running rows when aborted
+   * @returns {{ errors: ReadableStream<string>, done: Promise<ImportResult> }} Error report stream and completion promise
+   */
+  import(
+    source,
+    {
+      object,
+      format = 'csv',
+      mapping,
+      validate = true,
+      upsertKey,
+      chunkSize = 100,
+      concurrency = 4,
+      checkpoint,
+      onCheckpoint,
+      errorFormat = format,
+      signal,
+    } = {},
+  ) {
+    this.sdk.validateParams(
+      { object, format, mapping, upsertKey, chunkSize, concurrency },
+      {
+        object: { type: 'string', required: true },
+        format: { type: 'string', required: false, enum: DATA_FORMATS },
+        mapping: { type: ['object', 'function'], required: false },
+        upsertKey: { type: 'string', required: false },
+        chunkSize: { type: 'integer', required: false, min: 1 },
+        concurrency: { type: 'integer', required: false, min: 1 },
+      },
+    );
+    this.sdk.validateParams(
+      { errorFormat, checkpoint },
+      {
+        errorFormat: { type: 'string', required: false, enum: DATA_FORMATS },
+        checkpoint: {
+          type: 'object',
+          required: false,
+          properties: {
+            nextIndex: { type: 'integer', required: true, min: 0 },
+          },
+        },
+      },
+    );
+
+    let reporter;
+    const errors = new ReadableStream({
+      start(controller) {
+        reporter = controller;
+      },
+    });
+    let columns = null;
+    const report = (entry, sourceColumns) => {
+      const { line, index, row, errors: rowErrors } = entry;
+      if (errorFormat === 'ndjson') {
+        reporter.enqueue(
+          `${JSON.stringify({ line, index, errors: rowErrors, row })}\n`,
+        );
+        return;
+      }
+      const messages = rowErrors
+        .map(({ field, message }) => (field ? `${field} ${message}` : message))
+        .join('; ');
+      let text = '';
+      if (!columns) {
+        columns = sourceColumns || Object.keys(row || {});
+        text += formatCsvRow(['line', 'errors', ...columns]);
+      }
+      text += formatCsvRow([
+        line,
+        messages,
+        ...columns.map((column) => row?.[column]),
+      ]);
+      reporter.enqueue(text);
+    };
+
+    const done = this._runImport(source, {
+      object,
+      format,
+      mapping,
+      validate,
+      upsertKey,
+      chunkSize,
+      concurrency,
+      checkpoint,
+      onCheckpoint,
+      signal,
+      report,
+    });
+    done.then(
+      () => reporter.close(),
+      (err) => reporter.error(err),
+    );
+    return { errors, done };
+  }
+
+  async _runImport(
+    source,
+    {
+      object,
+      format,
+      mapping,
+      validate,
+      upsertKey,
+      chunkSize,
+      concurrency,
+      checkpoint,
+      onCheckpoint,
+      signal,
+      report,
+    },
+  ) {
+    const fields = validate ? await this._fieldDefinitions(object) : null;
+    const upserts = createKeyedQueue();
+    const progress = {
+      runId: checkpoint?.runId || createIdempotencyKey(),
+      nextIndex: checkpoint?.nextIndex || 0,
+      succeeded: checkpoint?.succeeded || 0,
+      failed: checkpoint?.failed || 0,
+      skipped: checkpoint?.skipped || 0,
+    };
+    let index = 0;
+    let chunk = [];
+    let columns;
+
+    const flush = async () => {
+      const writes = [];
+      const rejected = [];
+      for (const entry of chunk) {
+        if (entry.errors) {
+          rejected.push(entry);
+          progress.failed++;
+        } else if (entry.record) {
+          writes.push(entry);
+        } else {
+          progress.skipped++;
+        }
+      }
+      const outcome = await runInChunks(
+        writes,
+        ({ record, index: position }) =>
+          this._applyBulkOperation(
+            object,
+            { op: upsertKey ? 'upsert' : 'create', body: record },
+            {
+              upsertKey,
+              idempotencyKey: `${progress.runId}:${position}`,
+              upserts,
+            },
+          ),
+        { chunkSize: writes.length || 1, concurrency, signal },
+      );
+      for (const { index: position, error } of outcome.failures) {
+        rejected.push({
+          ...writes[position],
+          errors: [{ message: error.message, status: error.status }],
+        });
+      }
+      rejected
+        .sort((a, b) => a.index - b.index)
+        .forEach((entry) => report(entry, columns));
+      progress.succeeded += outcome.succeeded;
+      progress.failed += outcome.failed;
+      progress.nextIndex = index;
+      chunk = [];
+      if (onCheckpoint) {
+        await onCheckpoint({ ...progress });
+      }
+    };
+
+    for await (const { line, row, error } of readRows(source, format)) {
+      const position = index++;
+      if (position < progress.nextIndex) continue;
+      if (signal?.aborted) {
+        throw new AbortError(`Import aborted before row ${position}`, {
+          reason: signal.reason,
+        });
+      }
+
+      const entry = { line, index: position, row };
+      columns = columns || (row && Object.keys(row));
+      if (error) {
+        entry.errors = [{ message: error }];
+      } else {
+        entry.record = this._mapImportRow(row, entry, {
+          mapping,
+          format,
+          fields,
+        });
+        if (entry.record && fields) {
+          const errors = validateRecord(entry.record, fields, {
+            partial: Boolean(upsertKey),
+          });
+          if (errors.length) entry.errors = errors;
+        }
+      }
+      chunk.push(entry);
+      if (chunk.length >= chunkSize) await flush();
+    }
+    if (chunk.length) await flush();
+
+    return {
+      succeeded: progress.succeeded,
+      failed: progress.failed,
+      skipped: progress.skipped,
+      checkpoint: { ...progress },
+    };
+  }
+
+  _mapImportRow(row, { line, index }, { mapping, format, fields }) {
+    let record;
+    if (typeof mapping === 'function') {
+      record = mapping(row, { line, index });
+      if (!record) return null;
+    } else if (mapping) {
+      record = {};
+      for (const [column, field] of Object.entries(mapping)) {
+        if (field && column in row) record[field] = row[column];
+      }
+    } else {
+      record = { ...row };
+    }
+
+    // CSV cells are text: leave blanks out and convert to the field types
+    if (format === 'csv') {
+      for (const [field, value] of Object.entries(record)) {
+        if (value === '') {
+          delete record[field];
+        } else if (fields?.has(field)) {
+          record[field] = coerceValue(value, fields.get(field));
+        }
+      }
+    }
+    return record;
+  }
+
   async botSchema() {
     const result = await this.sdk._fetch(
       '/object/manage/bot-schema',
@@ -378,7 +1129,7 @@ export class ObjectsService {
       },
     );
 
-    const params = {};
+    const params = { cache: true };
 
     const result = await this.sdk._fetch(
       `/object/describe/${object}`,
@@ -389,7 +1140,7 @@ export class ObjectsService {
   }
 
   async list() {
-    const params = {};
+    const params = { cache: true };
 
     const result = await this.sdk._fetch(`/object/`, 'GET', params);
     return result;
@@ -446,6 +1197,7 @@ export class ObjectsService {
       'POST',
       params,
     );
+    await this._forgetFieldDefinitions(objectName);
     return result;
   }
 
@@ -559,6 +1311,7 @@ export class ObjectsService {
       'PUT',
       params,
     );
+    await this._forgetFieldDefinitions(objectName);
     return result;
   }
 
@@ -574,6 +1327,7 @@ export class ObjectsService {
       `/object/expandDetails/${id}`,
       'DELETE',
     );
+    await this._forgetFieldDefinitions();
     return result;
   }
 
@@ -628,6 +1382,7 @@ export class ObjectsService {
       'POST',
       params,
     );
+    await this._forgetFieldDefinitions(objectName);
     return result;
   }
 
@@ -724,6 +1479,7 @@ export class ObjectsService {
       'PUT',
       params,
     );
+    await this._forgetFieldDefinitions();
     return result;
   }
 
@@ -739,6 +1495,7 @@ export class ObjectsService {
       `/object/generatedColumns/${id}`,
       'DELETE',
     );
+    await this._forgetFieldDefinitions();
     return result;
   }
 
@@ -755,6 +1512,7 @@ export class ObjectsService {
     const params = { body };
 
     const result = await this.sdk._fetch(`/object/manage`, 'POST', params);
+    await this._forgetFieldDefinitions(name);
     return result;
   }
 
@@ -814,6 +1572,7 @@ export class ObjectsService {
       'POST',
       params,
     );
+    await this._forgetFieldDefinitions(objectName);
     return result;
   }
 
@@ -845,6 +1604,7 @@ export class ObjectsService {
       'PUT',
       params,
     );
+    await this._forgetFieldDefinitions(objectName);
     return result;
   }
 
@@ -908,6 +1668,7 @@ export class ObjectsService {
       'PUT',
       params,
     );
+    await this._forgetFieldDefinitions(objectName);
     return result;
   }
 
@@ -924,6 +1685,7 @@ export class ObjectsService {
       `/object/manage/${objectName}/${columnName}`,
       'DELETE',
     );
+    await this._forgetFieldDefinitions(objectName);
     return result;
   }
 }
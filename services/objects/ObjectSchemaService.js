@@ -0,0 +1,887 @@
+/**
+ * Declarative object schema migrations: sdk.objects.schema
+ *
+ * A schema describes the objects a namespace should have:
+ *
+ *   {
+ *     objects: {
+ *       people: {
+ *         description: 'People we talk to',
+ *         isBotAccessible: true,
+ *         columns: {
+ *           email: { type: 'varchar', length: 255, isRequired: true },
+ *           score: { type: 'int', defaultValue: '0' },
+ *         },
+ *         generatedColumns: {
+ *           fullName: { value: "CONCAT(firstName, ' ', lastName)" },
+ *         },
+ *         expandDetails: {
+ *           company: {
+ *             targetObject: 'companies',
+ *             lookupColumn: 'companyId',
+ *             expandFields: ['name'],
+ *           },
+ *         },
+ *       },
+ *     },
+ *   }
+ *
+ * diff() reads the live state (describe(), getGeneratedColumns(),
+ * getExpandDetails()) and returns an ordered plan of ObjectsService calls;
+ * apply() runs it. Only the properties a schema declares are compared, so a
+ * schema can manage part of an object. Undeclared columns, generated
+ * columns and expand details are left alone unless diff() is called with
+ * `prune: true`.
+ */
+
+import {
+  NotFoundError,
+  SchemaMigrationError,
+  ValidationError,
+} from '../../lib/errors.js';
+import { paginateByPage } from '../../lib/paginate.js';
+import { normalizeFields } from '../../lib/objectSchema.js';
+
+/**
+ * One call in a migration plan
+ *
+ * @typedef {Object} SchemaStep
+ * @property {string} action - ObjectsService method to call
+ * @property {string} object - Object the step changes
+ * @property {string} [name] - Column, generated column or expand detail name
+ * @property {Record<string, any>} params - Arguments for `action`
+ * @property {Record<string, any>|null} [previous] - Live values the step replaces
+ * @property {string} [description] - Human-readable summary
+ */
+
+/**
+ * @typedef {Object} SchemaPlan
+ * @property {SchemaStep[]} steps - In execution order
+ */
+
+/**
+ * @typedef {Object} SchemaStepResult
+ * @property {SchemaStep} step
+ * @property {'applied'|'skipped'|'pending'} status - `skipped` when the live
+ *   state already matched, `pending` for steps a dry run would apply
+ * @property {any} [result] - API response of an applied step
+ */
+
+/**
+ * @typedef {Object} SchemaApplyResult
+ * @property {boolean} dryRun
+ * @property {SchemaStepResult[]} results
+ * @property {SchemaStep[]} rollback - Steps undoing the applied ones, newest first
+ */
+
+const OBJECT_PROPERTIES = ['description', 'isBotAccessible', 'isPublicBot'];
+const COLUMN_CREATE_PROPERTIES = [
+  'type',
+  'length',
+  'defaultValue',
+  'isEncrypted',
+  'isRequired',
+];
+const COLUMN_PROPERTIES = [
+  ...COLUMN_CREATE_PROPERTIES,
+  'isBotAccessible',
+  'isPublicBot',
+  'isStandard',
+  'description',
+];
+const GENERATED_PROPERTIES = [
+  'value',
+  'type',
+  'columnType',
+  'length',
+  'isActive',
+];
+const EXPAND_PROPERTIES = [
+  'targetObject',
+  'lookupColumn',
+  'expandFields',
+  'keyField',
+  'isActive',
+];
+const PROTECTED_COLUMNS = ['id', 'createdAt', 'updatedAt'];
+// The list endpoints' default page size
+const LIST_PAGE_SIZE = 100;
+
+const OBJECT_RULE = {
+  type: 'object',
+  properties: {
+    description: { type: 'string' },
+    isBotAccessible: { type: 'boolean' },
+    isPublicBot: { type: 'boolean' },
+  },
+};
+const COLUMN_RULE = {
+  type: 'object',
+  properties: {
+    type: { type: 'string' },
+    length: { type: 'number' },
+    defaultValue: { type: 'string' },
+    isEncrypted: { type: 'boolean' },
+    isRequired: { type: 'boolean' },
+    isBotAccessible: { type: 'boolean' },
+    isPublicBot: { type: 'boolean' },
+    isStandard: { type: 'boolean' },
+    description: { type: 'string' },
+  },
+};
+const GENERATED_RULE = {
+  type: 'object',
+  properties: {
+    value: { type: 'string', required: true },
+    type: { type: 'string' },
+    columnType: { type: 'string' },
+    length: { type: 'string' },
+    isActive: { type: 'boolean' },
+  },
+};
+const EXPAND_RULE = {
+  type: 'object',
+  properties: {
+    targetObject: { type: 'string', required: true },
+    lookupColumn: { type: 'string', required: true },
+    expandFields: { type: 'array', required: true },
+    keyField: { type: 'string' },
+    isActive: { type: 'boolean' },
+  },
+};
+
+// How each step runs. Actions take the step params as their only argument,
+// except deletes by id.
+const STEP_ACTIONS = {
+  createObject: (objects, params) => objects.createObject(params),
+  modifyObject: (objects, params) => objects.modifyObject(params),
+  createColumn: (objects, params) => objects.createColumn(params),
+  modifyColumn: (objects, params) => objects.modifyColumn(params),
+  deleteColumn: (objects, params) => objects.deleteColumn(params),
+  createGeneratedColumn: (objects, params) =>
+    objects.createGeneratedColumn(params),
+  updateGeneratedColumn: (objects, params) =>
+    objects.updateGeneratedColumn(params),
+  deleteGeneratedColumn: (objects, params) =>
+    objects.deleteGeneratedColumn(params.id),
+  createExpandDetail: (objects, params) => objects.createExpandDetail(params),
+  updateExpandDetail: (objects, params) => objects.updateExpandDetail(params),
+  deleteExpandDetail: (objects, params) =>
+    objects.deleteExpandDetail(params.id),
+};
+
+function mapRules(map, rule) {
+  return Object.fromEntries(Object.keys(map || {}).map((key) => [key, rule]));
+}
+
+function pick(source, keys) {
+  const picked = {};
+  for (const key of keys) {
+    if (source?.[key] !== undefined) picked[key] = source[key];
+  }
+  return picked;
+}
+
+function toBoolean(value) {
+  if (typeof value === 'string') return value === 'true' || value === '1';
+  return Boolean(value);
+}
+
+function parseJson(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+function normalizeType(type) {
+  return String(type).toLowerCase().replace(/\(.*$/, '');
+}
+
+/**
+ * Whether a live value already matches a declared one. The API may return
+ * flags as 0/1, lengths as strings and JSON columns as text.
+ */
+function sameValue(key, current, desired) {
+  if (typeof desired === 'boolean') return toBoolean(current) === desired;
+  if (current === undefined || current === null) {
+    return desired === undefined || desired === null;
+  }
+  if (typeof desired === 'number') return Number(current) === desired;
+  if (desired && typeof desired === 'object') {
+    return JSON.stringify(parseJson(current)) === JSON.stringify(desired);
+  }
+  if (key === 'type' || key === 'columnType') {
+    return normalizeType(current) === normalizeType(desired);
+  }
+  return String(current) === String(desired);
+}
+
+function changedKeys(current, desired, keys) {
+  return keys.filter(
+    (key) =>
+      desired[key] !== undefined &&
+      !sameValue(key, current?.[key], desired[key]),
+  );
+}
+
+function matches(current, desired) {
+  return (
+    Boolean(current) &&
+    changedKeys(current, desired, Object.keys(desired)).length === 0
+  );
+}
+
+// modifyColumn() names the column type `columnType`
+function toModifyColumnParams(properties) {
+  const { type, ...rest } = properties;
+  return type === undefined ? rest : { ...rest, columnType: type };
+}
+
+function fromModifyColumnParams(params) {
+  const { objectName, columnName, columnType, ...rest } = params;
+  return columnType === undefined ? rest : { ...rest, type: columnType };
+}
+
+/**
+ * Live values converted to the types the ObjectsService methods validate
+ * (the API may return flags as 0/1 or lengths as strings), without the
+ * null and undefined ones those methods treat as "not provided".
+ */
+function conform(values, rule) {
+  const conformed = {};
+  for (const [key, value] of Object.entries(values || {})) {
+    if (value === undefined || value === null) continue;
+    const type = rule.properties[key]?.type;
+    if (type === 'boolean') conformed[key] = toBoolean(value);
+    else if (type === 'number') conformed[key] = Number(value);
+    else if (type === 'string') conformed[key] = String(value);
+    else if (type === 'array') conformed[key] = parseJson(value);
+    else conformed[key] = value;
+  }
+  return conformed;
+}
+
+function toCreateColumnParams(objectName, name, definition) {
+  return {
+    objectName,
+    name,
+    ...conform(pick(definition, COLUMN_CREATE_PROPERTIES), COLUMN_RULE),
+  };
+}
+
+function findById(map, id) {
+  return [...(map?.values() || [])].find((item) => item.id === id);
+}
+
+function createStep(action, object, name, params, previous, description) {
+  return { action, object, name, params, previous, description };
+}
+
+export class ObjectSchemaService {
+  /**
+   * @param {any} sdk
+   * @param {import('../objects.js').ObjectsService} objects
+   */
+  constructor(sdk, objects) {
+    this.sdk = sdk;
+    this.objects = objects;
+  }
+
+  /**
+   * Compare a schema with the live namespace and return the steps that
+   * bring the namespace in line with it. Steps are ordered so that objects
+   * exist before their columns, columns before generated columns and
+   * expand details, and deletions (`prune`) come last.
+   *
+   * @example
+   * const plan = await sdk.objects.schema.diff(JSON.parse(fs.readFileSync('schema.json', 'utf8')));
+   * plan.steps.forEach((step) => console.log(step.description));
+   *
+   * @param {Object} desired - Schema (see the module docs)
+   * @param {Record<string, any>} desired.objects - Object definitions by name
+   * @param {Object} [options]
+   * @param {boolean} [options.prune=false] - Also delete undeclared columns, generated columns and expand details of declared sections
+   * @returns {Promise<SchemaPlan>}
+   */
+  async diff(desired, { prune = false } = {}) {
+    this._validateSchema(desired);
+
+    const phases = {
+      objects: [],
+      columns: [],
+      generated: [],
+      expand: [],
+      prune: [],
+    };
+    const states = new Map();
+    for (const [object, definition] of Object.entries(desired.objects)) {
+      const state = await this._state(states, object, [
+        definition.generatedColumns && 'generated',
+        definition.expandDetails && 'expand',
+      ]);
+      this._diffObject(object, definition, state, phases);
+      this._diffColumns(object, definition, state, phases, prune);
+      this._diffGenerated(object, definition, state, phases, prune);
+      this._diffExpand(object, definition, state, phases, prune);
+    }
+
+    return {
+      steps: [
+        ...phases.objects,
+        ...phases.columns,
+        ...phases.generated,
+        ...phases.expand,
+        ...phases.prune,
+      ],
+    };
+  }
+
+  /**
+   * Run a plan from diff() (or a rollback list) in order. Before each step
+   * the live state is read again and steps that are already in effect are
+   * skipped, so a plan can be applied again after a partial failure.
+   *
+   * Every applied step adds the step that undoes it to `rollback`, newest
+   * first; `apply({ steps: rollback })` reverts the migration. Objects
+   * can't be deleted through the API, so created objects stay. Deleted
+   * columns are recreated without their data.
+   *
+   * When a step fails, apply() stops and throws SchemaMigrationError with
+   * the failing `step`, the `results` so far and the `rollback` list.
+   *
+   * @example
+   * const { results, rollback } = await sdk.objects.schema.apply(plan);
+   * fs.writeFileSync('rollback.json', JSON.stringify(rollback));
+   *
+   * @param {SchemaPlan|SchemaStep[]} plan
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Report which steps would run without changing anything
+   * @returns {Promise<SchemaApplyResult>}
+   */
+  async apply(plan, { dryRun = false } = {}) {
+    const steps = Array.isArray(plan) ? plan : plan?.steps;
+    this.sdk.validateParams(
+      { steps, dryRun },
+      {
+        steps: {
+          type: 'array',
+          required: true,
+          items: {
+            type: 'object',
+            properties: {
+              action: {
+                type: 'string',
+                required: true,
+                enum: Object.keys(STEP_ACTIONS),
+              },
+              object: { type: 'string', required: true },
+              params: { type: 'object', required: true },
+            },
+          },
+        },
+        dryRun: { type: 'boolean', required: false },
+      },
+    );
+
+    const states = new Map();
+    const results = [];
+    const rollback = [];
+    for (const step of steps) {
+      const state = await this._state(states, step.object, [
+        step.action.endsWith('GeneratedColumn') && 'generated',
+        step.action.endsWith('ExpandDetail') && 'expand',
+      ]);
+      if (this._isApplied(step, state)) {
+        results.push({ step, status: 'skipped' });
+        continue;
+      }
+      if (dryRun) {
+        results.push({ step, status: 'pending' });
+        continue;
+      }
+
+      let result;
+      try {
+        result = await STEP_ACTIONS[step.action](this.objects, step.params);
+      } catch (error) {
+        const at = step.description || step.action;
+        throw new SchemaMigrationError(
+          `Schema migration failed at ${at}: ${error.message}`,
+          { step, results, rollback, cause: error },
+        );
+      } finally {
+        states.delete(step.object);
+      }
+      results.push({ step, status: 'applied', result });
+      const undo = this._rollbackFor(step, result);
+      if (undo) rollback.unshift(undo);
+    }
+
+    return { dryRun, results, rollback };
+  }
+
+  _validateSchema(desired) {
+    const objects = desired?.objects;
+    this.sdk.validateParams(
+      { objects },
+      {
+        objects: {
+          type: 'object',
+          required: true,
+          properties: Object.fromEntries(
+            Object.entries(
+              objects && typeof objects === 'object' ? objects : {},
+            ).map(([name, definition]) => [
+              name,
+              {
+                type: 'object',
+                properties: {
+                  ...OBJECT_RULE.properties,
+                  columns: {
+                    type: 'object',
+                    properties: mapRules(definition?.columns, COLUMN_RULE),
+                  },
+                  generatedColumns: {
+                    type: 'object',
+                    properties: mapRules(
+                      definition?.generatedColumns,
+                      GENERATED_RULE,
+                    ),
+                  },
+                  expandDetails: {
+                    type: 'object',
+                    properties: mapRules(
+                      definition?.expandDetails,
+                      EXPAND_RULE,
+                    ),
+                  },
+                },
+              },
+            ]),
+          ),
+        },
+      },
+    );
+  }
+
+  /**
+   * Live state of one object, read once per diff()/apply() and again after
+   * a step changes it. Generated columns and expand details are only
+   * listed when needed.
+   */
+  async _state(states, object, parts) {
+    let state = states.get(object);
+    if (!state) {
+      state = await this._readObject(object);
+      states.set(object, state);
+    }
+    for (const part of parts.filter(Boolean)) {
+      if (!state[part]) {
+        state[part] = state.exists
+          ? await this._readList(object, part)
+          : new Map();
+      }
+    }
+    return state;
+  }
+
+  async _readObject(object) {
+    // describe() is cacheable; a migration needs the live definition
+    await this.objects._forgetFieldDefinitions(object);
+    let description;
+    try {
+      description = await this.objects.describe(object);
+    } catch (err) {
+      if (err instanceof NotFoundError) {
+        return { exists: false, properties: {}, columns: new Map() };
+      }
+      throw err;
+    }
+    return {
+      exists: true,
+      properties: pick(description?.object || description, OBJECT_PROPERTIES),
+      columns: normalizeFields(description),
+    };
+  }
+
+  async _readList(object, part) {
+    const list = (query) =>
+      part === 'generated'
+        ? this.objects.getGeneratedColumns(query)
+        : this.objects.getExpandDetails(query);
+    // Read every page: a missing entry would be planned as a create
+    const items = await paginateByPage(
+      (page) =>
+        list({
+          objectName: object,
+          limit: LIST_PAGE_SIZE,
+          offset: (page - 1) * LIST_PAGE_SIZE,
+        }),
+      { limit: LIST_PAGE_SIZE },
+    ).toArray();
+    const key = part === 'generated' ? 'columnName' : 'fieldName';
+    return new Map(
+      items
+        .filter((item) => !item.objectName || item.objectName === object)
+        .map((item) => [item[key], item]),
+    );
+  }
+
+  _diffObject(object, definition, state, phases) {
+    const declared = pick(definition, OBJECT_PROPERTIES);
+    if (!state.exists) {
+      phases.objects.push(
+        createStep(
+          'createObject',
+          object,
+          undefined,
+          { name: object },
+          null,
+          `Create object ${object}`,
+        ),
+      );
+    }
+    const changed = changedKeys(
+      state.properties,
+      declared,
+      OBJECT_PROPERTIES,
+    );
+    if (changed.length) {
+      phases.objects.push(
+        createStep(
+          'modifyObject',
+          object,
+          undefined,
+          { objectName: object, ...pick(declared, changed) },
+          pick(state.properties, changed),
+          `Modify object ${object}: ${changed.join(', ')}`,
+        ),
+      );
+    }
+  }
+
+  _diffColumns(object, definition, state, phases, prune) {
+    const declared = definition.columns || {};
+    for (const [name, column] of Object.entries(declared)) {
+      const current = state.columns.get(name);
+      if (!current) {
+        if (!column.type) {
+          const field = `objects.${object}.columns.${name}.type`;
+          throw new ValidationError(`Missing required parameter ${field}`, {
+            errors: [{ field, message: 'is required to create the column' }],
+          });
+        }
+        phases.columns.push(
+          createStep(
+            'createColumn',
+            object,
+            name,
+            toCreateColumnParams(object, name, column),
+            null,
+            `Create column ${object}.${name}`,
+          ),
+        );
+      }
+
+      // Properties createColumn() can't set are applied right after it
+      const changed = changedKeys(
+        current,
+        column,
+        current
+          ? COLUMN_PROPERTIES
+          : COLUMN_PROPERTIES.filter(
+              (key) => !COLUMN_CREATE_PROPERTIES.includes(key),
+            ),
+      );
+      if (changed.length) {
+        phases.columns.push(
+          createStep(
+            'modifyColumn',
+            object,
+            name,
+            {
+              objectName: object,
+              columnName: name,
+              ...toModifyColumnParams(pick(column, changed)),
+            },
+            current ? pick(current, changed) : null,
+            `Modify column ${object}.${name}: ${changed.join(', ')}`,
+          ),
+        );
+      }
+    }
+
+    if (!prune || !definition.columns) return;
+    for (const [name, current] of state.columns) {
+      if (
+        name in declared ||
+        PROTECTED_COLUMNS.includes(name) ||
+        toBoolean(current.isSystem) ||
+        toBoolean(current.isStandard)
+      ) {
+        continue;
+      }
+      phases.prune.push(
+        createStep(
+          'deleteColumn',
+          object,
+          name,
+          { objectName: object, columnName: name },
+          pick(current, COLUMN_CREATE_PROPERTIES),
+          `Delete column ${object}.${name}`,
+        ),
+      );
+    }
+  }
+
+  _diffGenerated(object, definition, state, phases, prune) {
+    if (!definition.generatedColumns) return;
+    for (const [name, generated] of Object.entries(
+      definition.generatedColumns,
+    )) {
+      const current = state.generated.get(name);
+      if (!current) {
+        phases.generated.push(
+          createStep(
+            'createGeneratedColumn',
+            object,
+            name,
+            {
+              objectName: object,
+              columnName: name,
+              ...pick(generated, GENERATED_PROPERTIES),
+            },
+            null,
+            `Create generated column ${object}.${name}`,
+          ),
+        );
+        continue;
+      }
+      const changed = changedKeys(current, generated, GENERATED_PROPERTIES);
+      if (changed.length) {
+        phases.generated.push(
+          createStep(
+            'updateGeneratedColumn',
+            object,
+            name,
+            { id: current.id, ...pick(generated, changed) },
+            pick(current, changed),
+            `Update generated column ${object}.${name}: ${changed.join(', ')}`,
+          ),
+        );
+      }
+    }
+
+    if (!prune) return;
+    for (const [name, current] of state.generated) {
+      if (name in definition.generatedColumns) continue;
+      phases.prune.push(
+        createStep(
+          'deleteGeneratedColumn',
+          object,
+          name,
+          { id: current.id },
+          pick(current, GENERATED_PROPERTIES),
+          `Delete generated column ${object}.${name}`,
+        ),
+      );
+    }
+  }
+
+  _diffExpand(object, definition, state, phases, prune) {
+    if (!definition.expandDetails) return;
+    for (const [name, expand] of Object.entries(definition.expandDetails)) {
+      const current = state.expand.get(name);
+      if (!current) {
+        phases.expand.push(
+          createStep(
+            'createExpandDetail',
+            object,
+            name,
+            {
+              objectName: object,
+              fieldName: name,
+              ...pick(expand, EXPAND_PROPERTIES),
+            },
+            null,
+            `Create expand detail ${object}.${name}`,
+          ),
+        );
+        continue;
+      }
+      const changed = changedKeys(current, expand, EXPAND_PROPERTIES);
+      if (changed.length) {
+        phases.expand.push(
+          createStep(
+            'updateExpandDetail',
+            object,
+            name,
+            { id: current.id, ...pick(expand, changed) },
+            pick(current, changed),
+            `Update expand detail ${object}.${name}: ${changed.join(', ')}`,
+          ),
+        );
+      }
+    }
+
+    if (!prune) return;
+    for (const [name, current] of state.expand) {
+      if (name in definition.expandDetails) continue;
+      phases.prune.push(
+        createStep(
+          'deleteExpandDetail',
+          object,
+          name,
+          { id: current.id },
+          pick(current, EXPAND_PROPERTIES),
+          `Delete expand detail ${object}.${name}`,
+        ),
+      );
+    }
+  }
+
+  /**
+   * Whether the live state already reflects a step.
+   */
+  _isApplied({ action, params }, state) {
+    switch (action) {
+      case 'createObject':
+        return state.exists;
+      case 'modifyObject': {
+        const { objectName, ...properties } = params;
+        return state.exists && matches(state.properties, properties);
+      }
+      case 'createColumn':
+        return state.columns.has(params.name);
+      case 'modifyColumn':
+        return matches(
+          state.columns.get(params.columnName),
+          fromModifyColumnParams(params),
+        );
+      case 'deleteColumn':
+        return !state.columns.has(params.columnName);
+      case 'createGeneratedColumn':
+        return state.generated.has(params.columnName);
+      case 'createExpandDetail':
+        return state.expand.has(params.fieldName);
+      case 'updateGeneratedColumn':
+      case 'updateExpandDetail': {
+        const { id, ...properties } = params;
+        const list = action === 'updateExpandDetail' ? 'expand' : 'generated';
+        return matches(findById(state[list], id), properties);
+      }
+      case 'deleteGeneratedColumn':
+        return !findById(state.generated, params.id);
+      case 'deleteExpandDetail':
+        return !findById(state.expand, params.id);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * The step that undoes an applied step, or null when it can't be undone.
+   */
+  _rollbackFor(step, result) {
+    const { action, object, name, params } = step;
+    const previous = step.previous || {};
+    const undo = (undoAction, undoParams, description) =>
+      createStep(undoAction, object, name, undoParams, null, description);
+
+    switch (action) {
+      case 'modifyObject': {
+        const restore = conform(previous, OBJECT_RULE);
+        return Object.keys(restore).length
+          ? undo(
+              'modifyObject',
+              { objectName: object, ...restore },
+              `Restore object ${object}`,
+            )
+          : null;
+      }
+      case 'createColumn':
+        return undo(
+          'deleteColumn',
+          { objectName: object, columnName: name },
+          `Delete column ${object}.${name}`,
+        );
+      case 'modifyColumn': {
+        const restore = conform(previous, COLUMN_RULE);
+        return Object.keys(restore).length
+          ? undo(
+              'modifyColumn',
+              {
+                objectName: object,
+                columnName: name,
+                ...toModifyColumnParams(restore),
+              },
+              `Restore column ${object}.${name}`,
+            )
+          : null;
+      }
+      case 'deleteColumn':
+        return undo(
+          'createColumn',
+          toCreateColumnParams(object, name, previous),
+          `Recreate column ${object}.${name}`,
+        );
+      case 'createGeneratedColumn': {
+        const id = result?.id ?? result?.data?.id;
+        return id
+          ? undo(
+              'deleteGeneratedColumn',
+              { id },
+              `Delete generated column ${object}.${name}`,
+            )
+          : null;
+      }
+      case 'updateGeneratedColumn':
+        return undo(
+          action,
+          { id: params.id, ...conform(previous, GENERATED_RULE) },
+          `Restore generated column ${object}.${name}`,
+        );
+      case 'deleteGeneratedColumn':
+        return undo(
+          'createGeneratedColumn',
+          {
+            objectName: object,
+            columnName: name,
+            ...conform(previous, GENERATED_RULE),
+          },
+          `Recreate generated column ${object}.${name}`,
+        );
+      case 'createExpandDetail': {
+        const id = result?.id ?? result?.data?.id;
+        return id
+          ? undo(
+              'deleteExpandDetail',
+              { id },
+              `Delete expand detail ${object}.${name}`,
+            )
+          : null;
+      }
+      case 'updateExpandDetail':
+        return undo(
+          action,
+          { id: params.id, ...conform(previous, EXPAND_RULE) },
+          `Restore expand detail ${object}.${name}`,
+        );
+      case 'deleteExpandDetail':
+        return undo(
+          'createExpandDetail',
+          {
+            objectName: object,
+            fieldName: name,
+            ...conform(previous, EXPAND_RULE),
+          },
+          `Recreate expand detail ${object}.${name}`,
+        );
+      default:
+        return null;
+    }
+  }
+}
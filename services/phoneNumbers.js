@@ -63,7 +63,15 @@ export class PhoneNumbersService {
     return result;
   }
 
-  async order({ phoneNumbers, name }) {
+  /**
+   * Purchase phone numbers
+   * @param {Object} params
+   * @param {Array<string>} params.phoneNumbers - Numbers to order, as returned by search() (required)
+   * @param {string} [params.name] - Friendly name for the order
+   * @param {string|boolean} [params.idempotencyKey] - Idempotency-Key for safe retries; generated when retries are enabled, `false` to omit
+   * @returns {Promise<Object>} Order details
+   */
+  async order({ phoneNumbers, name, idempotencyKey }) {
     this.sdk.validateParams(
       { phoneNumbers },
       {
@@ -77,6 +85,7 @@ export class PhoneNumbersService {
 
     const params = {
       body: orderData,
+      idempotencyKey,
     };
 
     const result = await this.sdk._fetch('/phoneNumbers/order', 'POST', params);
@@ -315,7 +324,11 @@ export class PhoneNumbersService {
     this.sdk.validateParams(
       { phoneNumbers, runPortabilityCheck },
       {
-        phoneNumbers: { type: 'array', required: true },
+        phoneNumbers: {
+          type: 'array',
+          required: true,
+          items: { type: 'string', format: 'e164' },
+        },
         runPortabilityCheck: { type: 'boolean', required: false },
       },
     );
@@ -404,6 +417,18 @@ export class PhoneNumbersService {
     return result;
   }
 
+  /**
+   * List porting orders
+   * @param {Object} [params]
+   * @param {number} [params.page] - Page number
+   * @param {number} [params.limit] - Page size
+   * @param {string} [params.status] - Filter by order status
+   * @param {string} [params.customerReference] - Filter by customer reference
+   * @param {string} [params.id] - Filter by order ID
+   * @param {string} [params.operatorType='contains'] - Match operator for text filters
+   * @param {string} [params.sort] - Sort field
+   * @returns {Promise<Object>} Porting orders
+   */
   async getPortingOrders({
     page,
     status,
@@ -683,6 +708,14 @@ export class PhoneNumbersService {
     return result;
   }
 
+  /**
+   * List events for a porting order
+   * @param {string} id - Porting order ID
+   * @param {Object} [options]
+   * @param {number} [options.page] - Page number
+   * @param {number} [options.limit] - Page size
+   * @returns {Promise<Object>} Porting order events
+   */
   async getPortingEvents(id, { page, limit } = {}) {
     this.sdk.validateParams(
       { id },
@@ -883,7 +916,12 @@ export class PhoneNumbersService {
     this.sdk.validateParams(
       { phoneNumbers, name },
       {
-        phoneNumbers: { type: 'array', required: true },
+        phoneNumbers: {
+          type: 'array',
+          required: true,
+          maxLength: 100,
+          items: { type: 'string', format: 'e164' },
+        },
         name: { type: 'string', required: true },
         dryRun: { type: 'boolean', required: false },
       },
@@ -223,6 +223,7 @@ export class RecordTypesService {
 
     const params = {
       query: options,
+      cache: true,
     };
 
     const result = await this.sdk._fetch('/recordTypes/', 'GET', params);
@@ -664,7 +664,7 @@ Response:
       {
         storageId: { type: 'string', required: false },
         download: { type: 'boolean', required: false },
-        path: { type: 'string', require: false },
+        path: { type: 'string', required: false },
       },
     );
 
@@ -721,7 +721,9 @@ Response:
   }
 
   async getStorageClassifications() {
-    const result = await this.sdk._fetch('/storage/classifications', 'GET');
+    const result = await this.sdk._fetch('/storage/classifications', 'GET', {
+      cache: true,
+    });
     return result;
   }
 
@@ -1106,6 +1108,7 @@ Response:
    * @param {string} [params.country] - Country setting
    * @param {string} [params.expireAfter] - Expiration setting
    * @param {string} [params.relatedId] - Related record ID
+   * @param {Object} [params._options] - Internal options
    * @returns {Promise<Object>} Updated file details
    */
   async updateFile(
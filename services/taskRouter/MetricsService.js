@@ -76,10 +76,18 @@ export class MetricsService {
     this.sdk.validateParams(
       { period, queueId, metricType, limit },
       {
-        period: { type: 'string', required: false },
+        period: {
+          type: 'string',
+          required: false,
+          enum: ['5min', '15min', '30min', '1hour', '24hour'],
+        },
         queueId: { type: 'string', required: false },
-        metricType: { type: 'string', required: false },
-        limit: { type: 'number', required: false },
+        metricType: {
+          type: 'string',
+          required: false,
+          enum: ['queue', 'task', 'worker', 'all'],
+        },
+        limit: { type: 'number', required: false, min: 1 },
       },
     );
 
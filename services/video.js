@@ -703,11 +703,18 @@ export class VideoService {
    * @param {number} [options.limit] - Limit number of results
    * @param {string} [options.nextId] - Cursor for next page
    * @param {string} [options.previousId] - Cursor for previous page
-   * @param {string} [options.orderByDirection] - 'ASC' or 'DESC'
+   * @param {string} [options.orderByDirection] - 'ASC' or 'DESC' (any case)
    * @param {boolean} [options.expandDetails] - Whether to expand details
    * @returns {Promise} Chat messages with participant info
    */
   async getChatMessages(roomId, options = {}) {
+    if (typeof options.orderByDirection === 'string') {
+      options = {
+        ...options,
+        orderByDirection: options.orderByDirection.toUpperCase(),
+      };
+    }
+
     this.sdk.validateParams(
       { roomId },
       {
@@ -723,7 +730,10 @@ export class VideoService {
     if ('previousId' in options)
       validationSchema.previousId = { type: 'string' };
     if ('orderByDirection' in options)
-      validationSchema.orderByDirection = { type: 'string' };
+      validationSchema.orderByDirection = {
+        type: 'string',
+        enum: ['ASC', 'DESC'],
+      };
     if ('expandDetails' in options)
       validationSchema.expandDetails = { type: 'boolean' };
 
@@ -22,7 +22,27 @@ export class VoiceService {
     return result;
   }
 
-  async call({ to, from, destination, app, timeout, customHeaders }) {
+  /**
+   * Place an outbound call
+   * @param {Object} params
+   * @param {string} params.to - Number or SIP URI to call (required)
+   * @param {string} params.from - Caller ID (required)
+   * @param {string} [params.destination] - Where to connect the call once answered
+   * @param {Object} [params.app] - Voice app to run on the call
+   * @param {number} [params.timeout] - Ring timeout in seconds
+   * @param {Object} [params.customHeaders] - Extra SIP headers
+   * @param {string|boolean} [params.idempotencyKey] - Idempotency-Key for safe retries; generated when retries are enabled, `false` to omit
+   * @returns {Promise<Object>} Call details
+   */
+  async call({
+    to,
+    from,
+    destination,
+    app,
+    timeout,
+    customHeaders,
+    idempotencyKey,
+  }) {
     this.sdk.validateParams(
       { to, from, destination, app, timeout, customHeaders },
       {
@@ -44,6 +64,7 @@ export class VoiceService {
         timeout,
         customHeaders,
       },
+      idempotencyKey,
     };
 
     const result = await this.sdk._fetch('/voice/', 'POST', params);
@@ -25,6 +25,7 @@ export class WorkflowsService {
   async listModules() {
     const params = {
       query: {},
+      cache: true,
     };
 
     const result = await this.sdk._fetch('/workflows/modules', 'GET', params);
@@ -35,6 +36,7 @@ export class WorkflowsService {
     const result = await this.sdk._fetch(
       '/workflows/formula-functions',
       'GET',
+      { cache: true },
     );
     return result;
   }
@@ -498,6 +500,14 @@ export class WorkflowSessionsService {
     return result;
   }
 
+  /**
+   * Get analytics for a workflow version
+   * @param {string} workflowVersionId - Workflow version ID
+   * @param {Object} range
+   * @param {string} range.startDate - Start of the reporting range
+   * @param {string} range.endDate - End of the reporting range
+   * @returns {Promise<Object>} Workflow analytics
+   */
   async analytics(workflowVersionId, { startDate, endDate } = {}) {
     this.sdk.validateParams(
       { workflowVersionId, startDate, endDate },
@@ -0,0 +1,419 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaseSDK } from '../base.js';
+import {
+	UnboundApiError,
+	AuthenticationError,
+	PermissionError,
+	NotFoundError,
+	RateLimitError,
+	ValidationError,
+	TransportError,
+	TimeoutError,
+	AbortError,
+} from '../lib/errors.js';
+
+/**
+ * Replace global fetch with a scripted sequence of responses. Each entry is
+ * either a response descriptor ({ status, body, headers }) or an Error to
+ * throw. Captures every call for inspection.
+ */
+function scriptFetch(steps) {
+	const calls = [];
+	globalThis.fetch = async (url, options) => {
+		calls.push({ url, options });
+		const step = steps[Math.min(calls.length - 1, steps.length - 1)];
+		if (step instanceof Error) throw step;
+		const headers = new Headers({
+			'content-type': 'application/json',
+			...(step.headers || {}),
+		});
+		return new Response(JSON.stringify(step.body ?? {}), {
+			status: step.status ?? 200,
+			headers,
+		});
+	};
+	return calls;
+}
+
+const originalFetch = globalThis.fetch;
+
+describe('BaseSDK._fetch retry policy', () => {
+	beforeEach(() => {
+		globalThis.fetch = originalFetch;
+	});
+	afterEach(() => {
+		globalThis.fetch = originalFetch;
+	});
+
+	test('makes a single attempt by default', async () => {
+		const calls = scriptFetch([{ status: 503, body: { error: 'down' } }]);
+		const sdk = new BaseSDK({ namespace: 'acme', token: 't' });
+
+		await assert.rejects(sdk._fetch('/object/', 'GET'), { status: 503 });
+		assert.equal(calls.length, 1);
+	});
+
+	test('retries retryable statuses and network errors for GET', async () => {
+		const calls = scriptFetch([
+			{ status: 503 },
+			new TypeError('fetch failed'),
+			{ status: 200, body: { ok: 1 } },
+		]);
+		const sdk = new BaseSDK({
+			namespace: 'acme',
+			retry: { maxAttempts: 3, baseDelay: 1 },
+		});
+
+		const result = await sdk._fetch('/object/', 'GET');
+		assert.deepEqual(result, { ok: 1 });
+		assert.equal(calls.length, 3);
+	});
+
+	test('does not retry non-idempotent methods unless allowed', async () => {
+		const calls = scriptFetch([
+			{ status: 503 },
+			{ status: 503 },
+			{ status: 200 },
+		]);
+		const sdk = new BaseSDK({ namespace: 'acme', retry: 3 });
+
+		await assert.rejects(
+			sdk._fetch('/messaging/sms', 'POST', { body: { to: '+1' } }),
+			{ status: 503 },
+		);
+		assert.equal(calls.length, 1);
+
+		const result = await sdk._fetch('/messaging/sms', 'POST', {
+			body: { to: '+1' },
+			retry: { methods: ['POST'], baseDelay: 1 },
+		});
+		assert.deepEqual(result, {});
+		assert.equal(calls.length, 3);
+	});
+
+	test('honors Retry-After and skips non-retryable statuses', async () => {
+		const delays = [];
+		const calls = scriptFetch([
+			{ status: 429, headers: { 'retry-after': '0' } },
+			{ status: 400, body: { error: 'bad' } },
+		]);
+		const sdk = new BaseSDK({
+			namespace: 'acme',
+			retry: { maxAttempts: 5, onRetry: ({ delay }) => delays.push(delay) },
+		});
+
+		await assert.rejects(sdk._fetch('/object/', 'GET'), { status: 400 });
+		assert.deepEqual(delays, [0]);
+		assert.equal(calls.length, 2);
+	});
+
+	test('re-selects the transport plugin on each attempt', async () => {
+		const calls = scriptFetch([{ status: 200, body: { via: 'http' } }]);
+		let transportCalls = 0;
+		const sdk = new BaseSDK({
+			namespace: 'acme',
+			retry: { maxAttempts: 2, baseDelay: 1 },
+		});
+		sdk.addTransport({
+			name: 'flaky',
+			isAvailable: async () => true,
+			request: async () => {
+				transportCalls++;
+				return {
+					ok: false,
+					status: 502,
+					statusText: 'Bad Gateway',
+					headers: {},
+				};
+			},
+		});
+
+		await assert.rejects(sdk._fetch('/object/', 'GET'), { status: 502 });
+		assert.equal(transportCalls, 2);
+		assert.equal(calls.length, 0);
+	});
+});
+
+describe('BaseSDK._fetch timeouts and cancellation', () => {
+	afterEach(() => {
+		globalThis.fetch = originalFetch;
+	});
+
+	/** fetch that never resolves unless its signal aborts */
+	function hangingFetch() {
+		const calls = [];
+		globalThis.fetch = (url, options) => {
+			calls.push({ url, options });
+			return new Promise((resolve, reject) => {
+				options.signal?.addEventListener('abort', () =>
+					reject(options.signal.reason),
+				);
+			});
+		};
+		return calls;
+	}
+
+	test('throws TimeoutError after the SDK default timeout', async () => {
+		const calls = hangingFetch();
+		const sdk = new BaseSDK({ namespace: 'acme', timeout: 20 });
+
+		await assert.rejects(sdk._fetch('/object/', 'GET'), (err) => {
+			assert.ok(err instanceof TimeoutError);
+			assert.equal(err.timeout, 20);
+			assert.equal(err.endpoint, '/object/');
+			return true;
+		});
+		assert.ok(calls[0].options.signal, 'fetch receives an AbortSignal');
+	});
+
+	test('per-call timeout overrides the default', async () => {
+		hangingFetch();
+		const sdk = new BaseSDK({ namespace: 'acme', timeout: 60000 });
+
+		await assert.rejects(
+			sdk._fetch('/object/', 'GET', { timeout: 10 }),
+			TimeoutError,
+		);
+	});
+
+	test('throws AbortError when the caller signal aborts', async () => {
+		hangingFetch();
+		const sdk = new BaseSDK({ namespace: 'acme', retry: 3 });
+		const controller = new AbortController();
+
+		const pending = sdk._fetch('/object/', 'GET', {
+			signal: controller.signal,
+		});
+		controller.abort();
+
+		await assert.rejects(pending, AbortError);
+	});
+
+	test('times out transport plugins that ignore the signal', async () => {
+		const calls = hangingFetch();
+		let context;
+		const sdk = new BaseSDK({ namespace: 'acme', timeout: 10 });
+		sdk.addTransport({
+			name: 'slow',
+			isAvailable: async () => true,
+			request: (endpoint, method, params, ctx) => {
+				context = ctx;
+				return new Promise(() => {});
+			},
+		});
+
+		await assert.rejects(sdk._fetch('/object/', 'GET'), TimeoutError);
+		assert.ok(context.signal.aborted);
+		assert.equal(calls.length, 0, 'no HTTP fallback after a timeout');
+	});
+});
+
+describe('BaseSDK typed errors', () => {
+	afterEach(() => {
+		globalThis.fetch = originalFetch;
+	});
+
+	test('maps HTTP statuses to error classes', async () => {
+		const sdk = new BaseSDK({ namespace: 'acme' });
+		const cases = [
+			[401, AuthenticationError],
+			[403, PermissionError],
+			[404, NotFoundError],
+			[429, RateLimitError],
+			[500, UnboundApiError],
+		];
+		for (const [status, ErrorClass] of cases) {
+			scriptFetch([{ status, body: { error: `failed ${status}` } }]);
+			await assert.rejects(sdk._fetch('/object/x', 'GET'), (err) => {
+				assert.ok(err instanceof ErrorClass);
+				assert.ok(err instanceof UnboundApiError);
+				assert.equal(err.status, status);
+				return true;
+			});
+		}
+	});
+
+	test('keeps the server message, description, request id and body', async () => {
+		scriptFetch([
+			{
+				status: 429,
+				body: { error: 'Slow down' },
+				headers: { 'x-request-id': 'req-1', 'retry-after': '2' },
+			},
+		]);
+		const sdk = new BaseSDK({ namespace: 'acme' });
+
+		await assert.rejects(sdk._fetch('/messaging/sms', 'GET'), (err) => {
+			assert.equal(err.message, 'Slow down');
+			assert.match(err.description, /GET :: \/messaging\/sms :: 429/);
+			assert.equal(err.requestId, 'req-1');
+			assert.equal(err.method, 'GET');
+			assert.equal(err.endpoint, '/messaging/sms');
+			assert.deepEqual(err.body, { error: 'Slow down' });
+			assert.equal(err.retryAfter, 2000);
+			return true;
+		});
+	});
+
+	test('wraps network failures in TransportError', async () => {
+		scriptFetch([new TypeError('fetch failed')]);
+		const sdk = new BaseSDK({ namespace: 'acme' });
+
+		await assert.rejects(sdk._fetch('/object/', 'GET'), (err) => {
+			assert.ok(err instanceof TransportError);
+			assert.equal(err.cause.message, 'fetch failed');
+			return true;
+		});
+	});
+
+	test('validateParams throws ValidationError', () => {
+		const sdk = new BaseSDK({ namespace: 'acme' });
+
+		assert.throws(
+			() => sdk.validateParams({}, { id: { type: 'string', required: true } }),
+			(err) => {
+				assert.ok(err instanceof ValidationError);
+				assert.deepEqual(err.errors, [{ field: 'id', message: 'is required' }]);
+				return true;
+			},
+		);
+	});
+});
+
+describe('BaseSDK interceptors', () => {
+	afterEach(() => {
+		globalThis.fetch = originalFetch;
+	});
+
+	test('request interceptors run in order and can add headers', async () => {
+		const calls = scriptFetch([{ status: 200, body: { ok: 1 } }]);
+		const sdk = new BaseSDK({ namespace: 'acme', token: 't' });
+		const order = [];
+		sdk.interceptors.request.use((request) => {
+			order.push('first');
+			request.params.headers.traceparent = '00-abc-def-01';
+			return request;
+		});
+		sdk.interceptors.request.use((request) => {
+			order.push('second');
+			assert.equal(request.params.headers.Authorization, 'Bearer t');
+			return { ...request, endpoint: `${request.endpoint}?tenant=1` };
+		});
+
+		await sdk._fetch('/object/', 'GET');
+		assert.deepEqual(order, ['first', 'second']);
+		assert.equal(calls[0].options.headers.traceparent, '00-abc-def-01');
+		assert.match(calls[0].url, /\/object\/\?tenant=1$/);
+	});
+
+	test('response interceptors normalize results for plugin transports', async () => {
+		const sdk = new BaseSDK({ namespace: 'acme' });
+		sdk.addTransport({
+			name: 'ws',
+			isAvailable: async () => true,
+			request: async () => ({
+				ok: true,
+				status: 200,
+				headers: { 'content-type': 'application/json' },
+				body: JSON.stringify({ rows: [1, 2] }),
+			}),
+		});
+		sdk.interceptors.response.use((response, request) => ({
+			data: response,
+			endpoint: request.endpoint,
+		}));
+
+		const result = await sdk._fetch('/object/query/people', 'GET');
+		assert.deepEqual(result, {
+			data: { rows: [1, 2] },
+			endpoint: '/object/query/people',
+		});
+	});
+
+	test('error interceptors can recover or rethrow, and eject removes', async () => {
+		scriptFetch([{ status: 404, body: { error: 'missing' } }]);
+		const sdk = new BaseSDK({ namespace: 'acme' });
+		const id = sdk.interceptors.response.use(null, (err) => {
+			if (err instanceof NotFoundError) return null;
+			throw err;
+		});
+
+		assert.equal(await sdk._fetch('/object/x', 'GET'), null);
+
+		sdk.interceptors.response.eject(id);
+		await assert.rejects(sdk._fetch('/object/x', 'GET'), NotFoundError);
+	});
+});
+
+describe('BaseSDK token provider', () => {
+	afterEach(() => {
+		globalThis.fetch = originalFetch;
+	});
+
+	test('fetches a token before the first request and refreshes near expiry', async () => {
+		const calls = scriptFetch([{ status: 200 }]);
+		let issued = 0;
+		const sdk = new BaseSDK({
+			namespace: 'acme',
+			tokenProvider: async () => {
+				issued++;
+				// First token is already inside the refresh margin
+				return { token: `tok-${issued}`, expiresIn: issued === 1 ? 30 : 3600 };
+			},
+		});
+
+		await sdk._fetch('/object/', 'GET');
+		await sdk._fetch('/object/', 'GET');
+		await sdk._fetch('/object/', 'GET');
+
+		assert.equal(issued, 2);
+		assert.equal(calls[0].options.headers.Authorization, 'Bearer tok-1');
+		assert.equal(calls[1].options.headers.Authorization, 'Bearer tok-2');
+		assert.equal(calls[2].options.headers.Authorization, 'Bearer tok-2');
+	});
+
+	test('refreshes once on 401 and replays, coalescing concurrent refreshes', async () => {
+		const calls = [];
+		globalThis.fetch = async (url, options) => {
+			calls.push(options.headers.Authorization);
+			const status = options.headers.Authorization === 'Bearer fresh' ? 200 : 401;
+			return new Response('{}', {
+				status,
+				headers: { 'content-type': 'application/json' },
+			});
+		};
+		let refreshes = 0;
+		const sdk = new BaseSDK({
+			namespace: 'acme',
+			token: 'expired',
+			tokenProvider: async () => {
+				refreshes++;
+				await new Promise((resolve) => setTimeout(resolve, 5));
+				return 'fresh';
+			},
+		});
+
+		await Promise.all([
+			sdk._fetch('/object/a', 'GET'),
+			sdk._fetch('/object/b', 'GET'),
+			sdk._fetch('/object/c', 'GET'),
+		]);
+
+		assert.equal(refreshes, 1);
+		assert.equal(sdk.token, 'fresh');
+		assert.equal(calls.filter((c) => c === 'Bearer fresh').length, 3);
+	});
+
+	test('gives up after one replay', async () => {
+		scriptFetch([{ status: 401, body: { error: 'nope' } }]);
+		let refreshes = 0;
+		const sdk = new BaseSDK({
+			namespace: 'acme',
+			tokenProvider: async () => `t${++refreshes}`,
+		});
+
+		await assert.rejects(sdk._fetch('/object/', 'GET'), AuthenticationError);
+		assert.equal(refreshes, 2);
+	});
+});
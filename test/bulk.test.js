@@ -0,0 +1,263 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AbortError, ValidationError } from '../index.js';
+import { buildSdk } from './helpers.js';
+import { runInChunks } from '../lib/bulk.js';
+
+describe('runInChunks', () => {
+	test('bounds concurrency and reports failures by index', async () => {
+		let inFlight = 0;
+		let peak = 0;
+		const outcome = await runInChunks(
+			[1, 2, 3, 4, 5, 6, 7],
+			async (item) => {
+				inFlight++;
+				peak = Math.max(peak, inFlight);
+				await new Promise((resolve) => setTimeout(resolve, 2));
+				inFlight--;
+				if (item % 3 === 0) throw new Error(`bad ${item}`);
+				return item * 10;
+			},
+			{ chunkSize: 4, concurrency: 2 },
+		);
+
+		assert.equal(peak, 2);
+		assert.equal(outcome.succeeded, 5);
+		assert.equal(outcome.failed, 2);
+		assert.deepEqual(
+			outcome.results.map(({ index, ok }) => [index, ok]),
+			[[0, true], [1, true], [2, false], [3, true], [4, true], [5, false], [6, true]],
+		);
+		assert.deepEqual(
+			outcome.failures.map(({ error }) => error.message),
+			['bad 3', 'bad 6'],
+		);
+		assert.deepEqual(outcome.checkpoint, { nextIndex: 7, succeeded: 5, failed: 2 });
+	});
+
+	test('emits checkpoints per chunk and resumes from one', async () => {
+		const checkpoints = [];
+		const seen = [];
+		const controller = new AbortController();
+		const items = ['a', 'b', 'c', 'd', 'e'];
+
+		await assert.rejects(
+			runInChunks(
+				items,
+				async (item, index) => {
+					seen.push(index);
+					if (index === 2) controller.abort();
+				},
+				{
+					chunkSize: 2,
+					concurrency: 1,
+					signal: controller.signal,
+					onCheckpoint: (checkpoint) => checkpoints.push(checkpoint),
+				},
+			),
+			AbortError,
+		);
+		assert.deepEqual(seen, [0, 1, 2]);
+		assert.deepEqual(checkpoints, [{ nextIndex: 2, succeeded: 2, failed: 0 }]);
+
+		seen.length = 0;
+		const resumed = await runInChunks(items, async (item, index) => seen.push(index), {
+			chunkSize: 2,
+			checkpoint: JSON.parse(JSON.stringify(checkpoints[0])),
+		});
+		assert.deepEqual(seen, [2, 3, 4]);
+		assert.deepEqual(resumed.checkpoint, { nextIndex: 5, succeeded: 5, failed: 0 });
+		assert.deepEqual(resumed.results.map(({ index }) => index), [2, 3, 4]);
+	});
+});
+
+describe('objects.bulk', () => {
+	test('applies create, update and delete rows', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onPost('/object/people').reply(200, { id: 'new' });
+		mock.onPut('/object/people').reply(200, { updated: 1 });
+		mock.onDelete('/object/people').reply(200, { deleted: 1 });
+
+		const outcome = await sdk.objects.bulk({
+			object: 'people',
+			operations: [
+				{ op: 'create', body: { name: 'Ann' } },
+				{ op: 'update', id: 'p1', update: { name: 'Bob' } },
+				{ op: 'delete', id: 'p2' },
+			],
+		});
+
+		assert.equal(outcome.succeeded, 3);
+		assert.deepEqual(
+			outcome.results.map(({ index, op, result }) => [index, op, result]),
+			[
+				[0, 'create', { id: 'new' }],
+				[1, 'update', { updated: 1 }],
+				[2, 'delete', { deleted: 1 }],
+			],
+		);
+		assert.deepEqual(mock.history[1].body, {
+			where: { id: 'p1' },
+			update: { name: 'Bob' },
+		});
+	});
+
+	test('upserts on a key field', async () => {
+		const { sdk, mock } = buildSdk();
+		mock
+			.onGet('/object/query/people', { query: { email: 'ann@acme.com' } })
+			.reply(200, { results: [{ id: 'p1' }] });
+		mock.onGet('/object/query/people').reply(200, { results: [] });
+		mock.onPut('/object/people').reply(200, { id: 'p1' });
+		mock.onPost('/object/people').reply(200, { id: 'p2' });
+
+		const outcome = await sdk.objects.bulk({
+			object: 'people',
+			upsertKey: 'email',
+			concurrency: 1,
+			operations: [
+				{ op: 'upsert', body: { email: 'ann@acme.com', name: 'Ann' } },
+				{ op: 'upsert', body: { email: 'bob@acme.com', name: 'Bob' } },
+			],
+		});
+
+		assert.deepEqual(
+			outcome.results.map(({ action, result }) => [action, result]),
+			[
+				['updated', { id: 'p1' }],
+				['created', { id: 'p2' }],
+			],
+		);
+		assert.deepEqual(mock.history[0].query, {
+			email: 'ann@acme.com',
+			select: ['id'],
+			limit: 1,
+		});
+		assert.deepEqual(mock.history[1].body, {
+			where: { id: 'p1' },
+			update: { email: 'ann@acme.com', name: 'Ann' },
+		});
+	});
+
+	test('runs upserts of the same key one after another', async () => {
+		const { sdk, mock } = buildSdk();
+		const people = [];
+		mock.onGet('/object/query/people').reply(({ query }) => [
+			200,
+			{ results: people.filter(({ email }) => email === query.email) },
+		]);
+		mock.onPost('/object/people').reply(({ body }) => {
+			people.push({ id: `p${people.length + 1}`, ...body });
+			return [200, people.at(-1)];
+		}, { delay: 5 });
+		mock.onPut('/object/people').reply(200, { updated: 1 });
+
+		const outcome = await sdk.objects.bulk({
+			object: 'people',
+			upsertKey: 'email',
+			concurrency: 3,
+			operations: [
+				{ op: 'upsert', body: { email: 'ann@acme.com', name: 'Ann' } },
+				{ op: 'upsert', body: { email: 'ann@acme.com', name: 'Annie' } },
+				{ op: 'upsert', body: { email: 'bob@acme.com', name: 'Bob' } },
+			],
+		});
+
+		assert.deepEqual(
+			outcome.results.map(({ action }) => action),
+			['created', 'updated', 'created'],
+		);
+		assert.equal(people.length, 2);
+	});
+
+	test('resumes after a partial chunk with the same idempotency keys', async () => {
+		const { sdk, mock } = buildSdk();
+		const controller = new AbortController();
+		mock.onPost('/object/people').reply(({ body }) => {
+			// Crash after C was created but before its chunk finished
+			if (body.name === 'C') controller.abort();
+			return [200, { id: body.name }];
+		});
+		const operations = ['A', 'B', 'C', 'D'].map((name) => ({
+			op: 'create',
+			body: { name },
+		}));
+		const sent = () =>
+			mock.history.map(({ body, headers }) => [body.name, headers['Idempotency-Key']]);
+
+		let saved;
+		await assert.rejects(
+			sdk.objects.bulk({
+				object: 'people',
+				operations,
+				chunkSize: 2,
+				concurrency: 1,
+				signal: controller.signal,
+				onCheckpoint: (checkpoint) => {
+					saved = JSON.parse(JSON.stringify(checkpoint));
+				},
+			}),
+			AbortError,
+		);
+		const first = sent();
+		assert.deepEqual(first.map(([name]) => name), ['A', 'B', 'C']);
+		assert.equal(saved.nextIndex, 2);
+		assert.equal(first[2][1], `${saved.runId}:2`);
+
+		mock.history.length = 0;
+		const resumed = await sdk.objects.bulk({
+			object: 'people',
+			operations,
+			chunkSize: 2,
+			checkpoint: saved,
+		});
+		assert.deepEqual(sent(), [
+			['C', first[2][1]],
+			['D', `${saved.runId}:3`],
+		]);
+		assert.deepEqual(resumed.checkpoint, { ...saved, nextIndex: 4, succeeded: 4 });
+	});
+
+	test('reports invalid and failing rows without stopping', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onPost('/object/people', { body: { name: 'dup' } }).reply(409, {
+			message: 'duplicate',
+		});
+		mock.onPost('/object/people').reply(200, { id: 'ok' });
+
+		const outcome = await sdk.objects.bulk({
+			object: 'people',
+			operations: [
+				{ op: 'create', body: { name: 'dup' } },
+				{ op: 'rename', id: 'x' },
+				{ op: 'upsert', body: { name: 'no key' } },
+				{ op: 'upsert', key: 'email', body: { name: 'no email' } },
+				{ op: 'create', body: { name: 'fine' } },
+			],
+		});
+
+		assert.equal(outcome.succeeded, 1);
+		assert.deepEqual(
+			outcome.failures.map(({ index, error }) => [index, error.status ?? error.name]),
+			[
+				[0, 409],
+				[1, 'ValidationError'],
+				[2, 'ValidationError'],
+				[3, 'ValidationError'],
+			],
+		);
+		assert.match(outcome.failures[3].error.message, /body\.email/);
+	});
+
+	test('validates its options', async () => {
+		const { sdk } = buildSdk();
+		await assert.rejects(
+			sdk.objects.bulk({ object: 'people', operations: [], concurrency: 0 }),
+			ValidationError,
+		);
+		await assert.rejects(
+			sdk.objects.bulk({ object: 'people', operations: {} }),
+			ValidationError,
+		);
+	});
+});
@@ -0,0 +1,122 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSdk } from './helpers.js';
+import { MemoryCacheStore } from '../lib/cache.js';
+
+describe('response cache', () => {
+	test('is off unless enabled on the SDK', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onGet('/object/describe/people').reply(200, { name: 'people' });
+
+		await sdk.objects.describe('people');
+		await sdk.objects.describe('people');
+
+		assert.equal(mock.history.length, 2);
+	});
+
+	test('serves declared metadata endpoints from cache and returns copies', async () => {
+		const { sdk, mock } = buildSdk({ cache: true });
+		mock.onGet('/object/describe/people').reply(200, { fields: ['id'] });
+		mock.onGet('/object/describe/companies').reply(200, { fields: ['name'] });
+
+		const first = await sdk.objects.describe('people');
+		first.fields.push('mutated');
+		const second = await sdk.objects.describe('people');
+		await sdk.objects.describe('companies');
+
+		assert.deepEqual(second, { fields: ['id'] });
+		assert.equal(mock.history.length, 2);
+	});
+
+	test('does not cache endpoints that did not opt in', async () => {
+		const { sdk, mock } = buildSdk({ cache: true });
+		mock.onGet('/object/p1').reply(200, { id: 'p1' });
+
+		await sdk.objects.byId('p1');
+		await sdk.objects.byId('p1');
+
+		assert.equal(mock.history.length, 2);
+	});
+
+	test('keys on query parameters', async () => {
+		const { sdk, mock } = buildSdk({ cache: true });
+		mock.onGet('/recordTypes/').reply((request) => [200, { page: request.query.page }]);
+
+		await sdk.recordTypes.list({ page: 1 });
+		await sdk.recordTypes.list({ page: 2 });
+		assert.deepEqual(await sdk.recordTypes.list({ page: 1 }), { page: 1 });
+
+		assert.equal(mock.history.length, 2);
+	});
+
+	test('keys on credentials', async () => {
+		const { sdk, mock } = buildSdk({ cache: true });
+		mock.onGet('/object/describe/people').reply((request) => [
+			200,
+			{ for: request.headers.Authorization },
+		]);
+		const other = sdk.forNamespace('acme', { token: 'u' });
+
+		assert.deepEqual(await sdk.objects.describe('people'), { for: 'Bearer t' });
+		assert.deepEqual(await other.objects.describe('people'), { for: 'Bearer u' });
+		assert.deepEqual(await sdk.objects.describe('people'), { for: 'Bearer t' });
+		assert.equal(mock.history.length, 2);
+		assert.ok((await sdk.cache.store.keys()).every((key) => !key.includes('Bearer')));
+	});
+
+	test('revalidates expired entries with If-None-Match', async () => {
+		const { sdk, mock } = buildSdk({ cache: { ttl: 0 } });
+		mock
+			.onGet('/workflows/modules')
+			.replyOnce(200, { modules: ['a'] }, { headers: { etag: '"v1"' } });
+		mock.onGet('/workflows/modules').reply(304);
+
+		await sdk.workflows.listModules();
+		const revalidated = await sdk.workflows.listModules();
+
+		assert.deepEqual(revalidated, { modules: ['a'] });
+		assert.equal(mock.history[1].headers['If-None-Match'], '"v1"');
+	});
+
+	test('invalidate(prefix) drops matching entries only', async () => {
+		const { sdk, mock } = buildSdk({ cache: true });
+		mock.onGet('/object/').reply(200, []);
+		mock.onGet('/storage/classifications').reply(200, []);
+
+		await sdk.objects.list();
+		await sdk.storage.getStorageClassifications();
+		await sdk.cache.invalidate('/object');
+		await sdk.objects.list();
+		await sdk.storage.getStorageClassifications();
+
+		assert.deepEqual(
+			mock.history.map((r) => r.endpoint),
+			['/object/', '/storage/classifications', '/object/'],
+		);
+	});
+
+	test('schema changes drop the cached object list', async () => {
+		const { sdk, mock } = buildSdk({ cache: true });
+		mock.onGet('/object/').reply(200, []);
+		mock.onPost('/object/manage').reply(200, {});
+
+		await sdk.objects.list();
+		await sdk.objects.createObject({ name: 'teams' });
+		await sdk.objects.list();
+
+		assert.deepEqual(
+			mock.history.map((r) => `${r.method} ${r.endpoint}`),
+			['GET /object/', 'POST /object/manage', 'GET /object/'],
+		);
+	});
+
+	test('MemoryCacheStore evicts the least recently used entry', () => {
+		const store = new MemoryCacheStore({ maxEntries: 2 });
+		store.set('a', 1);
+		store.set('b', 2);
+		store.get('a');
+		store.set('c', 3);
+
+		assert.deepEqual(store.keys().sort(), ['a', 'c']);
+	});
+});
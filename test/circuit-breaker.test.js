@@ -0,0 +1,145 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import SDK, { MockTransport, TransportError } from '../index.js';
+
+function mockHttp(t) {
+	const calls = [];
+	t.mock.method(globalThis, 'fetch', async (url) => {
+		calls.push(url);
+		return new Response('{"via":"http"}', {
+			status: 200,
+			headers: { 'content-type': 'application/json' },
+		});
+	});
+	return calls;
+}
+
+function flakyTransport() {
+	const transport = {
+		name: 'socket',
+		failing: true,
+		requests: 0,
+		availabilityChecks: 0,
+		getPriority: () => 1,
+		isAvailable: async () => {
+			transport.availabilityChecks++;
+			return true;
+		},
+		request: async () => {
+			transport.requests++;
+			if (transport.failing) throw new Error('socket closed');
+			return {
+				ok: true,
+				status: 200,
+				headers: { 'content-type': 'application/json' },
+				body: '{"via":"socket"}',
+			};
+		},
+	};
+	return transport;
+}
+
+function buildSdk(circuitBreaker) {
+	const transport = flakyTransport();
+	const sdk = new SDK({ namespace: 'acme', token: 't', circuitBreaker });
+	sdk.setLogger({});
+	sdk.addTransport(transport);
+	const events = [];
+	sdk.on('transport:down', (e) => events.push(['down', e.transport, e.failures]));
+	sdk.on('transport:up', (e) => events.push(['up', e.transport]));
+	return { sdk, transport, events };
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('transport circuit breaker', () => {
+	test('opens after consecutive failures and skips the transport', async (t) => {
+		const http = mockHttp(t);
+		const { sdk, transport, events } = buildSdk({ failureThreshold: 2 });
+
+		for (let i = 0; i < 4; i++) {
+			assert.deepEqual(await sdk._fetch('/object/p1', 'GET'), { via: 'http' });
+		}
+
+		assert.equal(transport.requests, 2);
+		assert.equal(http.length, 4);
+		assert.deepEqual(events, [['down', 'socket', 2]]);
+		const [health] = sdk.getTransportHealth();
+		assert.equal(health.name, 'socket');
+		assert.equal(health.state, 'open');
+		assert.equal(health.lastError.message, 'socket closed');
+	});
+
+	test('lets one probe through after resetTimeout and closes on success', async (t) => {
+		mockHttp(t);
+		const { sdk, transport, events } = buildSdk({
+			failureThreshold: 1,
+			resetTimeout: 20,
+		});
+
+		await sdk._fetch('/object/p1', 'GET');
+		await wait(25);
+		transport.failing = false;
+
+		const results = await Promise.all([
+			sdk._fetch('/object/p1', 'GET', { dedupe: false }),
+			sdk._fetch('/object/p1', 'GET', { dedupe: false }),
+		]);
+
+		assert.deepEqual(results, [{ via: 'socket' }, { via: 'http' }]);
+		assert.deepEqual(await sdk._fetch('/object/p1', 'GET'), { via: 'socket' });
+		assert.deepEqual(events, [['down', 'socket', 1], ['up', 'socket']]);
+		assert.equal(sdk.getTransportHealth()[0].state, 'closed');
+	});
+
+	test('reopens after a failed probe without another down event', async (t) => {
+		mockHttp(t);
+		const { sdk, transport, events } = buildSdk({
+			failureThreshold: 1,
+			resetTimeout: 20,
+		});
+
+		await sdk._fetch('/object/p1', 'GET');
+		await wait(25);
+		await sdk._fetch('/object/p1', 'GET');
+		await sdk._fetch('/object/p1', 'GET');
+
+		assert.equal(transport.requests, 2);
+		assert.equal(sdk.getTransportHealth()[0].state, 'open');
+		assert.deepEqual(events, [['down', 'socket', 1]]);
+	});
+
+	test('caches isAvailable() results unless disabled', async (t) => {
+		mockHttp(t);
+		const cached = buildSdk({ availabilityTtl: 60000 });
+		const uncached = buildSdk(false);
+		cached.transport.failing = false;
+		uncached.transport.failing = false;
+
+		for (let i = 0; i < 3; i++) {
+			await cached.sdk._fetch('/object/p1', 'GET');
+			await uncached.sdk._fetch('/object/p1', 'GET');
+		}
+
+		assert.equal(cached.transport.availabilityChecks, 1);
+		assert.equal(uncached.transport.availabilityChecks, 3);
+	});
+
+	test('never skips transports that must not fall back', async () => {
+		const mock = new MockTransport();
+		const sdk = new SDK({
+			namespace: 'acme',
+			token: 't',
+			circuitBreaker: { failureThreshold: 1 },
+		});
+		sdk.addTransport(mock);
+		mock.onGet('/object/p1').networkError();
+
+		for (let i = 0; i < 3; i++) {
+			await assert.rejects(sdk._fetch('/object/p1', 'GET'), TransportError);
+		}
+
+		assert.equal(mock.history.length, 3);
+		assert.equal(sdk.getTransportHealth()[0].state, 'closed');
+	});
+});
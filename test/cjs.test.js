@@ -0,0 +1,77 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+// Both entry points are loaded through the package name so the test goes
+// through the "import" / "require" conditions in package.json exports
+const esm = await import('@unboundcx/sdk');
+const cjs = require('@unboundcx/sdk');
+
+function buildSdk(SDK, MockTransport) {
+	const mock = new MockTransport();
+	const sdk = new SDK({ namespace: 'acme', token: 't' });
+	sdk.addTransport(mock);
+	return { sdk, mock };
+}
+
+describe('CommonJS entry', () => {
+	test('require() returns the SDK class with every named export attached', () => {
+		assert.equal(typeof cjs, 'function');
+		assert.equal(cjs.name, 'UnboundSDK');
+		assert.equal(cjs.default, cjs);
+		assert.equal(cjs.UnboundSDK, cjs);
+
+		for (const name of Object.keys(esm)) {
+			assert.equal(typeof cjs[name], typeof esm[name], name);
+		}
+		assert.ok(cjs.createSDK({ namespace: 'acme' }) instanceof cjs);
+	});
+
+	test('sends requests and maps errors the same way as the ESM build', async () => {
+		const { sdk, mock } = buildSdk(cjs, cjs.MockTransport);
+		mock.onGet('/object/p1').reply(200, { id: 'p1' });
+		mock.onGet('/object/missing').reply(404, { error: 'Not found' });
+
+		assert.deepEqual(await sdk.objects.byId('p1'), { id: 'p1' });
+		await assert.rejects(sdk.objects.byId('missing'), cjs.NotFoundError);
+		await assert.rejects(
+			sdk.fax.send({ faxMailboxId: 'm1', toNumber: '555', storageId: 's1' }),
+			cjs.ValidationError,
+		);
+		assert.equal(mock.history.length, 2);
+	});
+
+	test('lazily loads SttStream and its proto file', async () => {
+		const { sdk, mock } = buildSdk(cjs, cjs.MockTransport);
+		mock.onPost('/ai/stt/stream').reply(200, {
+			id: 'stt-1',
+			token: 'stt-token',
+			grpcHost: '127.0.0.1',
+			grpcPort: 1,
+		});
+
+		const stream = await sdk.ai.stt.stream();
+		const outcome = await new Promise((resolve) => {
+			stream.once('ready', () => resolve('ready'));
+			stream.once('error', (error) => resolve(error.message));
+		});
+		stream.close();
+
+		assert.equal(outcome, 'ready');
+	});
+
+	test('keeps optional packages as dynamic imports', async () => {
+		const [esmError, cjsError] = await Promise.all([
+			new esm.default({ namespace: 'acme' }).video
+				.createMeetingClient()
+				.catch((error) => error),
+			new cjs({ namespace: 'acme' }).video
+				.createMeetingClient()
+				.catch((error) => error),
+		]);
+
+		assert.equal(cjsError.code, esmError.code);
+	});
+});
@@ -0,0 +1,112 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import SDK, { runWithContext, getContext } from '../index.js';
+import { buildSdk } from './helpers.js';
+
+function contextHeaders({ headers }) {
+	return {
+		callId: headers['x-call-id'],
+		fwRequestId: headers['x-request-id-fw'],
+		tenant: headers['x-tenant'],
+	};
+}
+
+describe('withContext', () => {
+	test('adds context headers without changing the parent client', async () => {
+		const { sdk, mock } = buildSdk({ callId: 'base-call' });
+		mock.onAny().reply(200, {});
+
+		const scoped = sdk.withContext({
+			callId: 'call-2',
+			fwRequestId: 'fw-2',
+			headers: { 'x-tenant': 'blue' },
+		});
+		await scoped.objects.byId('p1');
+		await sdk.objects.byId('p1');
+
+		assert.equal(scoped.objects.sdk, scoped);
+		assert.equal(sdk.callId, 'base-call');
+		assert.deepEqual(mock.history.map(contextHeaders), [
+			{ callId: 'call-2', fwRequestId: 'fw-2', tenant: 'blue' },
+			{ callId: 'base-call', fwRequestId: undefined, tenant: undefined },
+		]);
+	});
+
+	test('extends the context of a derived client and yields to per-call headers', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onAny().reply(200, {});
+
+		const scoped = sdk
+			.withContext({ callId: 'call-1', headers: { 'x-tenant': 'blue' } })
+			.withContext({ fwRequestId: 'fw-1' });
+		await scoped._fetch('/object/p1', 'GET', { headers: { 'x-tenant': 'red' } });
+
+		assert.deepEqual(contextHeaders(mock.history[0]), {
+			callId: 'call-1',
+			fwRequestId: 'fw-1',
+			tenant: 'red',
+		});
+	});
+
+	test('passes context values to transport plugins', async () => {
+		const sdk = new SDK({ namespace: 'acme', token: 't' });
+		const seen = [];
+		sdk.addTransport({
+			name: 'spy',
+			getPriority: () => 1,
+			isAvailable: async () => true,
+			request: async (endpoint, method, params, options) => {
+				seen.push([options.callId, options.fwRequestId]);
+				return { status: 200, ok: true, headers: {}, body: {} };
+			},
+		});
+
+		await sdk.withContext({ callId: 'c', fwRequestId: 'f' }).objects.byId('p1');
+
+		assert.deepEqual(seen, [['c', 'f']]);
+	});
+});
+
+describe('runWithContext', () => {
+	test('applies the implicit context to calls across awaits', async () => {
+		const { sdk, mock } = buildSdk({ callId: 'base-call' });
+		mock.onAny().reply(200, {});
+
+		await Promise.all(
+			['a', 'b'].map((id) =>
+				runWithContext({ callId: `call-${id}` }, async () => {
+					await new Promise((resolve) => setTimeout(resolve, id === 'a' ? 5 : 0));
+					await sdk.objects.byId(id);
+				}),
+			),
+		);
+		await sdk.objects.byId('outside');
+
+		const byEndpoint = Object.fromEntries(
+			mock.history.map((r) => [r.endpoint, r.headers['x-call-id']]),
+		);
+		assert.deepEqual(byEndpoint, {
+			'/object/a': 'call-a',
+			'/object/b': 'call-b',
+			'/object/outside': 'base-call',
+		});
+		assert.equal(getContext(), undefined);
+	});
+
+	test('nests, and withContext wins over the implicit context', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onAny().reply(200, {});
+
+		await runWithContext({ callId: 'outer', headers: { 'x-tenant': 'blue' } }, () =>
+			runWithContext({ fwRequestId: 'fw-inner' }, async () => {
+				await sdk.objects.byId('p1');
+				await sdk.withContext({ callId: 'explicit' }).objects.byId('p2');
+			}),
+		);
+
+		assert.deepEqual(mock.history.map(contextHeaders), [
+			{ callId: 'outer', fwRequestId: 'fw-inner', tenant: 'blue' },
+			{ callId: 'explicit', fwRequestId: 'fw-inner', tenant: 'blue' },
+		]);
+	});
+});
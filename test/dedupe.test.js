@@ -0,0 +1,157 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AbortError, NotFoundError } from '../index.js';
+import { buildSdk } from './helpers.js';
+
+describe('in-flight request deduplication', () => {
+	test('coalesces identical concurrent GETs into one request', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onGet('/object/p1').reply(200, { id: 'p1' }, { delay: 5 });
+
+		const results = await Promise.all([
+			sdk.objects.byId('p1'),
+			sdk.objects.byId('p1'),
+			sdk.objects.byId('p1'),
+		]);
+
+		assert.equal(mock.history.length, 1);
+		assert.deepEqual(results, [{ id: 'p1' }, { id: 'p1' }, { id: 'p1' }]);
+		assert.equal(sdk.inflight.size, 0);
+
+		await sdk.objects.byId('p1');
+		assert.equal(mock.history.length, 2);
+	});
+
+	test('keeps requests apart by query, namespace, token and method', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onGet('/object/p1').reply(200, {}, { delay: 5 });
+		mock.onPost('/object/p1').reply(200, {}, { delay: 5 });
+		const other = sdk.forNamespace('globex', { token: 't' });
+		const rotated = sdk.forNamespace('acme', { token: 'rotated' });
+
+		await Promise.all([
+			sdk._fetch('/object/p1', 'GET', { query: { a: 1, b: 2 } }),
+			sdk._fetch('/object/p1', 'GET', { query: { b: 2, a: 1 } }),
+			sdk._fetch('/object/p1', 'GET', { query: { a: 2 } }),
+			other._fetch('/object/p1', 'GET', { query: { a: 1, b: 2 } }),
+			rotated._fetch('/object/p1', 'GET', { query: { a: 1, b: 2 } }),
+			sdk._fetch('/object/p1', 'POST', { body: {} }),
+			sdk._fetch('/object/p1', 'POST', { body: {} }),
+		]);
+
+		assert.equal(mock.history.length, 6);
+	});
+
+	test('can be disabled per call or for the whole SDK', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onGet('/object/p1').reply(200, {}, { delay: 5 });
+
+		await Promise.all([
+			sdk._fetch('/object/p1', 'GET'),
+			sdk._fetch('/object/p1', 'GET', { dedupe: false }),
+		]);
+		assert.equal(mock.history.length, 2);
+
+		sdk.setDedupe(false);
+		await Promise.all([
+			sdk._fetch('/object/p1', 'GET'),
+			sdk._fetch('/object/p1', 'GET'),
+		]);
+		assert.equal(mock.history.length, 4);
+
+		const { sdk: off, mock: offMock } = buildSdk({ dedupe: false });
+		offMock.onGet('/object/p1').reply(200, {}, { delay: 5 });
+		await Promise.all([
+			off._fetch('/object/p1', 'GET'),
+			off._fetch('/object/p1', 'GET'),
+		]);
+		assert.equal(offMock.history.length, 2);
+	});
+
+	test('never shares raw responses', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onGet('/object/p1').reply(200, {}, { delay: 5 });
+
+		await Promise.all([
+			sdk._fetch('/object/p1', 'GET', { returnRawResponse: true }),
+			sdk._fetch('/object/p1', 'GET', { returnRawResponse: true }),
+		]);
+
+		assert.equal(mock.history.length, 2);
+	});
+
+	test('rejects every caller with the shared error', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onGet('/object/missing').reply(404, { message: 'gone' }, { delay: 5 });
+
+		const results = await Promise.allSettled([
+			sdk.objects.byId('missing'),
+			sdk.objects.byId('missing'),
+		]);
+
+		assert.equal(mock.history.length, 1);
+		for (const result of results) {
+			assert.equal(result.status, 'rejected');
+			assert.ok(result.reason instanceof NotFoundError);
+		}
+	});
+
+	test('an aborted caller leaves without cancelling the others', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onGet('/object/p1').reply(200, { id: 'p1' }, { delay: 10 });
+		const controller = new AbortController();
+
+		const leaving = sdk._fetch('/object/p1', 'GET', {
+			signal: controller.signal,
+		});
+		const staying = sdk._fetch('/object/p1', 'GET');
+		await new Promise((resolve) => setImmediate(resolve));
+		controller.abort();
+
+		await assert.rejects(leaving, AbortError);
+		assert.deepEqual(await staying, { id: 'p1' });
+		assert.equal(mock.history.length, 1);
+	});
+
+	test('cancels the shared request once every caller has aborted', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onGet('/object/slow').hang();
+		const first = new AbortController();
+		const second = new AbortController();
+
+		const requests = [
+			sdk._fetch('/object/slow', 'GET', { signal: first.signal }),
+			sdk._fetch('/object/slow', 'GET', { signal: second.signal }),
+		];
+		await new Promise((resolve) => setImmediate(resolve));
+		first.abort();
+		await assert.rejects(requests[0], AbortError);
+		assert.equal(mock.history[0].signal.aborted, false);
+
+		second.abort();
+		await assert.rejects(requests[1], AbortError);
+		assert.equal(mock.history.length, 1);
+		assert.equal(mock.history[0].signal.aborted, true);
+		assert.equal(sdk.inflight.size, 0);
+	});
+
+	test('marks joined calls in the telemetry span', async () => {
+		const spans = [];
+		const { sdk, mock } = buildSdk({
+			telemetry: { onSpanEnd: (span) => spans.push(span) },
+		});
+		mock.onGet('/object/p1').reply(200, {}, { delay: 5 });
+
+		await Promise.all([
+			sdk._fetch('/object/p1', 'GET'),
+			sdk._fetch('/object/p1', 'GET'),
+		]);
+
+		assert.equal(spans.length, 2);
+		assert.equal(spans[0].attributes['unbound.deduped'], undefined);
+		assert.equal(spans[1].attributes['unbound.deduped'], true);
+		for (const span of spans) {
+			assert.equal(span.attributes['http.response.status_code'], 200);
+		}
+	});
+});
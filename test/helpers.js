@@ -0,0 +1,15 @@
+import SDK, { MockTransport } from '../index.js';
+
+/**
+ * SDK client for namespace `acme` (token `t`) whose requests all go to a
+ * fresh MockTransport. `options` are merged over those constructor options.
+ *
+ * @param {Object} [options]
+ * @returns {{ sdk: SDK, mock: MockTransport }}
+ */
+export function buildSdk(options = {}) {
+	const mock = new MockTransport();
+	const sdk = new SDK({ namespace: 'acme', token: 't', ...options });
+	sdk.addTransport(mock);
+	return { sdk, mock };
+}
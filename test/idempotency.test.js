@@ -0,0 +1,144 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSdk } from './helpers.js';
+import {
+	createIdempotencyKey,
+	resolveIdempotencyKey,
+} from '../lib/idempotency.js';
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+function sentKeys(mock) {
+	return mock.history.map((request) => request.headers['Idempotency-Key']);
+}
+
+describe('idempotency keys', () => {
+	test('creates version 4 UUIDs', () => {
+		const key = createIdempotencyKey();
+		assert.match(key, UUID);
+		assert.notEqual(createIdempotencyKey(), key);
+	});
+
+	test('only keys POST and PUT', () => {
+		const retries = { method: 'GET', retriesEnabled: true };
+		assert.equal(resolveIdempotencyKey('k', retries), null);
+		assert.equal(resolveIdempotencyKey(true, { ...retries, method: 'delete' }), null);
+		assert.equal(resolveIdempotencyKey('k', { ...retries, method: 'put' }), 'k');
+	});
+
+	test('is generated only when retries are enabled', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onAny().reply(200, {});
+
+		await sdk._fetch('/messaging/sms', 'POST', { body: {} });
+		await sdk._fetch('/messaging/sms', 'POST', { body: {}, retry: 3 });
+		await sdk._fetch('/object/p1', 'GET', { retry: 3 });
+		await sdk._fetch('/messaging/sms', 'POST', { body: {}, idempotencyKey: true });
+
+		const keys = sentKeys(mock);
+		assert.equal(keys[0], undefined);
+		assert.match(keys[1], UUID);
+		assert.equal(keys[2], undefined);
+		assert.match(keys[3], UUID);
+	});
+
+	test('honors explicit keys, false and an explicit header', async () => {
+		const { sdk, mock } = buildSdk({ retry: 3 });
+		mock.onAny().reply(200, {});
+
+		await sdk._fetch('/voice/', 'POST', { body: {}, idempotencyKey: 'call-1' });
+		await sdk._fetch('/voice/', 'POST', { body: {}, idempotencyKey: false });
+		await sdk._fetch('/voice/', 'POST', {
+			body: {},
+			idempotencyKey: 'ignored',
+			headers: { 'Idempotency-Key': 'from-header' },
+		});
+		await sdk._fetch('/voice/', 'POST', {
+			body: {},
+			headers: { 'idempotency-key': 'lower-case' },
+		});
+
+		assert.deepEqual(sentKeys(mock), ['call-1', undefined, 'from-header', undefined]);
+		assert.equal(mock.history[3].headers['idempotency-key'], 'lower-case');
+		await assert.rejects(
+			sdk._fetch('/voice/', 'POST', { body: {}, idempotencyKey: 42 }),
+			/idempotencyKey/,
+		);
+	});
+
+	test('reuses the key across POST retries once POST is opted in', async () => {
+		const { sdk, mock } = buildSdk({
+			retry: { maxAttempts: 3, baseDelay: 1, methods: ['POST'] },
+		});
+		mock.onPost('/messaging/sms').replyOnce(503, { error: 'busy' });
+		mock.onPost('/messaging/sms').replyOnce(503, { error: 'busy' });
+		mock.onPost('/messaging/sms').reply(200, { id: 'm1' });
+
+		const result = await sdk.messaging.sms.send({ to: '+15551234567', message: 'hi' });
+
+		assert.deepEqual(result, { id: 'm1' });
+		const keys = sentKeys(mock);
+		assert.equal(keys.length, 3);
+		assert.match(keys[0], UUID);
+		assert.deepEqual(new Set(keys).size, 1);
+	});
+
+	test('does not retry POST unless the policy lists it', async () => {
+		const { sdk, mock } = buildSdk({ retry: { maxAttempts: 3, baseDelay: 1 } });
+		mock.onPost('/messaging/sms').replyOnce(503, { error: 'busy' });
+
+		await assert.rejects(sdk.messaging.sms.send({ to: '+15551234567', message: 'hi' }), {
+			status: 503,
+		});
+		assert.equal(mock.history.length, 1);
+		assert.match(sentKeys(mock)[0], UUID);
+	});
+
+	test('reuses the key when a 401 triggers a token refresh', async () => {
+		let minted = 0;
+		const { sdk, mock } = buildSdk({
+			token: undefined,
+			tokenProvider: async () => `token-${++minted}`,
+		});
+		mock.onPut('/object/p1').replyOnce(401, { error: 'expired' });
+		mock.onPut('/object/p1').reply(200, {});
+
+		await sdk._fetch('/object/p1', 'PUT', { body: {}, idempotencyKey: true });
+
+		const keys = sentKeys(mock);
+		assert.equal(keys.length, 2);
+		assert.equal(keys[0], keys[1]);
+		assert.equal(mock.history[1].headers.Authorization, 'Bearer token-2');
+	});
+
+	test('is passed through by mutating service methods', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onAny().reply(200, {});
+
+		await sdk.messaging.sms.send({ to: '+15551234567', idempotencyKey: 'sms' });
+		await sdk.messaging.email.send({
+			from: 'a@example.com',
+			to: 'b@example.com',
+			subject: 'Hi',
+			idempotencyKey: 'email',
+		});
+		await sdk.fax.send({
+			faxMailboxId: 'mb1',
+			toNumber: '+15551234567',
+			fromNumber: '+15559876543',
+			storageId: 's1',
+			idempotencyKey: 'fax',
+		});
+		await sdk.phoneNumbers.order({
+			phoneNumbers: ['+15551234567'],
+			idempotencyKey: 'order',
+		});
+		await sdk.voice.call({
+			to: '+15551234567',
+			from: '+15559876543',
+			idempotencyKey: 'call',
+		});
+
+		assert.deepEqual(sentKeys(mock), ['sms', 'email', 'fax', 'order', 'call']);
+	});
+});
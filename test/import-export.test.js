@@ -0,0 +1,255 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AbortError, ValidationError } from '../index.js';
+import { buildSdk } from './helpers.js';
+import { parseCsv, readNdjsonRows, formatCsvRow } from '../lib/dataFormats.js';
+import { normalizeFields, validateRecord } from '../lib/objectSchema.js';
+
+function buildPeopleSdk() {
+	const { sdk, mock } = buildSdk();
+	mock.onGet('/object/describe/people').reply(200, {
+		fields: [
+			{ name: 'id', type: 'varchar', isRequired: true },
+			{ name: 'name', type: 'varchar', length: 10, isRequired: true },
+			{ name: 'email', type: 'email' },
+			{ name: 'age', type: 'int' },
+			{ name: 'vip', type: 'boolean' },
+		],
+	});
+	return { sdk, mock };
+}
+
+async function collect(iterable) {
+	const items = [];
+	for await (const item of iterable) items.push(item);
+	return items;
+}
+
+async function* chunked(text, size) {
+	const bytes = new TextEncoder().encode(text);
+	for (let i = 0; i < bytes.length; i += size) {
+		yield bytes.subarray(i, i + size);
+	}
+}
+
+describe('CSV and NDJSON', () => {
+	test('parses quotes, line breaks and split multi-byte chunks', async () => {
+		const text =
+			'\uFEFFname,note\r\n"Zoë ""Z""","a, b"\r\n\r\nAnn,"two\nlines"\nBob,';
+		const rows = await collect(parseCsv(chunked(text, 3)));
+
+		assert.deepEqual(rows, [
+			{ values: ['name', 'note'], line: 1 },
+			{ values: ['Zoë "Z"', 'a, b'], line: 2 },
+			{ values: ['Ann', 'two\nlines'], line: 4 },
+			{ values: ['Bob', ''], line: 6 },
+		]);
+		const [unterminated] = await collect(parseCsv('"open,1'));
+		assert.equal(unterminated.error, 'Unterminated quoted field');
+	});
+
+	test('round-trips formatted rows', async () => {
+		const values = ['plain', 'a,b', 'say "hi"', 'x\ny', null, { a: 1 }];
+		const [{ values: parsed }] = await collect(parseCsv(formatCsvRow(values)));
+		assert.deepEqual(parsed, ['plain', 'a,b', 'say "hi"', 'x\ny', '', '{"a":1}']);
+	});
+
+	test('reads NDJSON objects and reports bad lines', async () => {
+		const rows = await collect(
+			readNdjsonRows(chunked('{"a":1}\n\n[1]\n{bad\n{"b":2}', 4)),
+		);
+		assert.deepEqual(
+			rows.map(({ line, row, error }) => [line, row, error && error.split(':')[0]]),
+			[
+				[1, { a: 1 }, undefined],
+				[3, undefined, 'Expected a JSON object'],
+				[4, undefined, 'Invalid JSON'],
+				[5, { b: 2 }, undefined],
+			],
+		);
+	});
+});
+
+describe('object field validation', () => {
+	test('checks types, lengths and required fields', () => {
+		const fields = normalizeFields({
+			columns: {
+				name: { type: 'varchar(5)', length: 5, required: true },
+				born: 'date',
+				createdAt: { type: 'datetime', isRequired: true, isSystem: true },
+			},
+		});
+
+		assert.deepEqual(validateRecord({ name: 'Alexander', born: '2020-13-45', x: 1 }, fields), [
+			{ field: 'name', message: 'must have at most 5 characters' },
+			{ field: 'born', message: 'must be an ISO 8601 date (YYYY-MM-DD)' },
+			{ field: 'x', message: 'is not a known field' },
+		]);
+		assert.deepEqual(validateRecord({}, fields), [{ field: 'name', message: 'is required' }]);
+		assert.deepEqual(validateRecord({}, fields, { partial: true }), []);
+	});
+});
+
+describe('objects.export', () => {
+	test('streams CSV across pages', async () => {
+		const { sdk, mock } = buildPeopleSdk();
+		mock
+			.onGet('/object/query/people', { query: { nextId: 'p2' } })
+			.reply(200, { results: [{ id: '3', name: 'Cy', tags: ['a'] }], nextId: null });
+		mock.onGet('/object/query/people').reply(200, {
+			results: [
+				{ id: '1', name: 'Ann, "A"', tags: null },
+				{ id: '2', name: 'Bob', extra: true },
+			],
+			nextId: 'p2',
+		});
+
+		const chunks = await collect(
+			sdk.objects.export({ object: 'people', where: { status: 'active' } }),
+		);
+
+		assert.equal(
+			chunks.join(''),
+			'id,name,tags\n1,"Ann, ""A""",\n2,Bob,\n3,Cy,"[""a""]"\n',
+		);
+		assert.equal(mock.history[0].query.status, 'active');
+		assert.equal(mock.history.length, 2);
+	});
+
+	test('streams NDJSON and writes the selected header when empty', async () => {
+		const { sdk, mock } = buildPeopleSdk();
+		mock.onGet('/object/query/people', { query: { status: 'none' } }).reply(200, { results: [] });
+		mock.onGet('/object/query/people').reply(200, { results: [{ id: '1' }, { id: '2' }] });
+
+		const ndjson = await collect(sdk.objects.export({ object: 'people', format: 'ndjson' }));
+		assert.equal(ndjson.join(''), '{"id":"1"}\n{"id":"2"}\n');
+
+		const empty = await collect(
+			sdk.objects.export({ object: 'people', where: { status: 'none' }, select: ['id', 'name'] }),
+		);
+		assert.equal(empty.join(''), 'id,name\n');
+		assert.throws(() => sdk.objects.export({ object: 'people', format: 'xml' }), ValidationError);
+	});
+});
+
+describe('objects.import', () => {
+	test('maps, converts and validates CSV rows and reports failures', async () => {
+		const { sdk, mock } = buildPeopleSdk();
+		mock.onPost('/object/people', { body: { name: 'Dup' } }).reply(409, { message: 'duplicate' });
+		mock.onPost('/object/people').reply(200, { id: 'new' });
+		const csv = [
+			'Name,E-mail,Age,VIP,Notes',
+			'Ann,ann@acme.com,30,yes,ignored',
+			'Dup,,,,',
+			'"Bartholomew",bob@,x,no,',
+			',,1,,',
+			'short,row',
+		].join('\n');
+
+		const checkpoints = [];
+		const { errors, done } = sdk.objects.import(chunked(csv, 7), {
+			object: 'people',
+			mapping: { Name: 'name', 'E-mail': 'email', Age: 'age', VIP: 'vip' },
+			chunkSize: 2,
+			onCheckpoint: (checkpoint) => checkpoints.push(checkpoint),
+		});
+		const [report, result] = await Promise.all([collect(errors), done]);
+
+		assert.deepEqual(result, {
+			succeeded: 1,
+			failed: 4,
+			skipped: 0,
+			checkpoint: {
+				runId: result.checkpoint.runId,
+				nextIndex: 5,
+				succeeded: 1,
+				failed: 4,
+				skipped: 0,
+			},
+		});
+		assert.equal(typeof result.checkpoint.runId, 'string');
+		assert.deepEqual(checkpoints.map(({ nextIndex }) => nextIndex), [2, 4, 5]);
+		assert.deepEqual(
+			mock.history.filter(({ method }) => method === 'POST').map(({ body }) => body),
+			[{ name: 'Ann', email: 'ann@acme.com', age: 30, vip: true }, { name: 'Dup' }],
+		);
+		assert.equal(
+			report.join(''),
+			'line,errors,Name,E-mail,Age,VIP,Notes\n' +
+				'3,duplicate,Dup,,,,\n' +
+				'4,"name must have at most 10 characters; email must be an email address; ' +
+				'age expected integer, got string",Bartholomew,bob@,x,no,\n' +
+				'5,name is required,,,1,,\n' +
+				'6,"Expected 5 columns, got 2",,,,,\n',
+		);
+	});
+
+	test('upserts NDJSON rows through a mapping function and reports as NDJSON', async () => {
+		const { sdk, mock } = buildPeopleSdk();
+		mock.onGet('/object/query/people').reply(200, { results: [{ id: 'p1' }] });
+		mock.onPut('/object/people').reply(200, { updated: 1 });
+		const source = [
+			JSON.stringify({ mail: 'ann@acme.com', age: 31 }),
+			JSON.stringify({ mail: 'skip' }),
+			JSON.stringify({ mail: 'bob@acme.com', age: 'old' }),
+		].join('\n');
+
+		const { errors, done } = sdk.objects.import(source, {
+			object: 'people',
+			format: 'ndjson',
+			upsertKey: 'email',
+			mapping: (row) => (row.mail === 'skip' ? null : { email: row.mail, age: row.age }),
+		});
+		const [report, result] = await Promise.all([collect(errors), done]);
+
+		assert.equal(result.succeeded, 1);
+		assert.equal(result.skipped, 1);
+		assert.deepEqual(mock.history.at(-1).body, {
+			where: { id: 'p1' },
+			update: { email: 'ann@acme.com', age: 31 },
+		});
+		assert.deepEqual(JSON.parse(report.join('')), {
+			line: 3,
+			index: 2,
+			errors: [{ field: 'age', message: 'expected integer, got string' }],
+			row: { mail: 'bob@acme.com', age: 'old' },
+		});
+	});
+
+	test('resumes from a checkpoint and skips validation on request', async () => {
+		const { sdk, mock } = buildPeopleSdk();
+		mock.onPost('/object/people').reply(200, { id: 'new' });
+
+		const { done } = sdk.objects.import('name\nA\nB\nC\n', {
+			object: 'people',
+			validate: false,
+			checkpoint: { runId: 'r1', nextIndex: 2, succeeded: 2, failed: 0 },
+		});
+		const result = await done;
+
+		assert.equal(result.succeeded, 3);
+		assert.deepEqual(
+			mock.history.map(({ method, body }) => [method, body]),
+			[['POST', { name: 'C' }]],
+		);
+		assert.equal(mock.history[0].headers['Idempotency-Key'], 'r1:2');
+	});
+
+	test('rejects and errors the report stream when aborted', async () => {
+		const { sdk, mock } = buildPeopleSdk();
+		const controller = new AbortController();
+		mock.onPost('/object/people').reply(200, { id: 'new' });
+
+		const { errors, done } = sdk.objects.import('name\nA\nB\n', {
+			object: 'people',
+			chunkSize: 1,
+			signal: controller.signal,
+			onCheckpoint: () => controller.abort(),
+		});
+
+		await assert.rejects(done, AbortError);
+		await assert.rejects(collect(errors), AbortError);
+		assert.equal(mock.history.filter(({ method }) => method === 'POST').length, 1);
+		assert.throws(() => sdk.objects.import('', { object: 'people', format: 'xlsx' }), ValidationError);
+	});
+});
@@ -0,0 +1,145 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import SDK from '../index.js';
+import { buildSdk } from './helpers.js';
+import { Logger, redact } from '../lib/logger.js';
+
+function captureLogger() {
+	const records = [];
+	const logger = {};
+	for (const level of ['debug', 'info', 'warn', 'error']) {
+		logger[level] = (message, fields) => records.push({ level, message, fields });
+	}
+	return { logger, records };
+}
+
+describe('redact', () => {
+	test('masks sensitive keys at any depth', () => {
+		assert.deepEqual(
+			redact({
+				headers: { Authorization: 'Bearer abc', 'x-call-id': 'c1' },
+				body: { user: { password: 'pw', refreshToken: 'r' }, name: 'Ann' },
+			}),
+			{
+				headers: { Authorization: '[REDACTED]', 'x-call-id': 'c1' },
+				body: { user: { password: '[REDACTED]', refreshToken: '[REDACTED]' }, name: 'Ann' },
+			},
+		);
+	});
+
+	test('masks SSNs, Luhn-valid card numbers and bearer tokens in strings', () => {
+		assert.equal(redact('ssn 123-45-6789'), 'ssn [REDACTED]');
+		assert.equal(redact('card 4111 1111 1111 1111'), 'card [REDACTED]');
+		assert.equal(redact('order 1234567890123'), 'order 1234567890123');
+		assert.equal(redact('header Bearer eyJ.abc.def'), 'header Bearer [REDACTED]');
+	});
+
+	test('summarizes errors, buffers and circular references', () => {
+		const cyclic = { name: 'loop' };
+		cyclic.self = cyclic;
+		const error = Object.assign(new Error('failed for 123-45-6789'), {
+			status: 500,
+		});
+
+		assert.deepEqual(redact({ cyclic, data: Buffer.from('abc') }), {
+			cyclic: { name: 'loop', self: '[Circular]' },
+			data: '[Buffer 3 bytes]',
+		});
+		assert.deepEqual(redact(error), {
+			type: 'Error',
+			message: 'failed for [REDACTED]',
+			status: 500,
+		});
+	});
+});
+
+describe('Logger', () => {
+	test('passes fields first to pino-style loggers', () => {
+		const calls = [];
+		const pino = {
+			bindings: () => ({}),
+			info: (...args) => calls.push(args),
+		};
+
+		new Logger(pino).info('hello', { token: 'secret' });
+
+		assert.deepEqual(calls, [[{ token: '[REDACTED]' }, 'hello']]);
+	});
+
+	test('falls back to info or log when a level is missing', () => {
+		const calls = [];
+		new Logger({ log: (...args) => calls.push(args) }).debug('hi', {});
+
+		assert.deepEqual(calls, [['hi', {}]]);
+	});
+});
+
+describe('SDK logging', () => {
+	test('writes redacted debug-mode request records to the logger', async () => {
+		const { logger, records } = captureLogger();
+		const { sdk, mock } = buildSdk({ token: 'jwt', logger });
+		sdk.debug();
+		mock
+			.onPost('/object/people')
+			.reply(200, { id: 'p1' }, { headers: { 'x-request-id': 'req-9' } });
+
+		await sdk._fetch('/object/people', 'POST', {
+			body: { ssn: '123-45-6789', note: 'paid with 4111-1111-1111-1111' },
+		});
+
+		const record = records.find((r) => r.fields.event === 'request');
+		assert.equal(record.level, 'debug');
+		assert.equal(record.fields.transport, 'mock');
+		assert.equal(record.fields.status, 200);
+		assert.equal(record.fields.requestId, 'req-9');
+		assert.equal(record.fields.headers.Authorization, '[REDACTED]');
+		assert.deepEqual(record.fields.body, {
+			ssn: '[REDACTED]',
+			note: 'paid with [REDACTED]',
+		});
+	});
+
+	test('logs nothing for successful calls outside debug mode', async () => {
+		const { logger, records } = captureLogger();
+		const { sdk, mock } = buildSdk({ token: 'jwt', logger });
+		mock.onPost('/login/validate').reply(200, { valid: true });
+
+		await sdk.login.validate(false);
+
+		assert.deepEqual(records, []);
+	});
+
+	test('logs transport fallback as a warning record', async (t) => {
+		const { logger, records } = captureLogger();
+		const sdk = new SDK({ namespace: 'acme', token: 'jwt' }).setLogger(logger);
+		sdk.addTransport({
+			name: 'socket',
+			getPriority: () => 1,
+			isAvailable: async () => true,
+			request: async () => {
+				throw new Error('socket closed');
+			},
+		});
+		t.mock.method(globalThis, 'fetch', async () =>
+			new Response('{}', {
+				status: 200,
+				headers: { 'content-type': 'application/json' },
+			}),
+		);
+
+		await sdk._fetch('/object/p1', 'GET');
+
+		assert.equal(records.length, 1);
+		assert.equal(records[0].level, 'warn');
+		assert.deepEqual(
+			{ ...records[0].fields, error: records[0].fields.error.message },
+			{
+				event: 'transport.fallback',
+				transport: 'socket',
+				method: 'GET',
+				endpoint: '/object/p1',
+				error: 'socket closed',
+			},
+		);
+	});
+});
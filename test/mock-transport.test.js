@@ -0,0 +1,119 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import SDK, {
+	MockTransport,
+	NotFoundError,
+	TransportError,
+	TimeoutError,
+} from '../index.js';
+
+function buildSdk(transport, options = {}) {
+	const sdk = new SDK({ namespace: 'acme', token: 't', ...options });
+	sdk.addTransport(transport);
+	return sdk;
+}
+
+describe('MockTransport routes', () => {
+	test('answers service calls with canned responses', async () => {
+		const mock = new MockTransport();
+		const sdk = buildSdk(mock);
+		mock
+			.onGet('/object/query/people', { query: { limit: 5 } })
+			.reply(200, { results: [{ id: 'p1' }] });
+
+		const result = await sdk.objects.query({ object: 'people', limit: 5 });
+
+		assert.deepEqual(result, { results: [{ id: 'p1' }] });
+		assert.equal(mock.history.length, 1);
+		assert.equal(mock.history[0].headers.Authorization, 'Bearer t');
+	});
+
+	test('matches on partial body and supports replyOnce', async () => {
+		const mock = new MockTransport();
+		const sdk = buildSdk(mock, { retry: { methods: ['POST'], baseDelay: 1 } });
+		mock
+			.onPost('/messaging/sms', { body: { to: '+15551234567' } })
+			.replyOnce(503, { error: 'busy' });
+		mock.onPost('/messaging/sms').reply((request) => [
+			200,
+			{ id: 'msg-1', to: request.body.to },
+		]);
+
+		const result = await sdk.messaging.sms.send({
+			from: '+15550000000',
+			to: '+15551234567',
+			message: 'hi',
+		});
+
+		assert.deepEqual(result, { id: 'msg-1', to: '+15551234567' });
+		assert.equal(mock.history.length, 2);
+	});
+
+	test('injects API errors, transport errors and hangs', async () => {
+		const mock = new MockTransport();
+		const sdk = buildSdk(mock, { timeout: 10 });
+		mock.onGet('/object/missing').reply(404, { error: 'Not found' });
+		mock.onGet('/object/broken').networkError('socket closed');
+		mock.onGet('/object/slow').hang();
+
+		await assert.rejects(sdk.objects.byId('missing'), NotFoundError);
+		await assert.rejects(sdk.objects.byId('broken'), (err) => {
+			assert.ok(err instanceof TransportError);
+			assert.equal(err.cause.message, 'socket closed');
+			return true;
+		});
+		await assert.rejects(sdk.objects.byId('slow'), TimeoutError);
+	});
+
+	test('never falls back to HTTP for unmatched requests', async () => {
+		const sdk = buildSdk(new MockTransport());
+
+		await assert.rejects(sdk.objects.list(), /no route for GET \/object\//);
+	});
+});
+
+describe('MockTransport record and replay', () => {
+	const originalFetch = globalThis.fetch;
+	let dir;
+
+	afterEach(async () => {
+		globalThis.fetch = originalFetch;
+		if (dir) await rm(dir, { recursive: true, force: true });
+	});
+
+	test('records real exchanges to a fixture file and replays them', async () => {
+		const seen = [];
+		globalThis.fetch = async (url, options) => {
+			seen.push({ url, options });
+			return new Response(JSON.stringify({ name: 'people', fields: [] }), {
+				status: 200,
+				headers: { 'content-type': 'application/json', 'x-request-id': 'r1' },
+			});
+		};
+
+		const recorder = new MockTransport({ mode: 'record' });
+		const recordingSdk = buildSdk(recorder);
+		const live = await recordingSdk.objects.describe('people');
+		assert.equal(seen[0].url, 'https://acme.api.unbound.cx/object/describe/people');
+
+		dir = await mkdtemp(path.join(tmpdir(), 'unbound-fixtures-'));
+		const file = path.join(dir, 'people.json');
+		await recorder.saveFixtures(file);
+
+		globalThis.fetch = async () => {
+			throw new Error('network used during replay');
+		};
+		const replayer = await MockTransport.fromFixtures(file);
+		const replaySdk = buildSdk(replayer);
+
+		assert.deepEqual(await replaySdk.objects.describe('people'), live);
+		assert.doesNotMatch(JSON.stringify(recorder.toFixtures()), /Bearer/);
+		await assert.rejects(
+			replaySdk.objects.describe('people'),
+			/no recorded exchange/,
+		);
+	});
+});
@@ -0,0 +1,238 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { SchemaMigrationError, ValidationError } from '../index.js';
+import { buildSdk } from './helpers.js';
+
+// A namespace whose describe / generated column / expand detail responses
+// follow the changes made through the mock. `setup` adds routes that take
+// precedence.
+function buildNamespace(setup = () => {}) {
+	const { sdk, mock } = buildSdk();
+	setup(mock);
+	const objects = {
+		people: {
+			isBotAccessible: 0,
+			fields: [
+				{ name: 'id', type: 'varchar', isRequired: 1 },
+				{ name: 'email', type: 'varchar(255)', length: '255', isRequired: 0 },
+				{ name: 'legacy', type: 'int', isRequired: 0 },
+			],
+		},
+	};
+	const generated = [
+		{ id: 'g1', objectName: 'people', columnName: 'fullName', value: 'a', isActive: 1 },
+	];
+	const expand = [];
+	const column = (object, name) =>
+		objects[object].fields.find((field) => field.name === name);
+
+	mock.onGet((endpoint) => endpoint.startsWith('/object/describe/')).reply((request) => {
+		const object = objects[request.endpoint.split('/').pop()];
+		return object ? [200, object] : [404, { message: 'Object not found' }];
+	});
+	mock.onGet('/object/generatedColumns').reply(() => [200, { results: generated }]);
+	mock.onGet('/object/expandDetails').reply(() => [200, { results: expand }]);
+	mock.onPost('/object/manage').reply(({ body }) => {
+		objects[body.name] = { fields: [{ name: 'id', type: 'varchar' }] };
+		return [200, { name: body.name }];
+	});
+	mock.onPut('/object/manage/people').reply(({ body }) => {
+		Object.assign(objects.people, body);
+		return [200, {}];
+	});
+	mock.onPost((endpoint) => endpoint.startsWith('/object/manage/')).reply(({ endpoint, body }) => {
+		objects[endpoint.split('/').pop()].fields.push({ ...body });
+		return [200, {}];
+	});
+	mock.onPut((endpoint) => endpoint.startsWith('/object/manage/')).reply(({ endpoint, body }) => {
+		const [object, name] = endpoint.split('/').slice(-2);
+		Object.assign(column(object, name), body);
+		return [200, {}];
+	});
+	mock.onDelete((endpoint) => endpoint.startsWith('/object/manage/')).reply(({ endpoint }) => {
+		const [object, name] = endpoint.split('/').slice(-2);
+		objects[object].fields = objects[object].fields.filter((field) => field.name !== name);
+		return [200, {}];
+	});
+	mock.onPut('/object/generatedColumns/g1').reply(({ body }) => {
+		Object.assign(generated[0], body);
+		return [200, {}];
+	});
+	mock.onPost('/object/expandDetails').reply(({ body }) => {
+		expand.push({ id: `e${expand.length + 1}`, ...body });
+		return [200, { id: `e${expand.length}` }];
+	});
+
+	return { sdk, mock, objects };
+}
+
+const SCHEMA = {
+	objects: {
+		people: {
+			isBotAccessible: true,
+			columns: {
+				email: { type: 'varchar', length: 255, isRequired: true },
+				phone: { type: 'varchar', length: 20, description: 'Mobile' },
+			},
+			generatedColumns: { fullName: { value: 'b' } },
+			expandDetails: {
+				team: { targetObject: 'teams', lookupColumn: 'teamId', expandFields: ['name'] },
+			},
+		},
+		teams: { columns: { name: { type: 'varchar', length: 100 } } },
+	},
+};
+
+function mutations(mock) {
+	return mock.history
+		.filter(({ method }) => method !== 'GET')
+		.map(({ method, endpoint }) => `${method} ${endpoint}`);
+}
+
+describe('objects.schema.diff', () => {
+	test('plans objects, columns, generated columns, expand details, then deletions', async () => {
+		const { sdk } = buildNamespace();
+		const plan = await sdk.objects.schema.diff(SCHEMA, { prune: true });
+
+		assert.deepEqual(
+			plan.steps.map(({ description }) => description),
+			[
+				'Modify object people: isBotAccessible',
+				'Create object teams',
+				'Modify column people.email: isRequired',
+				'Create column people.phone',
+				'Modify column people.phone: description',
+				'Create column teams.name',
+				'Update generated column people.fullName: value',
+				'Create expand detail people.team',
+				'Delete column people.legacy',
+			],
+		);
+		assert.deepEqual(plan.steps[3].params, {
+			objectName: 'people',
+			name: 'phone',
+			type: 'varchar',
+			length: 20,
+		});
+		assert.deepEqual(plan.steps[2].previous, { isRequired: false });
+	});
+
+	test('leaves undeclared columns alone without prune', async () => {
+		const { sdk } = buildNamespace();
+		const plan = await sdk.objects.schema.diff({
+			objects: { people: { columns: { email: { length: 255 } } } },
+		});
+		assert.deepEqual(plan.steps, []);
+	});
+
+	test('reads generated columns past the first page', async () => {
+		const generated = Array.from({ length: 150 }, (_, i) => ({
+			id: `g${i}`,
+			objectName: 'people',
+			columnName: i === 120 ? 'fullName' : `column${i}`,
+			value: 'b',
+		}));
+		const { sdk, mock } = buildNamespace((mock) => {
+			mock.onGet('/object/generatedColumns').reply(({ query }) => {
+				const offset = query.offset || 0;
+				return [200, { results: generated.slice(offset, offset + 100) }];
+			});
+		});
+
+		const plan = await sdk.objects.schema.diff({
+			objects: { people: { generatedColumns: { fullName: { value: 'b' } } } },
+		});
+
+		assert.deepEqual(plan.steps, []);
+		assert.deepEqual(
+			mock.history
+				.filter(({ endpoint }) => endpoint === '/object/generatedColumns')
+				.map(({ query }) => query.offset),
+			[undefined, 100],
+		);
+	});
+
+	test('rejects malformed schemas with the offending path', async () => {
+		const { sdk } = buildNamespace();
+		await assert.rejects(
+			sdk.objects.schema.diff({ objects: { people: { columns: { email: { length: '255' } } } } }),
+			(err) =>
+				err instanceof ValidationError &&
+				err.errors[0].field === 'objects.people.columns.email.length',
+		);
+		await assert.rejects(
+			sdk.objects.schema.diff({ objects: { people: { columns: { nickname: {} } } } }),
+			/objects\.people\.columns\.nickname\.type/,
+		);
+		await assert.rejects(sdk.objects.schema.diff({}), ValidationError);
+	});
+});
+
+describe('objects.schema.apply', () => {
+	test('dry runs without changes, then applies and returns a rollback list', async () => {
+		const { sdk, mock, objects } = buildNamespace();
+		const plan = await sdk.objects.schema.diff(SCHEMA, { prune: true });
+
+		const dry = await sdk.objects.schema.apply(plan, { dryRun: true });
+		assert.ok(dry.results.every(({ status }) => status === 'pending'));
+		assert.deepEqual(dry.rollback, []);
+		assert.deepEqual(mutations(mock), []);
+
+		const { results, rollback } = await sdk.objects.schema.apply(plan);
+		assert.ok(results.every(({ status }) => status === 'applied'));
+		assert.equal(objects.people.fields.find(({ name }) => name === 'phone').description, 'Mobile');
+		assert.deepEqual(
+			rollback.map(({ action, params }) => [action, params]),
+			[
+				['createColumn', { objectName: 'people', name: 'legacy', type: 'int', isRequired: false }],
+				['deleteExpandDetail', { id: 'e1' }],
+				['updateGeneratedColumn', { id: 'g1', value: 'a' }],
+				['deleteColumn', { objectName: 'teams', columnName: 'name' }],
+				['deleteColumn', { objectName: 'people', columnName: 'phone' }],
+				['modifyColumn', { objectName: 'people', columnName: 'email', isRequired: false }],
+				['modifyObject', { objectName: 'people', isBotAccessible: false }],
+			],
+		);
+
+		// Everything is in effect now: applying again changes nothing
+		mock.history.length = 0;
+		const again = await sdk.objects.schema.apply(plan);
+		assert.ok(again.results.every(({ status }) => status === 'skipped'));
+		assert.deepEqual(mutations(mock), []);
+		assert.deepEqual((await sdk.objects.schema.diff(SCHEMA, { prune: true })).steps, []);
+	});
+
+	test('stops at a failing step and resumes where it left off', async () => {
+		const { sdk, mock } = buildNamespace((mock) => {
+			mock.onPost('/object/manage/people').replyOnce(500, { message: 'locked' });
+		});
+		const plan = await sdk.objects.schema.diff({
+			objects: {
+				people: {
+					columns: {
+						email: { isRequired: true },
+						phone: { type: 'varchar' },
+					},
+				},
+			},
+		});
+
+		const error = await sdk.objects.schema.apply(plan).catch((err) => err);
+		assert.ok(error instanceof SchemaMigrationError);
+		assert.equal(error.step.description, 'Create column people.phone');
+		assert.match(error.message, /locked/);
+		assert.equal(error.cause.status, 500);
+		assert.deepEqual(
+			error.rollback.map(({ action }) => action),
+			['modifyColumn'],
+		);
+
+		mock.history.length = 0;
+		const { results } = await sdk.objects.schema.apply(plan);
+		assert.deepEqual(
+			results.map(({ status }) => status),
+			['skipped', 'applied'],
+		);
+		assert.deepEqual(mutations(mock), ['POST /object/manage/people']);
+	});
+});
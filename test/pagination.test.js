@@ -0,0 +1,122 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AbortError } from '../index.js';
+import { buildSdk } from './helpers.js';
+
+describe('objects.iterate', () => {
+	test('follows nextId cursors across pages', async () => {
+		const { sdk, mock } = buildSdk();
+		mock
+			.onGet('/object/query/people', { query: { nextId: undefined } })
+			.reply(200, { results: [{ id: 'a' }, { id: 'b' }], nextId: 'c1' });
+		mock
+			.onGet('/object/query/people', { query: { nextId: 'c1' } })
+			.reply(200, { results: [{ id: 'c' }], pagination: { nextId: null } });
+
+		const ids = [];
+		for await (const row of sdk.objects.iterate({ object: 'people', limit: 2 })) {
+			ids.push(row.id);
+		}
+
+		assert.deepEqual(ids, ['a', 'b', 'c']);
+		assert.equal(mock.history[0].query.limit, 2);
+	});
+
+	test('pages() yields whole pages and maxItems caps the total', async () => {
+		const { sdk, mock } = buildSdk();
+		let n = 0;
+		mock.onGet('/object/query/people').reply(() => {
+			n++;
+			return [200, { results: [{ id: `${n}a` }, { id: `${n}b` }], nextId: `c${n}` }];
+		});
+
+		const pages = [];
+		for await (const { items, page } of sdk.objects
+			.iterate({ object: 'people', maxItems: 3 })
+			.pages()) {
+			pages.push([page, items.map((i) => i.id)]);
+		}
+
+		assert.deepEqual(pages, [
+			[1, ['1a', '1b']],
+			[2, ['2a']],
+		]);
+		assert.equal(mock.history.length, 2);
+	});
+
+	test('breaking out early stops requests; iterations are independent', async () => {
+		const { sdk, mock } = buildSdk();
+		mock
+			.onGet('/object/query/people')
+			.reply(200, { results: [{ id: 'x' }, { id: 'y' }], nextId: 'more' });
+		const people = sdk.objects.iterate({ object: 'people' });
+
+		for await (const row of people) {
+			assert.equal(row.id, 'x');
+			break;
+		}
+		assert.equal(mock.history.length, 1);
+
+		const [first, second] = await Promise.all([
+			people.pages().next(),
+			people.pages().next(),
+		]);
+		assert.equal(first.value.page, 1);
+		assert.equal(second.value.page, 1);
+	});
+
+	test('stops with AbortError when the signal aborts', async () => {
+		const { sdk, mock } = buildSdk();
+		const controller = new AbortController();
+		mock
+			.onGet('/object/query/people')
+			.reply(200, { results: [{ id: 'x' }], nextId: 'more' });
+
+		await assert.rejects(async () => {
+			for await (const row of sdk.objects.iterate({
+				object: 'people',
+				signal: controller.signal,
+			})) {
+				controller.abort();
+			}
+		}, AbortError);
+	});
+});
+
+describe('page-number iterators', () => {
+	test('email queue follows pagination.hasNextPage', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onGet('/messaging/email/queue').reply((request) => {
+			const { page } = request.query;
+			return [
+				200,
+				{
+					items: [{ id: `q${page}` }],
+					pagination: { page, hasNextPage: page < 3 },
+				},
+			];
+		});
+
+		const items = await sdk.messaging.email.queue
+			.iterate({ status: 'failed', limit: 1 })
+			.toArray();
+
+		assert.deepEqual(items.map((i) => i.id), ['q1', 'q2', 'q3']);
+		assert.equal(mock.history[2].query.status, 'failed');
+	});
+
+	test('10DLC brands stop at the first short page', async () => {
+		const { sdk, mock } = buildSdk();
+		mock
+			.onGet(/\/brand\?page=1&limit=2$/)
+			.reply(200, [{ id: 'b1' }, { id: 'b2' }]);
+		mock.onGet(/\/brand\?page=2&limit=2$/).reply(200, [{ id: 'b3' }]);
+
+		const brands = await sdk.messaging.campaigns.tenDlc.brands
+			.iterate({ limit: 2 })
+			.toArray();
+
+		assert.deepEqual(brands.map((b) => b.id), ['b1', 'b2', 'b3']);
+		assert.equal(mock.history.length, 2);
+	});
+});
@@ -0,0 +1,104 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AbortError, TimeoutError } from '../index.js';
+import { buildSdk } from './helpers.js';
+import { RateLimiter } from '../lib/rateLimiter.js';
+
+describe('RateLimiter', () => {
+	test('caps in-flight requests and exposes queue depth', async () => {
+		const { sdk, mock } = buildSdk({ rateLimit: { maxConcurrent: 2 } });
+		let active = 0;
+		let peak = 0;
+		mock.onPost('/object/people').reply(async () => {
+			active++;
+			peak = Math.max(peak, active);
+			await new Promise((resolve) => setTimeout(resolve, 10));
+			active--;
+			return [200, { id: 'p' }];
+		});
+
+		const pending = Array.from({ length: 5 }, () =>
+			sdk.objects.create({ object: 'people', body: { name: 'x' } }),
+		);
+		await new Promise((resolve) => setImmediate(resolve));
+		assert.equal(sdk.rateLimiter.queueDepth, 3);
+		assert.deepEqual(sdk.rateLimiter.stats().global, { queued: 3, inFlight: 2 });
+
+		await Promise.all(pending);
+		assert.equal(peak, 2);
+		assert.equal(sdk.rateLimiter.queueDepth, 0);
+	});
+
+	test('applies token buckets per endpoint prefix', async () => {
+		const { sdk, mock } = buildSdk({
+			rateLimit: {
+				endpoints: { '/messaging/sms': { requestsPerSecond: 50, burst: 1 } },
+			},
+		});
+		mock.onPost('/messaging/sms').reply(200, { ok: true });
+		mock.onGet('/object/').reply(200, []);
+
+		const start = Date.now();
+		await Promise.all([
+			sdk.messaging.sms.send({ to: '+1', message: 'a' }),
+			sdk.messaging.sms.send({ to: '+1', message: 'b' }),
+			sdk.messaging.sms.send({ to: '+1', message: 'c' }),
+		]);
+		// burst of 1, then one token every 20ms
+		assert.ok(Date.now() - start >= 35, `took ${Date.now() - start}ms`);
+
+		const unlimitedStart = Date.now();
+		await Promise.all([sdk.objects.list(), sdk.objects.list()]);
+		assert.ok(Date.now() - unlimitedStart < 20);
+	});
+
+	test('queued requests leave the queue when aborted or timed out', async () => {
+		const { sdk, mock } = buildSdk({ rateLimit: { maxConcurrent: 1 } });
+		mock.onGet('/object/slow').hang();
+		mock.onGet('/object/fast').reply(200, {});
+		const blocker = new AbortController();
+		const queuedController = new AbortController();
+
+		const blocking = sdk._fetch('/object/slow', 'GET', {
+			signal: blocker.signal,
+		});
+		const queued = sdk._fetch('/object/fast', 'GET', {
+			signal: queuedController.signal,
+			dedupe: false,
+		});
+		const timedOut = sdk._fetch('/object/fast', 'GET', {
+			timeout: 10,
+			dedupe: false,
+		});
+		await new Promise((resolve) => setImmediate(resolve));
+		assert.equal(sdk.rateLimiter.queueDepth, 2);
+
+		queuedController.abort();
+		await assert.rejects(queued, AbortError);
+		await assert.rejects(timedOut, TimeoutError);
+		assert.equal(sdk.rateLimiter.queueDepth, 0);
+
+		blocker.abort();
+		await assert.rejects(blocking, AbortError);
+		assert.deepEqual(await sdk._fetch('/object/fast', 'GET'), {});
+	});
+
+	test('matches the longest prefix on path boundaries', () => {
+		const limiter = new RateLimiter({
+			endpoints: {
+				'/messaging': { maxConcurrent: 5 },
+				'/messaging/sms/': { maxConcurrent: 1 },
+			},
+		});
+
+		assert.equal(
+			limiter._endpointLimiter('/messaging/sms/abc'),
+			limiter.endpoints.get('/messaging/sms'),
+		);
+		assert.equal(
+			limiter._endpointLimiter('/messaging/email'),
+			limiter.endpoints.get('/messaging'),
+		);
+		assert.equal(limiter._endpointLimiter('/messagingx'), null);
+	});
+});
@@ -0,0 +1,121 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { SdkPool, ValidationError } from '../index.js';
+import { buildSdk } from './helpers.js';
+
+function buildRoot(options = {}) {
+	return buildSdk({ namespace: 'root', token: 'root-token', ...options });
+}
+
+describe('forNamespace', () => {
+	test('isolates namespace, base URL and credentials', () => {
+		const { sdk } = buildRoot({ callId: 'call-1' });
+
+		const acme = sdk.forNamespace('acme', { token: 'acme-token' });
+
+		assert.equal(acme.namespace, 'acme');
+		assert.equal(acme.baseURL, 'https://acme.api.unbound.cx');
+		assert.equal(acme.token, 'acme-token');
+		assert.equal(acme.callId, undefined);
+		assert.equal(acme.objects.sdk, acme);
+		assert.equal(sdk.namespace, 'root');
+		assert.equal(sdk.token, 'root-token');
+		assert.equal(sdk.objects.sdk, sdk);
+		assert.throws(() => sdk.forNamespace(''), ValidationError);
+	});
+
+	test('shares transports, interceptors and cache with the parent', async () => {
+		const { sdk, mock } = buildRoot({ cache: true });
+		const seen = [];
+		sdk.interceptors.request.use((request) => {
+			seen.push(request.endpoint);
+			return request;
+		});
+		mock.onGet('/object/describe/people').reply(200, { name: 'people' });
+
+		const acme = sdk.forNamespace('acme', { token: 'a' });
+		await acme.objects.describe('people');
+		await acme.objects.describe('people');
+		await sdk.forNamespace('globex', { token: 'g' }).objects.describe('people');
+
+		assert.equal(acme.transports, sdk.transports);
+		assert.equal(acme.cache, sdk.cache);
+		assert.equal(acme.rateLimiter, sdk.rateLimiter);
+		assert.equal(seen.length, 3);
+		// Cache entries are per namespace: one miss each for acme and globex
+		assert.deepEqual(
+			mock.history.map((r) => r.namespace),
+			['acme', 'globex'],
+		);
+	});
+
+	test('keeps credentials apart under concurrent use', async () => {
+		const { sdk, mock } = buildRoot();
+		// Every call must reach the network, not join an identical one
+		sdk.setDedupe(false);
+		let calls = 0;
+		// Staggered delays so responses resolve out of request order
+		mock
+			.onGet('/object/p1')
+			.reply(() => [200, { id: 'p1' }, { delay: 6 - (calls++ % 4) * 2 }]);
+		const clients = ['a', 'b', 'c'].map((ns) =>
+			sdk.forNamespace(ns, { token: `${ns}-token` }),
+		);
+
+		await Promise.all(
+			Array.from({ length: 12 }, (_, i) => clients[i % 3].objects.byId('p1')),
+		);
+
+		assert.equal(mock.history.length, 12);
+		for (const request of mock.history) {
+			assert.equal(
+				request.headers.Authorization,
+				`Bearer ${request.namespace}-token`,
+			);
+		}
+	});
+
+	test('uses its own token provider', async () => {
+		const { sdk, mock } = buildRoot();
+		mock.onGet('/object/p1').reply(200, {});
+		const acme = sdk.forNamespace('acme', {
+			tokenProvider: async () => ({ token: 'minted', expiresIn: 3600 }),
+		});
+
+		await acme.objects.byId('p1');
+
+		assert.equal(mock.history[0].headers.Authorization, 'Bearer minted');
+		assert.equal(sdk.token, 'root-token');
+	});
+});
+
+describe('SdkPool', () => {
+	test('reuses one client per namespace and resolves credentials', () => {
+		const { sdk } = buildRoot();
+		const pool = new SdkPool(sdk, {
+			credentials: (namespace) => ({ token: `${namespace}-token` }),
+		});
+
+		const acme = pool.get('acme');
+
+		assert.equal(pool.get('acme'), acme);
+		assert.equal(acme.token, 'acme-token');
+		assert.notEqual(pool.get('acme', { token: 'rotated' }), acme);
+		assert.equal(pool.get('acme').token, 'rotated');
+		assert.equal(pool.size, 1);
+	});
+
+	test('evicts the least recently used client above maxClients', () => {
+		const { sdk } = buildRoot();
+		const pool = new SdkPool(sdk, { maxClients: 2 });
+
+		pool.get('a');
+		pool.get('b');
+		pool.get('a');
+		pool.get('c');
+
+		assert.equal(pool.has('a'), true);
+		assert.equal(pool.has('b'), false);
+		assert.equal(pool.has('c'), true);
+	});
+});
@@ -0,0 +1,216 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import SDK, {
+	NotFoundError,
+	SocketTransport,
+	TransportError,
+} from '../index.js';
+
+/**
+ * Minimal stand-in for a socket.io client socket. `handler` plays the
+ * server: it receives each request payload and returns a response message,
+ * or undefined to stay silent.
+ */
+class FakeSocket {
+	constructor(handler) {
+		this.connected = true;
+		this.handler = handler;
+		this.listeners = new Map();
+		this.sent = [];
+	}
+
+	on(event, listener) {
+		if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+		this.listeners.get(event).add(listener);
+	}
+
+	off(event, listener) {
+		this.listeners.get(event)?.delete(listener);
+	}
+
+	emit(event, payload) {
+		this.sent.push({ event, payload });
+		setImmediate(async () => {
+			const message = await this.handler?.(payload);
+			if (message) this.receive('sdk:response', { id: payload.id, ...message });
+		});
+	}
+
+	receive(event, payload) {
+		for (const listener of this.listeners.get(event) || []) listener(payload);
+	}
+
+	drop() {
+		this.connected = false;
+		this.receive('disconnect', 'transport close');
+	}
+}
+
+function store(initial) {
+	let value = initial;
+	const subscribers = new Set();
+	return {
+		subscribe(fn) {
+			subscribers.add(fn);
+			fn(value);
+			return () => subscribers.delete(fn);
+		},
+		set(next) {
+			value = next;
+			for (const fn of subscribers) fn(value);
+		},
+	};
+}
+
+function mockHttp(t) {
+	const calls = [];
+	t.mock.method(globalThis, 'fetch', async (url) => {
+		calls.push(url);
+		return new Response('{"via":"http"}', {
+			status: 200,
+			headers: { 'content-type': 'application/json' },
+		});
+	});
+	return calls;
+}
+
+describe('SocketTransport', () => {
+	test('correlates responses by id, including out of order', async () => {
+		const socket = new FakeSocket(async ({ endpoint }) => {
+			if (endpoint === '/object/slow') {
+				await new Promise((resolve) => setTimeout(resolve, 10));
+			}
+			return { status: 200, body: { endpoint } };
+		});
+		const sdk = new SDK({ namespace: 'acme', token: 'jwt' });
+		sdk.addTransport(new SocketTransport({ socket }));
+
+		const [slow, fast] = await Promise.all([
+			sdk._fetch('/object/slow', 'GET'),
+			sdk._fetch('/object/fast', 'GET', { query: { a: 1 } }),
+		]);
+
+		assert.deepEqual(slow, { endpoint: '/object/slow' });
+		assert.deepEqual(fast, { endpoint: '/object/fast' });
+		const [, second] = socket.sent;
+		assert.equal(second.event, 'sdk:request');
+		assert.equal(second.payload.method, 'GET');
+		assert.deepEqual(second.payload.query, { a: 1 });
+		assert.equal(second.payload.namespace, 'acme');
+		assert.equal(second.payload.headers.Authorization, 'Bearer jwt');
+		assert.notEqual(socket.sent[0].payload.id, second.payload.id);
+	});
+
+	test('returns API errors as responses without falling back', async (t) => {
+		const http = mockHttp(t);
+		const socket = new FakeSocket(() => ({
+			status: 404,
+			body: { error: 'Not found' },
+		}));
+		const sdk = new SDK({ namespace: 'acme', token: 'jwt' });
+		sdk.addTransport(new SocketTransport({ socket }));
+
+		await assert.rejects(sdk.objects.byId('missing'), (err) => {
+			assert.ok(err instanceof NotFoundError);
+			assert.equal(err.transport, 'socket');
+			return true;
+		});
+		assert.equal(http.length, 0);
+	});
+
+	test('falls back to HTTP on timeouts, message errors and disconnects', async (t) => {
+		const http = mockHttp(t);
+		let mode = 'silent';
+		const socket = new FakeSocket(() => {
+			if (mode === 'error') return { error: 'unknown route' };
+			if (mode === 'drop') socket.drop();
+			return undefined;
+		});
+		const sdk = new SDK({
+			namespace: 'acme',
+			token: 'jwt',
+			circuitBreaker: false,
+		});
+		sdk.setLogger({});
+		sdk.addTransport(new SocketTransport({ socket, timeout: 20 }));
+
+		for (const next of ['silent', 'error', 'drop']) {
+			mode = next;
+			assert.deepEqual(await sdk._fetch('/object/p1', 'GET'), { via: 'http' });
+		}
+		// Disconnected: not available, so HTTP is used without trying the socket
+		assert.deepEqual(await sdk._fetch('/object/p1', 'GET'), { via: 'http' });
+
+		assert.equal(socket.sent.length, 3);
+		assert.equal(http.length, 4);
+	});
+
+	test('does not send a POST again over HTTP once it reached the socket', async (t) => {
+		const http = mockHttp(t);
+		const socket = new FakeSocket(() => undefined);
+		const sdk = new SDK({ namespace: 'acme', circuitBreaker: false });
+		sdk.setLogger({});
+		sdk.addTransport(new SocketTransport({ socket, timeout: 20 }));
+
+		await assert.rejects(
+			sdk._fetch('/messaging/sms', 'POST', { body: { to: '+15551234567' } }),
+			(err) => {
+				assert.ok(err instanceof TransportError);
+				assert.equal(err.transport, 'socket');
+				assert.match(err.message, /timed out/);
+				return true;
+			},
+		);
+		assert.equal(socket.sent.length, 1);
+		assert.equal(http.length, 0);
+
+		// Never emitted while disconnected, so HTTP is safe
+		socket.drop();
+		assert.deepEqual(await sdk._fetch('/messaging/sms', 'POST', { body: {} }), { via: 'http' });
+		assert.equal(socket.sent.length, 1);
+	});
+
+	test('is only enabled by socketStore with transport: socket', async (t) => {
+		const http = mockHttp(t);
+		const socket = new FakeSocket(() => ({ status: 200, body: { via: 'socket' } }));
+		const plain = new SDK({ namespace: 'acme', socketStore: store({ socket }) });
+
+		assert.deepEqual(await plain._fetch('/object/p1', 'GET'), { via: 'http' });
+		assert.equal(socket.sent.length, 0);
+		assert.equal(http.length, 1);
+		assert.throws(() => new SDK({ namespace: 'acme', transport: 'socket' }), /socketStore/);
+	});
+
+	test('follows the socket held by a store', async (t) => {
+		const http = mockHttp(t);
+		const socketStore = store(null);
+		const sdk = new SDK({
+			namespace: 'acme',
+			socketStore,
+			transport: 'socket',
+			circuitBreaker: { availabilityTtl: 0 },
+		});
+
+		assert.deepEqual(await sdk._fetch('/object/p1', 'GET'), { via: 'http' });
+
+		const socket = new FakeSocket(() => ({ status: 200, body: { via: 'socket' } }));
+		socketStore.set({ socket });
+		assert.deepEqual(await sdk._fetch('/object/p1', 'GET'), { via: 'socket' });
+		assert.equal(http.length, 1);
+	});
+
+	test('sends multipart bodies over HTTP', async (t) => {
+		const http = mockHttp(t);
+		const socket = new FakeSocket(() => ({ status: 200, body: {} }));
+		const sdk = new SDK({ namespace: 'acme' });
+		sdk.setLogger({});
+		sdk.addTransport(new SocketTransport({ socket }));
+		const form = new FormData();
+		form.append('file', 'data');
+
+		await sdk._fetch('/storage/upload', 'POST', { body: form });
+
+		assert.equal(socket.sent.length, 0);
+		assert.equal(http.length, 1);
+	});
+});
@@ -0,0 +1,202 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { NotFoundError } from '../index.js';
+import { buildSdk } from './helpers.js';
+import {
+	METRIC_DURATION,
+	METRIC_ERRORS,
+	METRIC_REQUESTS,
+} from '../lib/telemetry.js';
+
+const TRACEPARENT = /^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/;
+
+function fakeOpenTelemetry() {
+	const spans = [];
+	const measurements = [];
+	const tracer = {
+		startSpan(name, options) {
+			const span = {
+				name,
+				options,
+				attributes: {},
+				ended: false,
+				spanContext: () => ({
+					traceId: 'a'.repeat(32),
+					spanId: 'b'.repeat(16),
+					traceFlags: 1,
+				}),
+				setAttributes(attributes) {
+					Object.assign(span.attributes, attributes);
+				},
+				recordException(error) {
+					span.exception = error;
+				},
+				setStatus(status) {
+					span.status = status;
+				},
+				end() {
+					span.ended = true;
+				},
+			};
+			spans.push(span);
+			return span;
+		},
+	};
+	const meter = {
+		createCounter: (name) => ({
+			add: (value, attributes) => measurements.push({ name, value, attributes }),
+		}),
+		createHistogram: (name) => ({
+			record: (value, attributes) =>
+				measurements.push({ name, value, attributes }),
+		}),
+	};
+	return { tracer, meter, spans, measurements };
+}
+
+describe('telemetry', () => {
+	test('is off by default and adds no traceparent header', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onGet('/object/p1').reply(200, { id: 'p1' });
+
+		await sdk.objects.byId('p1');
+
+		assert.equal(mock.history[0].headers.traceparent, undefined);
+	});
+
+	test('reports a span per call through onSpanEnd', async () => {
+		const spans = [];
+		const { sdk, mock } = buildSdk({
+			telemetry: { onSpanEnd: (span) => spans.push(span) },
+		});
+		mock
+			.onGet('/object/p1')
+			.reply(200, { id: 'p1' }, { headers: { 'x-request-id': 'req-1' } });
+
+		await sdk.objects.byId('p1');
+
+		assert.equal(spans.length, 1);
+		const [span] = spans;
+		assert.equal(span.name, 'GET object');
+		assert.match(span.traceId, /^[0-9a-f]{32}$/);
+		assert.equal(typeof span.duration, 'number');
+		assert.deepEqual(
+			{ ...span.attributes, 'unbound.duration_ms': 0 },
+			{
+				'unbound.service': 'object',
+				'unbound.endpoint': '/object/p1',
+				'unbound.namespace': 'acme',
+				'http.request.method': 'GET',
+				'http.response.status_code': 200,
+				'unbound.transport': 'mock',
+				'unbound.request_id': 'req-1',
+				'unbound.duration_ms': 0,
+			},
+		);
+		assert.equal(
+			mock.history[0].headers.traceparent,
+			`00-${span.traceId}-${span.spanId}-01`,
+		);
+	});
+
+	test('continues an incoming traceparent as the parent span', async () => {
+		const spans = [];
+		const { sdk, mock } = buildSdk({
+			telemetry: { onSpanEnd: (span) => spans.push(span) },
+		});
+		mock.onGet('/object/p1').reply(200, {});
+		const parent = `00-${'1'.repeat(32)}-${'2'.repeat(16)}-01`;
+
+		await sdk._fetch('/object/p1', 'GET', { headers: { traceparent: parent } });
+
+		assert.equal(spans[0].traceId, '1'.repeat(32));
+		assert.equal(spans[0].parentSpanId, '2'.repeat(16));
+		assert.match(mock.history[0].headers.traceparent, TRACEPARENT);
+		assert.notEqual(mock.history[0].headers.traceparent, parent);
+	});
+
+	test('can skip header propagation', async () => {
+		const { sdk, mock } = buildSdk({
+			telemetry: { propagate: false, onSpanEnd: () => {} },
+		});
+		mock.onGet('/object/p1').reply(200, {});
+
+		await sdk.objects.byId('p1');
+
+		assert.equal(mock.history[0].headers.traceparent, undefined);
+	});
+
+	test('records errors on spans and metrics', async () => {
+		const spans = [];
+		const metrics = [];
+		const { sdk, mock } = buildSdk({
+			telemetry: {
+				onSpanEnd: (span) => spans.push(span),
+				onMetric: (metric) => metrics.push(metric),
+			},
+		});
+		mock.onGet('/object/missing').reply(404, { error: 'Not found' });
+
+		await assert.rejects(sdk.objects.byId('missing'), NotFoundError);
+
+		assert.equal(spans[0].attributes['http.response.status_code'], 404);
+		assert.equal(spans[0].attributes['error.type'], 'NotFoundError');
+		assert.ok(spans[0].error instanceof NotFoundError);
+		assert.deepEqual(
+			metrics.map(({ name, type }) => [name, type]),
+			[
+				[METRIC_REQUESTS, 'counter'],
+				[METRIC_DURATION, 'histogram'],
+				[METRIC_ERRORS, 'counter'],
+			],
+		);
+	});
+
+	test('drives an OpenTelemetry-compatible tracer and meter', async () => {
+		const otel = fakeOpenTelemetry();
+		const { sdk, mock } = buildSdk({
+			telemetry: { tracer: otel.tracer, meter: otel.meter },
+		});
+		mock.onPost('/messaging/sms').reply(503, { error: 'down' });
+
+		await assert.rejects(
+			sdk.messaging.sms.send({ from: '+15551230000', to: '+15551234567', message: 'hi' }),
+		);
+
+		const [span] = otel.spans;
+		assert.equal(span.name, 'POST messaging');
+		assert.equal(span.options.kind, 2);
+		assert.equal(span.ended, true);
+		assert.equal(span.status.code, 2);
+		assert.equal(span.attributes['http.response.status_code'], 503);
+		assert.equal(
+			mock.history[0].headers.traceparent,
+			`00-${'a'.repeat(32)}-${'b'.repeat(16)}-01`,
+		);
+		assert.deepEqual(
+			otel.measurements.map(({ name }) => name),
+			[METRIC_REQUESTS, METRIC_DURATION, METRIC_ERRORS],
+		);
+	});
+
+	test('marks cache hits and never lets hook failures break requests', async () => {
+		const spans = [];
+		const { sdk, mock } = buildSdk({
+			telemetry: {
+				onSpanEnd: (span) => {
+					spans.push(span);
+					throw new Error('exporter down');
+				},
+			},
+		});
+		sdk.cache.configure(true);
+		mock.onGet('/object/describe/people').reply(200, { name: 'people' });
+
+		await sdk.objects.describe('people');
+		await sdk.objects.describe('people');
+
+		assert.equal(spans.length, 2);
+		assert.equal(spans[1].attributes['unbound.cache_hit'], true);
+		assert.equal(mock.history.length, 1);
+	});
+});
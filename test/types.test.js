@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+
+const require = createRequire(import.meta.url);
+
+function resolveTsc() {
+	try {
+		return require.resolve('typescript/bin/tsc');
+	} catch {
+		return null;
+	}
+}
+
+const tsc = resolveTsc();
+
+test(
+	'generated declarations type-check against test/types/usage.ts',
+	{ skip: !tsc && 'typescript is not installed', timeout: 120000 },
+	async () => {
+		const project = fileURLToPath(new URL('./types/tsconfig.json', import.meta.url));
+		const output = await new Promise((resolve) => {
+			execFile(process.execPath, [tsc, '-p', project], (error, stdout, stderr) => {
+				resolve({ code: error ? error.code : 0, text: `${stdout}${stderr}` });
+			});
+		});
+
+		assert.equal(output.code, 0, output.text);
+	},
+);
@@ -0,0 +1,120 @@
+// Compiled (not run) by test/types.test.js to check the published
+// declarations resolve through the package exports and stay usable.
+import SDK, {
+  createSDK,
+  UnboundApiError,
+  NotFoundError,
+  ValidationError,
+  MockTransport,
+  SdkPool,
+  runWithContext,
+  type SDKOptions,
+} from '@unboundcx/sdk';
+
+const options: SDKOptions = {
+  namespace: 'acme',
+  token: 'jwt',
+  timeout: 30000,
+  retry: { maxAttempts: 3 },
+  dedupe: true,
+};
+const sdk = new SDK(options);
+const legacy = new SDK('acme', 'call-1', 'jwt');
+const fromFactory = createSDK({ namespace: 'acme' });
+
+async function usage(): Promise<void> {
+  await sdk.objects.query({
+    object: 'people',
+    select: ['id', 'name'],
+    limit: 10,
+    orderByDirection: 'DESC',
+  });
+  await sdk.objects.query({ object: 'people', orderByDirection: 'asc' });
+  await sdk.objects.query('people', { where: { status: 'active' } });
+
+  // @ts-expect-error orderByDirection only accepts 'ASC' or 'DESC', in any case
+  await sdk.objects.query({ object: 'people', orderByDirection: 'down' });
+
+  for await (const row of sdk.objects.iterate({ object: 'people', maxItems: 50 })) {
+    row.id;
+  }
+  const rows: any[] = await sdk.objects.iterate({ object: 'people' }).toArray();
+  const uoql: string = sdk.objects
+    .from('people')
+    .where('companyId', '=', '123')
+    .where((q) => q.whereNull('closedAt').orWhere('status', 'active'))
+    .orderBy('createdAt', 'DESC')
+    .limit(10)
+    .toUOQL();
+  await sdk.objects.from('people').select('id').execute();
+  const imported = await sdk.objects.bulk({
+    object: 'people',
+    operations: [{ op: 'upsert', body: { email: 'a@acme.com' } }],
+    upsertKey: 'email',
+    onCheckpoint: (checkpoint) => checkpoint.nextIndex,
+  });
+  imported.failures.map(({ index, error }) => `${index}: ${error?.message}`);
+  const exported: ReadableStream<string> = sdk.objects.export({ object: 'people', format: 'ndjson' });
+  const job = sdk.objects.import('name\nAnn\n', {
+    object: 'people',
+    mapping: (row) => ({ name: row.name }),
+  });
+  const errorReport: ReadableStream<string> = job.errors;
+  const { succeeded: importedRows } = await job.done;
+  const plan = await sdk.objects.schema.diff(
+    { objects: { people: { columns: { email: { type: 'varchar', length: 255 } } } } },
+    { prune: false },
+  );
+  const migration = await sdk.objects.schema.apply(plan.steps, { dryRun: true });
+  const statuses: string[] = migration.results.map(({ status }) => status);
+  await sdk.objects.schema.apply(migration.rollback);
+  const check = await sdk.objects.validate('people', { email: 'a@acme.com' }, { partial: true });
+  check.errors.map(({ field, message }) => `${field} ${message}`);
+  await sdk.objects.create({ object: 'people', body: { email: 'a@acme.com' }, validate: true });
+
+  await sdk.taskRouter.task.create({ type: 'chat', queueId: 'queue-1', priority: 5 });
+  // @ts-expect-error queueId is required
+  await sdk.taskRouter.task.create({ type: 'chat' });
+
+  await sdk.messaging.email.mailboxes.list({ searchQuery: 'support', limit: 10 });
+  await sdk.ai.playbooks.createSession({ playbookId: 'pb_1', taskId: 'task-1' });
+
+  const id: number = sdk.interceptors.request.use((request: any) => request);
+  sdk.interceptors.request.eject(id);
+
+  const acme = sdk.forNamespace('acme', { token: 'acme-token' });
+  await acme.objects.byId('p1');
+  await new SdkPool(sdk, { maxClients: 10 }).get('globex').objects.byId('p2');
+
+  await sdk.withContext({ callId: 'call-1', headers: { 'x-worker': 'w1' } }).objects.byId('p1');
+  const done: string = await runWithContext({ fwRequestId: 'fw-1' }, async () => 'done');
+
+  sdk.on('transport:down', (event: { transport: string }) => event.transport);
+  const states: string[] = sdk.getTransportHealth().map(({ state }) => state);
+  sdk.setDedupe(false);
+  await sdk._fetch('/object/p1', 'GET', { dedupe: false });
+  await sdk.messaging.sms.send({ to: '+15551234567', message: 'hi', idempotencyKey: 'sms-1' });
+
+  const mock = new MockTransport();
+  legacy.addTransport(mock);
+  fromFactory.setNamespace('other');
+
+  try {
+    await sdk.objects.byId('p1');
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      err.errors.map(({ field, message }) => `${field}: ${message}`);
+    } else if (err instanceof NotFoundError) {
+      const status: number | undefined = err.status;
+    } else if (err instanceof UnboundApiError) {
+      err.requestId;
+    }
+  }
+
+  void rows;
+  void uoql;
+  void done;
+  void states;
+}
+
+void usage;
@@ -0,0 +1,168 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { UoqlQuery, ValidationError } from '../index.js';
+import { buildSdk } from './helpers.js';
+import { formatLiteral } from '../lib/uoql.js';
+
+describe('UOQL query builder', () => {
+	test('compiles selects, conditions, ordering and limits', () => {
+		const query = new UoqlQuery('people')
+			.select('id', ['firstName', 'lastName'])
+			.where('companyId', '=', '123')
+			.where('age', '>=', 21)
+			.whereIn('status', ['active', 'trial'])
+			.whereLike('email', '%@acme.com')
+			.whereNotNull('phone')
+			.orderBy('lastName')
+			.orderBy('createdAt', 'desc')
+			.limit(10);
+
+		assert.equal(
+			query.toUOQL(),
+			"SELECT id, firstName, lastName FROM people WHERE companyId = '123' " +
+				"AND age >= 21 AND status IN ('active', 'trial') " +
+				"AND email LIKE '%@acme.com' AND phone IS NOT NULL " +
+				'ORDER BY lastName ASC, createdAt DESC LIMIT 10',
+		);
+		assert.equal(String(new UoqlQuery('people')), 'SELECT * FROM people');
+	});
+
+	test('groups AND / OR conditions', () => {
+		const query = new UoqlQuery('people')
+			.where('companyId', '1')
+			.where((q) => q.where('status', 'active').orWhereNull('closedAt'))
+			.orWhere({ vip: true, region: 'eu' });
+
+		assert.equal(
+			query.toUOQL(),
+			"SELECT * FROM people WHERE companyId = '1' " +
+				"AND (status = 'active' OR closedAt IS NULL) " +
+				"OR (vip = TRUE AND region = 'eu')",
+		);
+	});
+
+	test('compiles joins', () => {
+		const query = new UoqlQuery('people')
+			.select('people.id', 'companies.name')
+			.leftJoin('companies', 'people.companyId', 'companies.id')
+			.join('teams', 'people.teamId', 'teams.id');
+
+		assert.equal(
+			query.toUOQL(),
+			'SELECT people.id, companies.name FROM people ' +
+				'LEFT JOIN companies ON people.companyId = companies.id ' +
+				'INNER JOIN teams ON people.teamId = teams.id',
+		);
+	});
+
+	test('escapes literals so values cannot change the query', () => {
+		assert.equal(formatLiteral("O'Brien"), "'O''Brien'");
+		assert.equal(formatLiteral("\\' OR 1=1 --"), "'\\\\'' OR 1=1 --'");
+		assert.equal(
+			formatLiteral(new Date('2026-01-02T03:04:05Z')),
+			"'2026-01-02T03:04:05.000Z'",
+		);
+
+		const query = new UoqlQuery('people').where(
+			'companyId',
+			"123' OR '1'='1",
+		);
+		assert.equal(
+			query.toUOQL(),
+			"SELECT * FROM people WHERE companyId = '123'' OR ''1''=''1'",
+		);
+	});
+
+	test('maps null equality to IS NULL / IS NOT NULL', () => {
+		const query = new UoqlQuery('people')
+			.where('a', null)
+			.where('b', '!=', null);
+
+		assert.equal(
+			query.toUOQL(),
+			'SELECT * FROM people WHERE a IS NULL AND b IS NOT NULL',
+		);
+	});
+
+	test('rejects unsafe identifiers, operators and values', () => {
+		const query = new UoqlQuery('people');
+		assert.throws(() => new UoqlQuery('people; DROP'), ValidationError);
+		assert.throws(() => query.select('id, secret'), ValidationError);
+		assert.throws(() => query.where('a', 'OR 1=', 1), /operator/);
+		assert.throws(() => query.where('a', '=', { $gt: 1 }), ValidationError);
+		assert.throws(() => query.where('a', '=', NaN), ValidationError);
+		assert.throws(() => query.whereIn('a', []), /non-empty array/);
+		assert.throws(() => query.orderBy('a', 'sideways'), /direction/);
+		assert.throws(() => query.limit(0), /limit/);
+		assert.throws(() => query.join('b', 'a.id', 'b.id', { type: 'CROSS' }));
+		assert.equal(query.toUOQL(), 'SELECT * FROM people');
+	});
+
+	test('executes through queryV2', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onPost('/object/query/v2').reply(200, { results: [] });
+
+		await sdk.objects
+			.from('people')
+			.select('id')
+			.where('companyId', '123')
+			.expand()
+			.execute({ isPublic: true });
+
+		assert.deepEqual(mock.history[0].body, {
+			query: "SELECT id FROM people WHERE companyId = '123'",
+			expandDetails: true,
+			isPublic: true,
+		});
+	});
+
+	test('compiles equality-only queries to the legacy where object', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onGet('/object/query/people').reply(200, { results: [] });
+		const query = sdk.objects
+			.from('people')
+			.select('id', 'name')
+			.where({ status: 'active' })
+			.where((q) => q.where('companyId', '123'))
+			.limit(25);
+
+		assert.deepEqual(query.toQueryOptions(), {
+			object: 'people',
+			select: ['id', 'name'],
+			where: { status: 'active', companyId: '123' },
+			limit: 25,
+		});
+
+		await query.executeLegacy();
+		assert.deepEqual(mock.history[0].query, {
+			status: 'active',
+			companyId: '123',
+			select: ['id', 'name'],
+			limit: 25,
+		});
+	});
+
+	test('refuses legacy compilation for what the where object cannot express', async () => {
+		const { sdk } = buildSdk();
+		const cases = [
+			[sdk.objects.from('people').where('a', 1).orWhere('b', 2), /OR/],
+			[sdk.objects.from('people').where('a', '>', 1), />/],
+			[sdk.objects.from('people').whereNull('a'), /IS NULL/],
+			[sdk.objects.from('people').orderBy('a'), /ORDER BY/],
+			[sdk.objects.from('people').join('b', 'people.bId', 'b.id'), /joins/],
+			[sdk.objects.from('people').where('limit', 5), /reserved/],
+		];
+		for (const [query, reason] of cases) {
+			assert.throws(() => query.toQueryOptions(), reason);
+			assert.throws(
+				() => query.toQueryOptions(),
+				(err) =>
+					err instanceof ValidationError &&
+					err.name === 'ValidationError' &&
+					err.errors[0].field === 'query',
+			);
+		}
+		await assert.rejects(cases[0][0].executeLegacy(), ValidationError);
+		await assert.rejects(new UoqlQuery('people').execute(), ValidationError);
+	});
+});
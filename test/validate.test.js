@@ -0,0 +1,146 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ValidationError } from '../index.js';
+import { buildSdk } from './helpers.js';
+
+const PEOPLE = {
+	fields: [
+		{ name: 'id', type: 'varchar', isRequired: 1 },
+		{ name: 'name', type: 'varchar', length: 5, isRequired: true },
+		{ name: 'age', type: 'int' },
+		{ name: 'status', type: 'picklist', options: [{ value: 'active', label: 'Active' }, { value: 'lost' }] },
+		{ name: 'fullName', type: 'varchar', isGenerated: 1 },
+		{ name: 'score', type: 'int', readOnly: true },
+		{ name: 'createdAt', type: 'datetime', isSystem: true, isRequired: true },
+	],
+};
+
+function buildPeopleSdk() {
+	const { sdk, mock } = buildSdk();
+	mock.onGet('/object/describe/people').reply(200, PEOPLE);
+	mock.onAny().reply(200, { id: 'p1' });
+	return { sdk, mock };
+}
+
+function describeCalls(mock) {
+	return mock.history.filter(({ endpoint }) => endpoint.startsWith('/object/describe/')).length;
+}
+
+describe('objects.validate', () => {
+	test('checks required fields, types, lengths, picklists and read-only fields', async () => {
+		const { sdk } = buildPeopleSdk();
+		const { valid, errors } = await sdk.objects.validate('people', {
+			age: '12',
+			status: 'won',
+			fullName: 'Ann Lee',
+			score: 3,
+			createdAt: '2026-01-01',
+			nickname: 'A',
+		});
+
+		assert.equal(valid, false);
+		assert.deepEqual(errors, [
+			{ field: 'age', message: 'expected integer, got string' },
+			{ field: 'status', message: "must be one of 'active', 'lost'" },
+			{ field: 'fullName', message: 'is a generated field' },
+			{ field: 'score', message: 'is read-only' },
+			{ field: 'createdAt', message: 'is read-only' },
+			{ field: 'nickname', message: 'is not a known field' },
+			{ field: 'name', message: 'is required' },
+		]);
+		assert.deepEqual(
+			await sdk.objects.validate({ object: 'people', record: { name: 'Ann', status: 'lost' } }),
+			{ valid: true, errors: [] },
+		);
+		assert.deepEqual(
+			(await sdk.objects.validate('people', { age: 3 }, { partial: true })).errors,
+			[],
+		);
+	});
+
+	test('caches field definitions per object until refreshed or changed', async () => {
+		const { sdk, mock } = buildPeopleSdk();
+		await Promise.all([
+			sdk.objects.validate('people', { name: 'A' }),
+			sdk.objects.validate('people', { name: 'B' }),
+		]);
+		await sdk.objects.validate('people', { name: 'C' });
+		assert.equal(describeCalls(mock), 1);
+
+		await sdk.objects.validate('people', { name: 'D' }, { refresh: true });
+		assert.equal(describeCalls(mock), 2);
+
+		await sdk.objects.createColumn({ objectName: 'people', name: 'phone', type: 'varchar' });
+		await sdk.objects.validate('people', { name: 'E' });
+		assert.equal(describeCalls(mock), 3);
+	});
+
+	test('refetches definitions after generated column and object changes', async () => {
+		const { sdk, mock } = buildPeopleSdk();
+		const changes = [
+			() => sdk.objects.createGeneratedColumn({ objectName: 'people', columnName: 'initials', value: 'x' }),
+			() => sdk.objects.updateGeneratedColumn({ id: 'g1', value: 'y' }),
+			() => sdk.objects.deleteGeneratedColumn('g1'),
+			() => sdk.objects.modifyObject({ objectName: 'people', description: 'People' }),
+		];
+
+		await sdk.objects.validate('people', { name: 'A' });
+		for (const [index, change] of changes.entries()) {
+			await change();
+			await sdk.objects.validate('people', { name: 'A' });
+			assert.equal(describeCalls(mock), index + 2);
+		}
+	});
+
+	test('does not cache failed lookups', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onGet('/object/describe/people').replyOnce(503, { message: 'down' });
+		mock.onGet('/object/describe/people').reply(200, PEOPLE);
+
+		await assert.rejects(sdk.objects.validate('people', { name: 'A' }, {}), /down/);
+		assert.equal((await sdk.objects.validate('people', { name: 'A' })).valid, true);
+	});
+
+	test('rejects bad arguments', async () => {
+		const { sdk } = buildPeopleSdk();
+		await assert.rejects(sdk.objects.validate('people'), ValidationError);
+		await assert.rejects(sdk.objects.validate({ record: {} }), ValidationError);
+	});
+});
+
+describe('validate on create and updateById', () => {
+	test('create with validate throws before sending an invalid record', async () => {
+		const { sdk, mock } = buildPeopleSdk();
+		const error = await sdk.objects
+			.create({ object: 'people', body: { name: 'Bartholomew', status: 'won' }, validate: true })
+			.catch((err) => err);
+
+		assert.ok(error instanceof ValidationError);
+		assert.equal(
+			error.message,
+			"Invalid people record: name must have at most 5 characters; status must be one of 'active', 'lost'",
+		);
+		assert.deepEqual(error.errors.map(({ field }) => field), ['name', 'status']);
+		assert.deepEqual(mock.history.map(({ method }) => method), ['GET']);
+
+		await sdk.objects.create({ object: 'people', body: { name: 'Ann' }, validate: true });
+		assert.deepEqual(mock.history.at(-1).body, { name: 'Ann' });
+	});
+
+	test('updateById with validate only checks the fields being changed', async () => {
+		const { sdk, mock } = buildPeopleSdk();
+		await sdk.objects.updateById({ object: 'people', id: 'p1', update: { status: 'lost' }, validate: true });
+		assert.deepEqual(mock.history.at(-1).body, { where: { id: 'p1' }, update: { status: 'lost' } });
+
+		await assert.rejects(
+			sdk.objects.updateById({ object: 'people', id: 'p1', update: { fullName: 'x' }, validate: true }),
+			/fullName is a generated field/,
+		);
+	});
+
+	test('is off by default', async () => {
+		const { sdk, mock } = buildPeopleSdk();
+		await sdk.objects.create({ object: 'people', body: { status: 'won' } });
+		assert.deepEqual(mock.history.map(({ method }) => method), ['POST']);
+	});
+});
@@ -0,0 +1,175 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import SDK, { ValidationError } from '../index.js';
+import { buildSdk } from './helpers.js';
+import { BaseSDK } from '../base.js';
+import { validateSchema } from '../lib/validation.js';
+
+function fields(errors) {
+	return errors.map(({ field, message }) => `${field}: ${message}`);
+}
+
+describe('validateSchema', () => {
+	test('checks enums, bounds, lengths and patterns', () => {
+		const errors = validateSchema(
+			{ direction: 'UP', limit: 0, name: '', zip: '1234' },
+			{
+				direction: { type: 'string', enum: ['ASC', 'DESC'] },
+				limit: { type: 'integer', min: 1, max: 1000 },
+				name: { type: 'string', minLength: 1 },
+				zip: { type: 'string', pattern: /^\d{5}$/ },
+			},
+		);
+
+		assert.deepEqual(fields(errors), [
+			"direction: must be one of 'ASC', 'DESC'",
+			'limit: must be >= 1',
+			'name: must have at least 1 characters',
+			'zip: must match /^\\d{5}$/',
+		]);
+	});
+
+	test('checks formats', () => {
+		const schema = {
+			phone: { format: 'e164' },
+			email: { format: 'email' },
+			day: { format: 'date' },
+			at: { format: 'date-time' },
+		};
+
+		assert.deepEqual(
+			validateSchema(
+				{
+					phone: '+15551234567',
+					email: 'a@b.co',
+					day: '2026-01-31',
+					at: '2026-01-31T10:00:00Z',
+				},
+				schema,
+			),
+			[],
+		);
+		assert.equal(
+			validateSchema(
+				{ phone: '555-1234', email: 'nope', day: '2026-13-45', at: '2026-01-31' },
+				schema,
+			).length,
+			4,
+		);
+	});
+
+	test('reports nested properties and array items by path', () => {
+		const errors = validateSchema(
+			{
+				body: { address: { zip: 12345 } },
+				numbers: ['+15551234567', 'bad', 7],
+			},
+			{
+				body: {
+					type: 'object',
+					properties: {
+						address: {
+							type: 'object',
+							required: true,
+							properties: { zip: { type: 'string' }, city: { required: true } },
+						},
+					},
+				},
+				numbers: { type: 'array', items: { type: 'string', format: 'e164' } },
+			},
+		);
+
+		assert.deepEqual(fields(errors), [
+			'body.address.zip: expected string, got number',
+			'body.address.city: is required',
+			'numbers[1]: must be an E.164 phone number (e.g. +15551234567)',
+			'numbers[2]: expected string, got number',
+		]);
+	});
+
+	test('supports union types and custom validators', () => {
+		const schema = {
+			select: { type: ['array', 'string'] },
+			window: {
+				type: 'object',
+				validate: (w) => w.start < w.end || 'start must be before end',
+			},
+			even: { type: 'number', validate: (n) => n % 2 === 0 },
+		};
+
+		assert.deepEqual(
+			fields(validateSchema({ select: 'id', window: { start: 2, end: 1 }, even: 3 }, schema)),
+			['window: start must be before end', 'even: is invalid'],
+		);
+		assert.deepEqual(
+			fields(validateSchema({ select: 5 }, schema)),
+			['select: expected array or string, got number'],
+		);
+	});
+});
+
+describe('validateParams', () => {
+	test('aggregates every invalid field into one ValidationError', () => {
+		const sdk = new BaseSDK({ namespace: 'acme' });
+
+		assert.throws(
+			() =>
+				sdk.validateParams(
+					{ limit: 'ten', direction: 'UP' },
+					{
+						id: { type: 'string', required: true },
+						limit: { type: 'number' },
+						direction: { type: 'string', enum: ['ASC', 'DESC'] },
+					},
+				),
+			(err) => {
+				assert.ok(err instanceof ValidationError);
+				assert.equal(err.errors.length, 3);
+				assert.equal(
+					err.message,
+					"Missing required parameter id; Invalid type for parameter limit: expected number, got string; Invalid value for parameter direction: must be one of 'ASC', 'DESC'",
+				);
+				return true;
+			},
+		);
+	});
+
+	test('services reject invalid enums and formats before sending', async () => {
+		const sdk = new SDK({ namespace: 'acme', token: 't' });
+
+		await assert.rejects(
+			sdk.objects.query({ object: 'people', orderByDirection: 'down' }),
+			ValidationError,
+		);
+		await assert.rejects(
+			sdk.video.getChatMessages('room1', { orderByDirection: 'down' }),
+			ValidationError,
+		);
+		await assert.rejects(
+			sdk.fax.send({
+				faxMailboxId: 'm1',
+				toNumber: '5551234567',
+				fromNumber: '+15559876543',
+				storageId: 's1',
+			}),
+			(err) => {
+				assert.deepEqual(err.errors.map((e) => e.field), ['toNumber']);
+				return true;
+			},
+		);
+	});
+
+	test('accepts sort directions in any case', async () => {
+		const { sdk, mock } = buildSdk();
+		mock.onAny().reply(200, { results: [] });
+
+		await sdk.objects.query({ object: 'people', orderByDirection: 'asc' });
+		await sdk.objects.query({ object: 'people', orderByDirection: 'desc' });
+		await sdk.video.getChatMessages('room1', { orderByDirection: 'asc' });
+
+		assert.deepEqual(
+			mock.history.map(({ query }) => query.orderByDirection),
+			['ASC', undefined, 'ASC'],
+		);
+	});
+});
@@ -0,0 +1,466 @@
+/**
+ * MockTransport - Offline transport plugin for testing
+ *
+ * Registered through `sdk.addTransport()` like any other plugin, so every
+ * service call goes through the normal _fetch pipeline (validation, retries,
+ * interceptors, error mapping) without touching the network. It sets
+ * `fallback = false`, so unmatched or failing requests throw a
+ * TransportError instead of falling back to HTTP.
+ *
+ * Modes:
+ * - 'mock'   (default) answer from routes declared with on()/onGet()/...
+ * - 'record' send requests over real HTTP and capture the exchanges
+ * - 'replay' answer from previously recorded exchanges, in order
+ *
+ * @example
+ * const mock = new MockTransport();
+ * sdk.addTransport(mock);
+ *
+ * mock.onGet('/object/query/people').reply(200, { results: [] });
+ * mock.onPost('/messaging/sms', { body: { to: '+15551234567' } }).replyOnce(429, {
+ *   error: 'Too many requests',
+ * });
+ * mock.onAny(/\/voice\//).networkError();
+ *
+ * @example
+ * // Record once against a real namespace...
+ * const recorder = new MockTransport({ mode: 'record' });
+ * sdk.addTransport(recorder);
+ * await sdk.objects.describe('people');
+ * await recorder.saveFixtures('./fixtures/people.json');
+ *
+ * // ...then replay deterministically with no network
+ * sdk.addTransport(await MockTransport.fromFixtures('./fixtures/people.json'));
+ */
+
+const FIXTURE_VERSION = 1;
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No Content',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  422: 'Unprocessable Entity',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+  504: 'Gateway Timeout',
+};
+
+/**
+ * `expected` matches when every key it defines matches `actual`. Functions
+ * act as predicates and RegExps test strings.
+ */
+function isMatch(actual, expected) {
+  if (typeof expected === 'function') return Boolean(expected(actual));
+  if (expected instanceof RegExp) {
+    return typeof actual === 'string' && expected.test(actual);
+  }
+  if (Array.isArray(expected)) {
+    return (
+      Array.isArray(actual) &&
+      actual.length === expected.length &&
+      expected.every((item, i) => isMatch(actual[i], item))
+    );
+  }
+  if (expected && typeof expected === 'object') {
+    return (
+      Boolean(actual) &&
+      typeof actual === 'object' &&
+      Object.keys(expected).every((key) => isMatch(actual[key], expected[key]))
+    );
+  }
+  return Object.is(actual, expected);
+}
+
+/**
+ * JSON round-trip so recorded and live values compare the same way.
+ */
+function normalize(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Build a response in the shape plugin transports return to BaseSDK.
+ */
+function buildResponse(status, body, headers = {}) {
+  const contentType =
+    typeof body === 'string' ? 'text/plain' : 'application/json';
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: STATUS_TEXT[status] || '',
+    headers: { 'content-type': contentType, ...headers },
+    body: body === undefined ? {} : body,
+  };
+}
+
+export class MockRoute {
+  /**
+   * @param {string} method - HTTP method, or '*' for any
+   * @param {string|RegExp|((endpoint: string) => boolean)} endpoint
+   * @param {{ body?: any, query?: any }} [match]
+   */
+  constructor(method, endpoint, { body, query } = {}) {
+    this.method = method.toUpperCase();
+    this.endpoint = endpoint;
+    this.body = body;
+    this.query = query;
+    this.times = Infinity;
+    this.calls = 0;
+    this.handler = null;
+  }
+
+  matches(request) {
+    if (this.calls >= this.times) return false;
+    if (this.method !== '*' && this.method !== request.method) return false;
+
+    if (typeof this.endpoint === 'string') {
+      if (this.endpoint !== request.endpoint) return false;
+    } else if (!isMatch(request.endpoint, this.endpoint)) {
+      return false;
+    }
+
+    if (this.body !== undefined && !isMatch(request.body, this.body)) {
+      return false;
+    }
+    if (this.query !== undefined && !isMatch(request.query, this.query)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Answer with a canned response. `status` may instead be a function
+   * `(request) => [status, body, options]` (or a promise of one).
+   *
+   * @param {number|Function} status
+   * @param {*} [body]
+   * @param {Object} [options]
+   * @param {Object} [options.headers] - Extra response headers
+   * @param {number} [options.delay] - Delay in ms before responding
+   */
+  reply(status, body, options = {}) {
+    this.handler = async (request) => {
+      const [replyStatus, replyBody, replyOptions = {}] =
+        typeof status === 'function'
+          ? await status(request)
+          : [status, body, options];
+      if (replyOptions.delay) {
+        await wait(replyOptions.delay, request.signal);
+      }
+      return buildResponse(replyStatus, replyBody, replyOptions.headers);
+    };
+    return this;
+  }
+
+  replyOnce(status, body, options) {
+    this.times = 1;
+    return this.reply(status, body, options);
+  }
+
+  /**
+   * Fail at the transport level with `error` (an Error or message).
+   */
+  throws(error) {
+    this.handler = async () => {
+      throw typeof error === 'string' ? new Error(error) : error;
+    };
+    return this;
+  }
+
+  networkError(message = 'Network error') {
+    return this.throws(new Error(message));
+  }
+
+  /**
+   * Never respond; the request only settles when its signal aborts.
+   */
+  hang() {
+    this.handler = (request) =>
+      new Promise((resolve, reject) => {
+        request.signal?.addEventListener(
+          'abort',
+          () => reject(request.signal.reason),
+          { once: true },
+        );
+      });
+    return this;
+  }
+
+  async respond(request) {
+    this.calls++;
+    if (!this.handler) {
+      throw new Error(
+        `MockTransport: route ${this.method} ${this.endpoint} has no reply`,
+      );
+    }
+    return this.handler(request);
+  }
+}
+
+export class MockTransport {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name='mock']
+   * @param {'mock'|'record'|'replay'} [options.mode='mock']
+   * @param {number} [options.priority=0]
+   * @param {{ version?: number, exchanges: Object[] }|null} [options.fixtures]
+   */
+  constructor({
+    name = 'mock',
+    mode = 'mock',
+    priority = 0,
+    fixtures = null,
+  } = {}) {
+    if (!['mock', 'record', 'replay'].includes(mode)) {
+      throw new Error(`MockTransport: unknown mode ${mode}`);
+    }
+    this.name = name;
+    this.mode = mode;
+    this.priority = priority;
+    this.fallback = false;
+    this.routes = [];
+    this.history = [];
+    this.exchanges = [];
+    this._replayed = new Set();
+
+    if (fixtures) {
+      this.loadFixtures(fixtures);
+    }
+  }
+
+  getPriority() {
+    return this.priority;
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  /**
+   * Declare a route. `endpoint` may be an exact string, a RegExp or a
+   * predicate; `match.body` / `match.query` are partial matches.
+   */
+  on(method, endpoint, match = {}) {
+    const route = new MockRoute(method, endpoint, match);
+    this.routes.push(route);
+    return route;
+  }
+
+  onGet(endpoint, match) {
+    return this.on('GET', endpoint, match);
+  }
+
+  onPost(endpoint, match) {
+    return this.on('POST', endpoint, match);
+  }
+
+  onPut(endpoint, match) {
+    return this.on('PUT', endpoint, match);
+  }
+
+  onDelete(endpoint, match) {
+    return this.on('DELETE', endpoint, match);
+  }
+
+  onAny(endpoint = () => true, match) {
+    return this.on('*', endpoint, match);
+  }
+
+  /**
+   * Remove all routes and recorded history.
+   */
+  reset() {
+    this.routes = [];
+    this.history = [];
+    this._replayed.clear();
+  }
+
+  async request(endpoint, method, params = {}, options = {}) {
+    const request = {
+      endpoint,
+      method: method.toUpperCase(),
+      query: params.query,
+      body: params.body,
+      headers: params.headers || {},
+      namespace: options.namespace,
+      signal: options.signal,
+    };
+    this.history.push(request);
+
+    if (this.mode === 'record') {
+      return this._record(request, options);
+    }
+    if (this.mode === 'replay') {
+      return this._replay(request);
+    }
+
+    const route = this.routes.find((r) => r.matches(request));
+    if (!route) {
+      throw new Error(
+        `MockTransport: no route for ${request.method} ${endpoint}`,
+      );
+    }
+    return route.respond(request);
+  }
+
+  async _record(request, options) {
+    const { body } = request;
+    if (
+      body !== undefined &&
+      (typeof body !== 'object' ||
+        body === null ||
+        typeof body.pipe === 'function' ||
+        typeof body.getReader === 'function' ||
+        (typeof Buffer !== 'undefined' && Buffer.isBuffer(body)) ||
+        (typeof FormData !== 'undefined' && body instanceof FormData))
+    ) {
+      throw new Error(
+        'MockTransport: record mode only supports JSON request bodies',
+      );
+    }
+
+    let url = `${options.baseURL}${request.endpoint}`;
+    if (request.query) {
+      url += `?${new URLSearchParams(request.query).toString()}`;
+    }
+
+    const init = {
+      method: request.method,
+      headers: { 'Content-Type': 'application/json', ...request.headers },
+      signal: request.signal,
+    };
+    if (request.method !== 'GET' && body !== undefined) {
+      init.body = JSON.stringify(body);
+    }
+
+    const res = await fetch(url, init);
+    const contentType = res.headers.get('content-type') || '';
+    const text = await res.text();
+    let responseBody = text;
+    if (contentType.includes('application/json')) {
+      try {
+        responseBody = JSON.parse(text);
+      } catch (e) {
+        responseBody = text;
+      }
+    }
+
+    // Request headers (Authorization, cookies) are never written to fixtures
+    const headers = {};
+    for (const key of ['content-type', 'x-request-id', 'retry-after']) {
+      const value = res.headers.get(key);
+      if (value) headers[key] = value;
+    }
+
+    const response = {
+      ok: res.ok,
+      status: res.status,
+      statusText: res.statusText,
+      headers,
+      body: responseBody,
+    };
+
+    this.exchanges.push({
+      request: {
+        method: request.method,
+        endpoint: request.endpoint,
+        query: normalize(request.query),
+        body: normalize(request.body),
+      },
+      response,
+    });
+
+    return normalize(response);
+  }
+
+  _replay(request) {
+    const query = stableStringify(normalize(request.query));
+    const body = stableStringify(normalize(request.body));
+
+    const index = this.exchanges.findIndex(
+      (exchange, i) =>
+        !this._replayed.has(i) &&
+        exchange.request.method === request.method &&
+        exchange.request.endpoint === request.endpoint &&
+        stableStringify(exchange.request.query) === query &&
+        stableStringify(exchange.request.body) === body,
+    );
+
+    if (index === -1) {
+      throw new Error(
+        `MockTransport: no recorded exchange for ${request.method} ${request.endpoint}`,
+      );
+    }
+
+    this._replayed.add(index);
+    return normalize(this.exchanges[index].response);
+  }
+
+  /**
+   * Recorded exchanges as a JSON-serializable fixture object.
+   */
+  toFixtures() {
+    return { version: FIXTURE_VERSION, exchanges: normalize(this.exchanges) };
+  }
+
+  loadFixtures(fixtures) {
+    if (!fixtures || !Array.isArray(fixtures.exchanges)) {
+      throw new Error('MockTransport: fixtures must contain an exchanges array');
+    }
+    this.exchanges = normalize(fixtures.exchanges);
+    this._replayed.clear();
+    return this;
+  }
+
+  /**
+   * Write recorded exchanges to a JSON file (Node.js only).
+   */
+  async saveFixtures(filePath) {
+    const { writeFile } = await import('fs/promises');
+    await writeFile(filePath, `${JSON.stringify(this.toFixtures(), null, 2)}\n`);
+  }
+
+  /**
+   * Create a replay-mode transport from a JSON fixture file (Node.js only).
+   */
+  static async fromFixtures(filePath, options = {}) {
+    const { readFile } = await import('fs/promises');
+    const fixtures = JSON.parse(await readFile(filePath, 'utf8'));
+    return new MockTransport({ ...options, mode: 'replay', fixtures });
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * SocketTransport - socket.io transport plugin
+ *
+ * Sends SDK requests over an existing socket.io connection instead of HTTP.
+ * Each request is emitted as one message carrying a correlation id, and the
+ * server answers with a message carrying the same id:
+ *
+ *   client -> 'sdk:request'  { id, method, endpoint, query, body, headers, namespace }
+ *   server -> 'sdk:response' { id, status, statusText, headers, body }
+ *                          | { id, error }   // the server could not handle it
+ *
+ * Following the addTransport() rules, API errors (4xx/5xx) come back as
+ * normal responses, while anything that stops the exchange itself (not
+ * connected, disconnect mid-request, no answer within `timeout`, a message
+ * level `error`, or a multipart/stream body) throws so the SDK falls back to
+ * HTTP. Failures after the request was emitted are marked `requestSent`, so
+ * POST and PATCH requests the server may have handled are not sent again
+ * over HTTP. Reconnection is handled by socket.io; requests go over HTTP
+ * while the socket is down.
+ *
+ * @example
+ * // Reuse an app's socket (or a Svelte store holding it)
+ * sdk.addTransport(new SocketTransport({ socket: socketAppStore }));
+ *
+ * @example
+ * // Let the transport open its own connection (needs socket.io-client)
+ * sdk.addTransport(
+ *   new SocketTransport({ url: 'https://acme.api.unbound.cx', path: '/socket' }),
+ * );
+ */
+
+let sequence = 0;
+
+function nextRequestId() {
+  sequence = (sequence + 1) % Number.MAX_SAFE_INTEGER;
+  return `${Date.now().toString(36)}-${sequence.toString(36)}`;
+}
+
+function isSocket(value) {
+  return Boolean(value) && typeof value.emit === 'function';
+}
+
+// Svelte-style stores may hold the socket itself or `{ socket }`
+function unwrapSocket(value) {
+  if (isSocket(value)) return value;
+  if (isSocket(value?.socket)) return value.socket;
+  return null;
+}
+
+function isStreamingBody(body) {
+  if (!body || typeof body !== 'object') return false;
+  if (typeof FormData !== 'undefined' && body instanceof FormData) return true;
+  return (
+    typeof body.pipe === 'function' || typeof body.getReader === 'function'
+  );
+}
+
+// The server may have received the request; see BaseSDK.addTransport()
+function markSent(error) {
+  error.requestSent = true;
+  return error;
+}
+
+function lowerCaseKeys(headers = {}) {
+  const result = {};
+  for (const [key, value] of Object.entries(headers)) {
+    result[key.toLowerCase()] = value;
+  }
+  return result;
+}
+
+export class SocketTransport {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.socket] - socket.io client socket, or a store
+   *   with `subscribe()` whose value is a socket or `{ socket }`
+   * @param {string} [options.url] - Open a connection with socket.io-client when no socket is given
+   * @param {string} [options.path] - socket.io path for `url`
+   * @param {Object} [options.socketOptions] - Extra io() options for `url`
+   * @param {string} [options.name='socket']
+   * @param {number} [options.priority=10]
+   * @param {number} [options.timeout=30000] - ms to wait for a response (0 disables)
+   * @param {string} [options.requestEvent='sdk:request']
+   * @param {string} [options.responseEvent='sdk:response']
+   */
+  constructor({
+    socket,
+    url,
+    path,
+    socketOptions = {},
+    name = 'socket',
+    priority = 10,
+    timeout = 30000,
+    requestEvent = 'sdk:request',
+    responseEvent = 'sdk:response',
+  } = {}) {
+    if (!socket && !url) {
+      throw new Error('SocketTransport requires a socket, socket store or url');
+    }
+    this.name = name;
+    this.priority = priority;
+    this.timeout = timeout;
+    this.requestEvent = requestEvent;
+    this.responseEvent = responseEvent;
+    this.url = url;
+    this.path = path;
+    this.socketOptions = socketOptions;
+    this.pending = new Map();
+    this.socket = null;
+    this._connecting = null;
+    this._connectError = null;
+    this._unsubscribe = null;
+
+    this._onResponse = (message) => this._handleResponse(message);
+    this._onDisconnect = (reason) =>
+      this._rejectAll(new Error(`Socket disconnected: ${reason}`));
+
+    if (socket && typeof socket.subscribe === 'function' && !isSocket(socket)) {
+      this._unsubscribe = socket.subscribe((value) =>
+        this._attach(unwrapSocket(value)),
+      );
+    } else if (socket) {
+      this._attach(unwrapSocket(socket));
+    }
+  }
+
+  getPriority() {
+    return this.priority;
+  }
+
+  /**
+   * True while the socket is connected. With `url`, the first call starts
+   * connecting in the background and requests use HTTP until it is up.
+   */
+  async isAvailable() {
+    if (!this.socket && this.url && !this._connectError) {
+      this.connect().catch(() => {});
+    }
+    return this.socket?.connected === true;
+  }
+
+  /**
+   * Open the transport's own connection to `url`. Resolves with the socket
+   * once created; socket.io keeps reconnecting it after drops.
+   */
+  async connect() {
+    if (this.socket) return this.socket;
+    if (!this.url) {
+      throw new Error('SocketTransport has no url to connect to');
+    }
+    if (!this._connecting) {
+      this._connecting = import('socket.io-client')
+        .then(({ io }) => {
+          const socket = io(this.url, {
+            path: this.path,
+            transports: ['websocket'],
+            reconnection: true,
+            ...this.socketOptions,
+          });
+          this._attach(socket);
+          return socket;
+        })
+        .catch((err) => {
+          // Missing socket.io-client will not fix itself; stay on HTTP
+          this._connectError = err;
+          this._connecting = null;
+          throw err;
+        });
+    }
+    return this._connecting;
+  }
+
+  _attach(socket) {
+    if (socket === this.socket) return;
+    if (this.socket) {
+      this.socket.off?.(this.responseEvent, this._onResponse);
+      this.socket.off?.('disconnect', this._onDisconnect);
+      this._rejectAll(new Error('Socket replaced'));
+    }
+    this.socket = socket;
+    if (socket) {
+      socket.on(this.responseEvent, this._onResponse);
+      socket.on('disconnect', this._onDisconnect);
+    }
+  }
+
+  async request(endpoint, method, params = {}, options = {}) {
+    const socket = this.socket;
+    if (!socket?.connected) {
+      throw new Error(`Socket transport ${this.name} is not connected`);
+    }
+    if (isStreamingBody(params.body)) {
+      throw new Error('Socket transport cannot send multipart or stream bodies');
+    }
+
+    const { signal } = options;
+    if (signal?.aborted) {
+      throw signal.reason || new Error('Request aborted');
+    }
+
+    const id = nextRequestId();
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const onAbort = () =>
+        settle(reject, signal.reason || new Error('Request aborted'));
+      const settle = (callback, value) => {
+        if (!this.pending.has(id)) return;
+        this.pending.delete(id);
+        if (timer) clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+
+      this.pending.set(id, {
+        resolve: (response) => settle(resolve, response),
+        reject: (error) => settle(reject, markSent(error)),
+      });
+      if (this.timeout > 0) {
+        timer = setTimeout(
+          () =>
+            settle(
+              reject,
+              markSent(
+                new Error(
+                  `Socket request timed out after ${this.timeout}ms :: ${method.toUpperCase()} :: ${endpoint}`,
+                ),
+              ),
+            ),
+          this.timeout,
+        );
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      socket.emit(this.requestEvent, {
+        id,
+        method: method.toUpperCase(),
+        endpoint,
+        query: params.query,
+        body: params.body,
+        headers: params.headers || {},
+        namespace: options.namespace,
+      });
+    });
+  }
+
+  _handleResponse(message) {
+    const pending = message && this.pending.get(message.id);
+    if (!pending) return; // Late answer to a timed-out or aborted request
+
+    if (message.error) {
+      pending.reject(
+        new Error(
+          typeof message.error === 'string'
+            ? message.error
+            : message.error.message || 'Socket request failed',
+        ),
+      );
+      return;
+    }
+
+    const headers = lowerCaseKeys(message.headers);
+    if (!headers['content-type']) {
+      headers['content-type'] =
+        typeof message.body === 'string' ? 'text/plain' : 'application/json';
+    }
+    pending.resolve({
+      ok: message.status >= 200 && message.status < 300,
+      status: message.status,
+      statusText: message.statusText || '',
+      headers,
+      body: message.body === undefined ? {} : message.body,
+    });
+  }
+
+  _rejectAll(error) {
+    for (const { reject } of [...this.pending.values()]) {
+      reject(error);
+    }
+  }
+
+  /**
+   * Fail in-flight requests, stop following the store and disconnect a
+   * socket this transport opened itself.
+   */
+  close() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    this._rejectAll(new Error('Socket transport closed'));
+    const socket = this.socket;
+    this._attach(null);
+    this._connecting = null;
+    if (socket && this.url) {
+      socket.disconnect?.();
+    }
+  }
+}